@@ -6,6 +6,7 @@
 
 import { ENDPOINTS } from '../src/config.js';
 import { RESTClient } from '../src/RESTClient.js';
+import Clock from '../src/clock.js';
 
 describe('RESTClient', () => {
     test('has the REST methods for get and go', () => {
@@ -44,6 +45,47 @@ describe('RESTClient', () => {
         expect(spy).toHaveBeenCalled();
     });
 
+    test('Logs redacted request and response events', async () => {
+        const log = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const restClient = new RESTClient({
+            envDic: ENDPOINTS.SPiD,
+            log,
+            fetch: async () => ({ ok: true, status: 200, statusText: 'OK', json: async () => ({ userId: 123, sig: 'foo', userStatus: 'connected' }) }),
+        });
+        await restClient.go({ method: 'get', pathname: '/session', data: { sp_id: 'bar', tabId: 1 } });
+        expect(log.debug.mock.calls.map(([e]) => e)).toEqual([
+            {
+                level: 'debug',
+                event: 'request',
+                message: 'Request',
+                data: { method: 'GET', url: 'https://identity-pre.schibsted.com/session?sp_id=[REDACTED]&tabId=1', headers: {} },
+            },
+            { level: 'debug', event: 'response', message: 'Response', data: { status: 200, statusText: 'OK' } },
+            {
+                level: 'debug',
+                event: 'response_body',
+                message: 'Response Parsed',
+                data: { body: { userId: '[REDACTED]', sig: '[REDACTED]', userStatus: 'connected' } },
+            },
+        ]);
+    });
+
+    test('Logs failed requests as warnings', async () => {
+        const log = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const restClient = new RESTClient({
+            envDic: ENDPOINTS.SPiD,
+            log,
+            fetch: async () => ({ ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null } }),
+        });
+        await expect(restClient.get('/')).rejects.toMatchObject({ code: 404 });
+        expect(log.warn).toHaveBeenCalledWith({
+            level: 'warn',
+            event: 'request_failed',
+            message: 'Request failed',
+            data: { method: 'GET', url: 'https://identity-pre.schibsted.com/', message: 'Not Found', errorCode: 404 },
+        });
+    });
+
     test('Static `search` function is called and encoded correctly', () => {
         const NUL = String.fromCodePoint(0);
         const q = RESTClient.search({ foo: `b a!r'b(a)r~b${NUL}a` });
@@ -61,6 +103,28 @@ describe('RESTClient', () => {
         expect(spy.mock.calls[1][1].headers).toEqual({ foo: 'bar' });
     });
 
+    test('Should update the clock from the Date header of responses', async () => {
+        const date = new Date(Date.now() + 3600000).toUTCString();
+        const headers = { get: name => name === 'Date' ? date : null };
+        const clock = new Clock();
+        const fetch = jest.fn(async () => ({ ok: false, status: 400, statusText: 'Bad Request', headers }));
+        const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch, clock });
+        await expect(restClient.get('/')).rejects.toMatchObject({ code: 400 });
+        expect(clock.offset).toBeGreaterThan(3590000);
+    });
+
+    test('Should send a form encoded body for POST requests', async () => {
+        const spy = jest.fn();
+        spy.mockImplementation(async () => ({ ok: true, json: async () => ({}) }));
+        const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, defaultParams: { foo: 'bar' } });
+        await restClient.post('/token', { baz: 'a b' });
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][0]).toBe('https://identity-pre.schibsted.com/token');
+        expect(spy.mock.calls[0][1].method).toBe('post');
+        expect(spy.mock.calls[0][1].body).toBe('foo=bar&baz=a+b');
+        expect(spy.mock.calls[0][1].headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+    });
+
     test('Should return SDKError on failed requests', async () => {
         const spy = jest.fn();
         spy.mockImplementation(async () => ({ ok: false, status: 400, statusText: 'Errorz' }));
@@ -82,6 +146,205 @@ describe('RESTClient', () => {
         });
     });
 
+    describe('timeout', () => {
+        const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+
+        test('Should not pass a signal without a timeout', async () => {
+            const spy = jest.fn(async () => ({ ok: true, json: async () => ({}) }));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy });
+            await restClient.get('/');
+            expect(spy.mock.calls[0][1]).toEqual({ method: 'get', credentials: 'include', headers: {} });
+        });
+
+        test('Should abort requests that take longer than the client timeout', async () => {
+            const spy = hangingFetch();
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, timeout: 10 });
+            await expect(restClient.get('/')).rejects.toMatchObject({
+                name: 'SDKError',
+                code: 'request_timeout',
+                message: `Failed to 'get' 'https://identity-pre.schibsted.com/': 'Request timed out after 10ms'`,
+            });
+            expect(spy.mock.calls[0][1].signal.aborted).toBe(true);
+        });
+
+        test('Should use the timeout of the request over the one of the client', async () => {
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: hangingFetch() });
+            await expect(restClient.go({ method: 'get', pathname: '/', timeout: 10 }))
+                .rejects.toMatchObject({ code: 'request_timeout', timeout: 10 });
+        });
+
+        test('Should not retry timed out requests', async () => {
+            const spy = hangingFetch();
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, timeout: 10, retry: 2 });
+            await expect(restClient.get('/')).rejects.toMatchObject({ code: 'request_timeout' });
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('retry', () => {
+        const ok = { ok: true, json: async () => ({ foo: 'bar' }) };
+        const failure = (status, headers = {}) => ({
+            ok: false,
+            status,
+            statusText: 'Errorz',
+            headers: { get: (name) => headers[name] || null },
+        });
+        const retry = { retries: 2, minDelay: 1, maxDelay: 20 };
+
+        test('Should retry network errors, 5xx and 429 responses', async () => {
+            const spy = jest.fn()
+                .mockImplementationOnce(async () => { throw new TypeError('Failed to fetch'); })
+                .mockImplementationOnce(async () => failure(503))
+                .mockImplementationOnce(async () => ok);
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.get('/')).resolves.toEqual({ foo: 'bar' });
+            expect(spy).toHaveBeenCalledTimes(3);
+
+            spy.mockImplementationOnce(async () => failure(429)).mockImplementationOnce(async () => ok);
+            await expect(restClient.get('/')).resolves.toEqual({ foo: 'bar' });
+            expect(spy).toHaveBeenCalledTimes(5);
+        });
+
+        test('Should not retry other error responses', async () => {
+            const spy = jest.fn(async () => failure(404));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.get('/')).rejects.toMatchObject({ code: 404 });
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test('Should only retry POST requests on 429', async () => {
+            const spy = jest.fn(async () => failure(500));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.post('/token')).rejects.toMatchObject({ code: 500 });
+            expect(spy).toHaveBeenCalledTimes(1);
+
+            spy.mockImplementationOnce(async () => failure(429)).mockImplementationOnce(async () => ok);
+            await expect(restClient.post('/token')).resolves.toEqual({ foo: 'bar' });
+        });
+
+        test('Should fail with retries_exhausted when all attempts fail', async () => {
+            const spy = jest.fn(async () => failure(502));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.get('/')).rejects.toMatchObject({
+                name: 'SDKError',
+                code: 'retries_exhausted',
+                status: 502,
+                attempts: 3,
+                message: `Failed to 'get' 'https://identity-pre.schibsted.com/': 'Errorz'`,
+            });
+            expect(spy).toHaveBeenCalledTimes(3);
+        });
+
+        test('Should use the retry policy of the request over the one of the client', async () => {
+            const spy = jest.fn(async () => failure(502));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.go({ method: 'get', pathname: '/', retry: 0 })).rejects.toMatchObject({ code: 502 });
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test('Should wait as long as Retry-After says', async () => {
+            const spy = jest.fn()
+                .mockImplementationOnce(async () => failure(503, { 'Retry-After': '0' }))
+                .mockImplementationOnce(async () => ok);
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry: { retries: 1, minDelay: 60000, maxDelay: 60000 } });
+            await expect(restClient.get('/')).resolves.toEqual({ foo: 'bar' });
+        });
+
+        test('Should give up if Retry-After asks for more than maxDelay', async () => {
+            const spy = jest.fn(async () => failure(429, { 'Retry-After': '3600' }));
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy, retry });
+            await expect(restClient.get('/')).rejects.toMatchObject({ code: 'retries_exhausted', status: 429, retryAfter: 3600000 });
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test('Should throw on an invalid retry policy', () => {
+            expect(() => new RESTClient({ envDic: ENDPOINTS.SPiD, retry: -1 }))
+                .toThrowError(/retries must be a non-negative integer/);
+        });
+    });
+
+    describe('interceptors', () => {
+        const ok = (body = { foo: 'bar' }) => ({ ok: true, json: async () => body });
+
+        test('Should let onRequest change the url and the headers', async () => {
+            const spy = jest.fn(async () => ok());
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: spy });
+            restClient.use({
+                onRequest: ({ url, options }) => ({
+                    url: `${url}?traced=1`,
+                    options: Object.assign({}, options, { headers: { 'X-Trace': 'abc' } }),
+                }),
+            });
+            await restClient.get('/');
+            expect(spy).toHaveBeenCalledWith('https://identity-pre.schibsted.com/?traced=1',
+                { method: 'get', credentials: 'include', headers: { 'X-Trace': 'abc' } });
+        });
+
+        test('Should run the interceptors in the order they were added', async () => {
+            const calls = [];
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => ok() });
+            restClient.use({ onRequest: () => { calls.push('first'); } });
+            restClient.use({ onRequest: async () => { calls.push('second'); } });
+            await restClient.get('/');
+            expect(calls).toEqual(['first', 'second']);
+        });
+
+        test('Should let onResponse replace the response', async () => {
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => ok() });
+            const onResponse = jest.fn(() => ok({ replaced: true }));
+            restClient.use({ onResponse });
+            await expect(restClient.get('/')).resolves.toEqual({ replaced: true });
+            expect(onResponse).toHaveBeenCalledWith(expect.objectContaining({ ok: true }),
+                expect.objectContaining({ url: 'https://identity-pre.schibsted.com/' }));
+        });
+
+        test('Should let onError recover from network errors', async () => {
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => { throw new TypeError('offline'); } });
+            const skipped = jest.fn();
+            restClient.use({ onError: () => ok({ cached: true }) });
+            restClient.use({ onError: skipped });
+            await expect(restClient.get('/')).resolves.toEqual({ cached: true });
+            expect(skipped).not.toHaveBeenCalled();
+        });
+
+        test('Should fail as before if no onError recovers', async () => {
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => { throw new TypeError('offline'); } });
+            const onError = jest.fn();
+            restClient.use({ onError });
+            await expect(restClient.get('/')).rejects.toMatchObject({ name: 'SDKError' });
+            expect(onError).toHaveBeenCalledWith(new TypeError('offline'), expect.objectContaining({ url: 'https://identity-pre.schibsted.com/' }));
+        });
+
+        test('Should stop running an interceptor after it is removed', async () => {
+            const onRequest = jest.fn();
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => ok() });
+            const eject = restClient.use({ onRequest });
+            await restClient.get('/');
+            eject();
+            eject();
+            await restClient.get('/');
+            expect(onRequest).toHaveBeenCalledTimes(1);
+            expect(restClient.interceptors).toEqual([]);
+        });
+
+        test('Should share the interceptors array passed to the constructor', async () => {
+            const interceptors = [];
+            const onRequest = jest.fn();
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD, fetch: async () => ok(), interceptors });
+            interceptors.push({ onRequest });
+            await restClient.get('/');
+            expect(onRequest).toHaveBeenCalledTimes(1);
+        });
+
+        test('Should throw on an invalid interceptor', () => {
+            const restClient = new RESTClient({ envDic: ENDPOINTS.SPiD });
+            expect(() => restClient.use({})).toThrowError(/interceptor must have an onRequest, onResponse or onError function/);
+            expect(() => restClient.use(null)).toThrowError(/interceptor must have an onRequest, onResponse or onError function/);
+        });
+    });
+
     test('makeUrl should work', async () => {
         const spy = jest.fn();
         spy.mockImplementation(async () => { throw 'Errorz'; });
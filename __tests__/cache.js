@@ -12,6 +12,8 @@ const webStorageMock = () => {
         setItem: (k, v) => mock.store[k] = v,
         getItem: (k) => mock.store[k],
         removeItem: (k) => delete mock.store[k],
+        key: (i) => Object.keys(mock.store)[i],
+        get length() { return Object.keys(mock.store).length; },
     };
     return mock;
 };
@@ -82,6 +84,109 @@ describe('cache', () => {
             });
         });
     });
+    describe('namespace', () => {
+        const entry = (value) => JSON.stringify({ expiresOn: Date.now() + 10000, value });
+        let storage;
+        let cache;
+
+        beforeEach(() => {
+            storage = webStorageMock();
+            cache = new Cache(() => storage, { namespace: 'ns', isLegacyKey: key => key === 'old' });
+        });
+
+        test('prefixes every key', () => {
+            cache.set('foo', 'bar', 1000);
+            expect(Object.keys(storage.store)).toEqual(['ns:foo']);
+            expect(cache.get('foo')).toBe('bar');
+            cache.delete('foo');
+            expect(storage.store).toEqual({});
+        });
+
+        test('moves legacy entries into the namespace', () => {
+            storage.store.old = entry('legacy');
+            storage.store.other = entry('not ours');
+            expect(cache.get('old')).toBe('legacy');
+            expect(cache.get('other')).toBe(null);
+            expect(storage.store.old).toBeUndefined();
+            expect(JSON.parse(storage.store['ns:old']).value).toBe('legacy');
+            expect(storage.store.other).toBeDefined();
+        });
+
+        test('clear() removes only entries of the namespace and legacy entries', () => {
+            storage.store.old = entry('legacy');
+            storage.store.other = entry('not ours');
+            storage.store['ns2:foo'] = entry('other namespace');
+            cache.set('foo', 'bar', 1000);
+            cache.clear();
+            expect(Object.keys(storage.store)).toEqual(['other', 'ns2:foo']);
+        });
+    });
+    describe('storage adapter', () => {
+        const adapterMock = (async) => {
+            const store = {};
+            const result = (value) => async ? Promise.resolve(value) : value;
+            return {
+                store,
+                get: jest.fn((k) => result(k in store ? store[k] : null)),
+                set: jest.fn((k, v) => result(void (store[k] = v))),
+                delete: jest.fn((k) => result(void delete store[k])),
+                keys: jest.fn(() => result(Object.keys(store))),
+            };
+        };
+
+        test('uses a sync adapter directly', () => {
+            const adapter = adapterMock(false);
+            const cache = new Cache(adapter);
+            expect(cache.type).toBe('Adapter');
+            cache.set('foo', 'bar', 1000);
+            expect(adapter.set).toHaveBeenCalledWith('foo', expect.any(String), 1000);
+            expect(cache.get('foo')).toBe('bar');
+            cache.delete('foo');
+            expect(adapter.store).toEqual({});
+        });
+
+        test('loads the entries of an async adapter before it is ready', async () => {
+            const adapter = adapterMock(true);
+            adapter.store.foo = JSON.stringify({ expiresOn: Date.now() + 1000, value: 'bar' });
+            const cache = new Cache(adapter);
+            expect(cache.get('foo')).toBe(null);
+            await cache.ready;
+            expect(cache.get('foo')).toBe('bar');
+        });
+
+        test('writes through to an async adapter', async () => {
+            const adapter = adapterMock(true);
+            const cache = new Cache(adapter);
+            cache.set('foo', 'bar', 1000);
+            expect(cache.get('foo')).toBe('bar');
+            await cache.ready;
+            expect(JSON.parse(adapter.store.foo).value).toBe('bar');
+
+            cache.delete('foo');
+            expect(cache.get('foo')).toBe(null);
+            await Promise.resolve();
+            expect(adapter.store).toEqual({});
+        });
+
+        test('does not let loading overwrite newer writes', async () => {
+            const adapter = adapterMock(true);
+            adapter.store.foo = JSON.stringify({ expiresOn: Date.now() + 1000, value: 'old' });
+            const cache = new Cache(adapter);
+            cache.set('foo', 'new', 1000);
+            await cache.ready;
+            expect(cache.get('foo')).toBe('new');
+        });
+
+        test('keeps working in memory if the async adapter fails', async () => {
+            const adapter = adapterMock(true);
+            adapter.keys.mockImplementation(() => Promise.reject(new Error('broken')));
+            adapter.set.mockImplementation(() => Promise.reject(new Error('broken')));
+            const cache = new Cache(adapter);
+            await cache.ready;
+            cache.set('foo', 'bar', 1000);
+            expect(cache.get('foo')).toBe('bar');
+        });
+    });
     describe('object literal storage', () => {
         describe('get/set/clear', () => {
             let cache;
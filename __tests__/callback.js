@@ -0,0 +1,86 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { sendSilentLoginResponse, waitForSilentLoginResponse, SILENT_LOGIN_MESSAGE } from '../src/callback.js';
+import { createFrameWindow } from './utils.js';
+
+describe('sendSilentLoginResponse', () => {
+    test('posts the url to a parent on the same origin', () => {
+        const parent = { postMessage: jest.fn() };
+        const window = { parent, location: { href: 'http://foo.com/cb?code=abc', origin: 'http://foo.com' } };
+        expect(sendSilentLoginResponse({ window })).toBe(true);
+        expect(parent.postMessage).toHaveBeenCalledWith(
+            { type: SILENT_LOGIN_MESSAGE, url: 'http://foo.com/cb?code=abc' }, 'http://foo.com');
+    });
+
+    test('does nothing outside of a frame', () => {
+        const window = { location: { href: 'http://foo.com/cb?code=abc', origin: 'http://foo.com' } };
+        window.parent = window;
+        expect(sendSilentLoginResponse({ window })).toBe(false);
+    });
+
+    test('throws without a window', () => {
+        expect(() => sendSilentLoginResponse({ window: {} })).toThrowError(/The reference to window is missing/);
+    });
+});
+
+describe('waitForSilentLoginResponse', () => {
+    const url = 'http://id.foo.com/oauth/authorize?prompt=none';
+    const redirectUri = 'http://foo.com/cb';
+    const response = (frame, extra) => Object.assign({
+        source: frame.contentWindow,
+        origin: 'http://foo.com',
+        data: { type: SILENT_LOGIN_MESSAGE, url: 'http://foo.com/cb?code=abc' },
+    }, extra);
+
+    test('loads the url in a hidden iframe and resolves with the response', async () => {
+        const window = createFrameWindow();
+        const result = waitForSilentLoginResponse(window, url, redirectUri);
+        const [frame] = window.frames;
+        expect(frame.attributes).toMatchObject({ src: url, 'aria-hidden': 'true', style: 'display: none' });
+
+        window.dispatchMessage(response(frame));
+        await expect(result).resolves.toBe('http://foo.com/cb?code=abc');
+        expect(frame.parentNode).toBeNull();
+        expect(window.listeners).toHaveLength(0);
+    });
+
+    test('ignores messages from other windows, origins or of other types', async () => {
+        const window = createFrameWindow();
+        const result = waitForSilentLoginResponse(window, url, redirectUri, { timeout: 30 });
+        const [frame] = window.frames;
+
+        window.dispatchMessage(response(frame, { source: {} }));
+        window.dispatchMessage(response(frame, { origin: 'http://evil.com' }));
+        window.dispatchMessage(response(frame, { data: { type: 'other', url: 'http://foo.com/cb' } }));
+        window.dispatchMessage(response(frame, { data: 'http://foo.com/cb?code=abc' }));
+        await expect(result).rejects.toMatchObject({ name: 'SDKError', code: 'silent_login_timeout' });
+    });
+
+    test('cleans up when it times out', async () => {
+        const window = createFrameWindow();
+        await expect(waitForSilentLoginResponse(window, url, redirectUri, { timeout: 10 }))
+            .rejects.toMatchObject({ code: 'silent_login_timeout' });
+        expect(window.frames[0].parentNode).toBeNull();
+        expect(window.listeners).toHaveLength(0);
+    });
+
+    test('rejects and cleans up when the iframe fails to load', async () => {
+        const window = createFrameWindow();
+        const result = waitForSilentLoginResponse(window, url, redirectUri);
+        const [frame] = window.frames;
+        frame.onerror();
+        await expect(result).rejects.toMatchObject({ code: 'silent_login_load_error' });
+        expect(frame.parentNode).toBeNull();
+        expect(window.listeners).toHaveLength(0);
+    });
+
+    test('throws on invalid arguments', () => {
+        expect(() => waitForSilentLoginResponse({}, url, redirectUri)).toThrowError(/lacks a 'document' property/);
+        expect(() => waitForSilentLoginResponse(createFrameWindow(), 'foo', redirectUri)).toThrowError(/Invalid URL/);
+        expect(() => waitForSilentLoginResponse(createFrameWindow(), url, 'foo')).toThrowError(/Invalid redirectUri/);
+    });
+});
@@ -0,0 +1,66 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import Clock from '../src/clock.js';
+
+describe('Clock', () => {
+    const localNow = 1700000000000;
+    const response = (headers) => ({ headers: { get: name => headers[name] || null } });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(Date, 'now').mockReturnValue(localNow);
+    });
+
+    test('throws on invalid options', () => {
+        expect(() => new Clock({ offset: 'foo' })).toThrowError(/offset must be a number but it is foo/);
+        expect(() => new Clock({ onChange: 'foo' })).toThrowError(/onChange must be a function/);
+    });
+
+    test('uses the local time until it learns the server time', () => {
+        expect(new Clock().now()).toBe(localNow);
+        expect(new Clock({ offset: 5000 }).now()).toBe(localNow + 5000);
+    });
+
+    test('corrects the time by the offset to the server', () => {
+        const onChange = jest.fn();
+        const clock = new Clock({ onChange });
+        clock.update(localNow - 3600000);
+        expect(clock.now()).toBe(localNow - 3600000);
+        expect(onChange).toHaveBeenCalledWith(-3600000);
+
+        clock.update(localNow - 3600000);
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores offsets within the precision of the server time', () => {
+        const onChange = jest.fn();
+        const clock = new Clock({ onChange });
+        clock.update(localNow + 1500);
+        expect(clock.now()).toBe(localNow);
+        expect(onChange).not.toHaveBeenCalled();
+        clock.update(NaN);
+        expect(clock.offset).toBe(0);
+    });
+
+    test('reads the server time from the Date and Age headers', () => {
+        const clock = new Clock();
+        clock.updateFromResponse(response({ Date: new Date(localNow + 60000).toUTCString() }));
+        expect(clock.offset).toBe(60000);
+
+        clock.updateFromResponse(response({ Date: new Date(localNow + 60000).toUTCString(), Age: '30' }));
+        expect(clock.offset).toBe(90000);
+    });
+
+    test('ignores responses without a Date header', () => {
+        const clock = new Clock({ offset: 5000 });
+        clock.updateFromResponse(response({}));
+        clock.updateFromResponse(response({ Date: 'yesterday' }));
+        clock.updateFromResponse({});
+        clock.updateFromResponse(null);
+        expect(clock.offset).toBe(5000);
+    });
+});
@@ -0,0 +1,50 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { base64UrlDecode, base64UrlEncode, createCodeChallenge, createCodeVerifier, randomString } from '../src/crypto.js';
+
+import { TextEncoder } from 'util';
+import crypto from 'crypto';
+
+Object.assign(global, { TextEncoder });
+Object.defineProperty(global.self, 'crypto', {
+    value: {
+        subtle: crypto.webcrypto.subtle,
+        getRandomValues: (array) => crypto.webcrypto.getRandomValues(array),
+    },
+});
+
+describe('crypto', () => {
+    test('base64UrlEncode uses the url safe alphabet without padding', () => {
+        expect(base64UrlEncode(new Uint8Array([251, 255, 191]))).toBe('-_-_');
+        expect(base64UrlEncode(new Uint8Array([1]))).toBe('AQ');
+    });
+
+    test('base64UrlDecode reverses base64UrlEncode, with or without padding', () => {
+        expect(base64UrlDecode('-_-_')).toEqual(new Uint8Array([251, 255, 191]));
+        expect(base64UrlDecode('AQ')).toEqual(new Uint8Array([1]));
+        expect(base64UrlDecode('AQ==')).toEqual(new Uint8Array([1]));
+    });
+
+    test('randomString returns different values', () => {
+        expect(randomString()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(randomString()).not.toBe(randomString());
+        expect(randomString(3)).toHaveLength(4);
+    });
+
+    test('createCodeVerifier follows RFC 7636', () => {
+        expect(createCodeVerifier()).toMatch(/^[A-Za-z0-9._~-]{43,128}$/);
+    });
+
+    test('createCodeChallenge matches the RFC 7636 example', async () => {
+        const challenge = await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+        expect(challenge).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    test('createCodeChallenge requires a verifier', async () => {
+        await expect(createCodeChallenge('')).rejects.toMatchObject({ name: 'SDKError' });
+    });
+});
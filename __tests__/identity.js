@@ -7,7 +7,8 @@
 import SDKError from '../src/SDKError.js';
 
 import Identity from '../identity.js';
-import { compareUrls, Fixtures } from './utils.js';
+import { compareUrls, createFrameWindow, createSessionSig, createSigningKey, Fixtures } from './utils.js';
+import { SILENT_LOGIN_MESSAGE } from '../src/callback.js';
 import { URL } from 'url';
 import { URL as u } from 'whatwg-url';
 import version from '../src/version.js';
@@ -20,6 +21,7 @@ import crypto from "crypto";
 Object.defineProperty(global.self, "crypto", {
     value: {
         subtle: crypto.webcrypto.subtle,
+        getRandomValues: (array) => crypto.webcrypto.getRandomValues(array),
     },
 });
 
@@ -37,6 +39,12 @@ describe('Identity', () => {
         }
     };
 
+    const waitFor = async (condition) => {
+        while (!condition()) {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+    };
+
     beforeAll(() => {
         global.URL = u;
     });
@@ -83,16 +91,46 @@ describe('Identity', () => {
             expect(() => new Identity({ window: {}, clientId: 'xxxx', sessionDomain: 'http://id.foo.com' }))
                 .not.toThrowError(/sessionDomain parameter is not a valid URL/);
         });
+
+        test('uses the storage adapter for its caches', async () => {
+            expect(() => new Identity(Object.assign({}, defaultOptions, { storage: {} })))
+                .toThrowError(/storage parameter is not a valid storage adapter/);
+
+            const store = {};
+            const storage = {
+                get: (k) => Promise.resolve(store[k]),
+                set: (k, v) => Promise.resolve(store[k] = v),
+                delete: (k) => Promise.resolve(delete store[k]),
+                keys: () => Promise.resolve(Object.keys(store)),
+            };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: { location: {} }, storage }));
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+            await identity.hasSession();
+            expect(JSON.parse(store['schacc-sdk:PRE:foo:hasSession-cache']).value).toEqual(Fixtures.sessionResponse);
+
+            const otherPage = new Identity(Object.assign({}, defaultOptions, { window: { location: {} }, storage }));
+            otherPage._sessionService.fetch = jest.fn();
+            await expect(otherPage.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+            expect(otherPage._sessionService.fetch).not.toHaveBeenCalled();
+        });
     });
 
     describe('login()', () => {
+        beforeEach(() => {
+            jest.spyOn(Identity.prototype, '_createNonce').mockReturnValue('dummy-nonce');
+        });
+
+        afterEach(() => {
+            Identity.prototype._createNonce.mockRestore();
+        });
+
         test('Should work with only "state" param', () => {
             const window = { location: {} };
             const identity = new Identity(Object.assign({}, defaultOptions, { window }));
             identity.login({ state: 'foo' });
             compareUrls(
                 window.location.href,
-                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account'
+                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account&nonce=dummy-nonce'
             );
         });
         test('Should work with only "state" param for site specific logout', () => {
@@ -101,7 +139,7 @@ describe('Identity', () => {
             identity.login({ state: 'foo' });
             compareUrls(
                 window.location.href,
-                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account'
+                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account&nonce=dummy-nonce'
             );
         });
         test('Should open popup if "preferPopup" is true', () => {
@@ -116,7 +154,7 @@ describe('Identity', () => {
             identity.login({ state: 'foo', preferPopup: true });
             compareUrls(
                 window.location.href,
-                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account'
+                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=select_account&nonce=dummy-nonce'
             );
         });
         test('Should close previous popup if it exists (and is open)', () => {
@@ -142,11 +180,163 @@ describe('Identity', () => {
             identity.login({ state: 'foo', prompt: 'login' });
             compareUrls(
                 window.location.href,
-                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=login'
+                'https://identity-pre.schibsted.com/oauth/authorize?client_id=foo&redirect_uri=http%3A%2F%2Ffoo.com&response_type=code&scope=openid&state=foo&prompt=login&nonce=dummy-nonce'
             );
         });
     });
 
+    describe('loginWithPopup()', () => {
+        const makeWindow = (popup) => ({ location: {}, screen: {}, open: jest.fn(() => popup) });
+
+        test('should resolve with the authorization response', async () => {
+            const popup = { location: { href: 'http://foo.com/?code=abc&state=foo' }, close: jest.fn() };
+            const window = makeWindow(popup);
+            const identity = new Identity(Object.assign({}, defaultOptions, { window }));
+
+            await expect(identity.loginWithPopup({ state: 'foo' })).resolves.toEqual({
+                code: 'abc',
+                state: 'foo',
+                url: 'http://foo.com/?code=abc&state=foo',
+            });
+            expect(window.open.mock.calls[0][0]).toMatch(/\/oauth\/authorize\?/);
+            expect(popup.close).toHaveBeenCalled();
+            expect(identity.popup).toBeNull();
+        });
+
+        test('should resolve with the refreshed session if requested', async () => {
+            const popup = { location: { href: 'http://foo.com/?code=abc&state=foo' }, close: jest.fn() };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: makeWindow(popup) }));
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+
+            await expect(identity.loginWithPopup({ state: 'foo', refreshSession: true }))
+                .resolves.toMatchObject({ userId: Fixtures.sessionResponse.userId });
+        });
+
+        test('should reject with the OAuth error', async () => {
+            const popup = { location: { href: 'http://foo.com/?error=access_denied&state=foo' }, close: jest.fn() };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: makeWindow(popup) }));
+
+            await expect(identity.loginWithPopup({ state: 'foo' }))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'access_denied' });
+        });
+
+        test('should reject without redirecting if the popup is blocked', async () => {
+            const window = makeWindow(null);
+            const identity = new Identity(Object.assign({}, defaultOptions, { window }));
+
+            await expect(identity.loginWithPopup({ state: 'foo' }))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'popup_blocked' });
+            expect(window.location.href).toBeUndefined();
+        });
+
+        test('should reject if the user closes the popup', async () => {
+            const popup = { closed: true, close: jest.fn(), get location() { throw new Error('cross-origin'); } };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: makeWindow(popup) }));
+
+            await expect(identity.loginWithPopup({ state: 'foo' }))
+                .rejects.toMatchObject({ code: 'popup_closed' });
+        });
+
+        test('should reject if the popup times out', async () => {
+            const popup = { close: jest.fn(), get location() { throw new Error('cross-origin'); } };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: makeWindow(popup) }));
+
+            await expect(identity.loginWithPopup({ state: 'foo', timeout: 10 }))
+                .rejects.toMatchObject({ code: 'popup_timeout' });
+            expect(popup.close).toHaveBeenCalled();
+        });
+
+        test('should navigate the popup to the PKCE login url', async () => {
+            const popup = { location: { href: 'about:blank' }, close: jest.fn() };
+            const window = makeWindow(popup);
+            window.sessionStorage = global.window.sessionStorage;
+            const identity = new Identity(Object.assign({}, defaultOptions, { window, pkce: true }));
+
+            const result = identity.loginWithPopup({ state: 'foo' });
+            expect(window.open.mock.calls[0][0]).toBe('about:blank');
+            await waitFor(() => popup.location.href !== 'about:blank');
+            expect(new URL(popup.location.href).searchParams.get('code_challenge')).toBeTruthy();
+
+            popup.location.href = 'http://foo.com/?code=abc&state=foo';
+            await expect(result).resolves.toMatchObject({ code: 'abc', state: 'foo' });
+        });
+    });
+
+    describe('trySilentLogin()', () => {
+        const respond = (window, url) => window.dispatchMessage({
+            source: window.frames[0].contentWindow,
+            origin: 'http://foo.com',
+            data: { type: SILENT_LOGIN_MESSAGE, url },
+        });
+        let window;
+        let identity;
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            window = createFrameWindow({ sessionStorage: global.window.sessionStorage });
+            identity = new Identity(Object.assign({}, defaultOptions, { window }));
+        });
+
+        afterEach(() => {
+            global.window.sessionStorage.clear();
+        });
+
+        test('should load the login url with prompt=none in a hidden iframe', async () => {
+            const result = identity.trySilentLogin({ state: 'foo', acrValues: 'otp' });
+            const url = new URL(window.frames[0].attributes.src);
+            expect(url.pathname).toBe('/oauth/authorize');
+            expect(url.searchParams.get('prompt')).toBe('none');
+            expect(url.searchParams.get('acr_values')).toBe('otp');
+            expect(url.searchParams.get('state')).toBe('foo');
+
+            respond(window, 'http://foo.com/?code=abc&state=foo');
+            await expect(result).resolves.toEqual({ code: 'abc', state: 'foo', url: 'http://foo.com/?code=abc&state=foo' });
+            expect(window.frames[0].parentNode).toBeNull();
+        });
+
+        test('should clear the cached session when it succeeds', async () => {
+            identity.sessionStorageCache.set('hasSession-cache', { result: false }, 60000);
+            const result = identity.trySilentLogin({ state: 'foo' });
+            respond(window, 'http://foo.com/?code=abc&state=foo');
+            await result;
+            expect(identity.sessionStorageCache.get('hasSession-cache')).toBeNull();
+        });
+
+        test('should reject with login_required if the user has to log in', async () => {
+            const result = identity.trySilentLogin({ state: 'foo' });
+            respond(window, 'http://foo.com/?error=login_required&state=foo');
+            await expect(result).rejects.toMatchObject({ name: 'SDKError', code: 'login_required' });
+        });
+
+        test('should reject a response for another login', async () => {
+            const result = identity.trySilentLogin({ state: 'foo' });
+            respond(window, 'http://foo.com/?code=abc&state=bar');
+            await expect(result).rejects.toMatchObject({ code: 'state_mismatch' });
+        });
+
+        test('should reject and remove the iframe if there is no response in time', async () => {
+            await expect(identity.trySilentLogin({ state: 'foo', timeout: 10 }))
+                .rejects.toMatchObject({ code: 'silent_login_timeout' });
+            expect(window.frames[0].parentNode).toBeNull();
+            expect(window.listeners).toHaveLength(0);
+        });
+
+        test('should use a PKCE login url that handleRedirectCallback can complete', async () => {
+            identity = new Identity(Object.assign({}, defaultOptions, { window, pkce: true }));
+            identity._oauthService.fetch = jest.fn(() => ({ ok: true, json: () => ({ access_token: 'at' }) }));
+
+            const result = identity.trySilentLogin();
+            await waitFor(() => window.frames.length > 0);
+            const url = new URL(window.frames[0].attributes.src);
+            expect(url.searchParams.get('code_challenge')).toBeTruthy();
+            expect(url.searchParams.get('prompt')).toBe('none');
+
+            respond(window, `http://foo.com/?code=abc&state=${url.searchParams.get('state')}`);
+            const { url: responseUrl } = await result;
+            await expect(identity.handleRedirectCallback(responseUrl)).resolves.toEqual({ access_token: 'at' });
+        });
+    });
+
     describe('logout()', () => {
         test('Should be able to log out from Schibsted account', async () => {
             const window = { location: {} };
@@ -170,6 +360,8 @@ describe('Identity', () => {
                     setItem: (k, v) => mock.store[k] = v,
                     getItem: (k) => mock.store[k],
                     removeItem: (k) => delete mock.store[k],
+                    key: (i) => Object.keys(mock.store)[i],
+                    get length() { return Object.keys(mock.store).length; },
                 };
                 return mock;
             };
@@ -314,6 +506,597 @@ describe('Identity', () => {
         });
     });
 
+    describe('state', () => {
+        let identity;
+        let window;
+
+        beforeEach(() => {
+            window = { location: {} };
+            identity = new Identity(Object.assign({}, defaultOptions, { window, autoState: true }));
+        });
+
+        test('login() generates a state when none is given', () => {
+            identity.login({ statePayload: { returnTo: '/article/1' } });
+
+            const state = new URL(window.location.href).searchParams.get('state');
+            expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+            expect(identity.verifyState(state)).toEqual({ returnTo: '/article/1' });
+        });
+
+        test('a given state is used as is', () => {
+            identity.login({ state: 'foo' });
+            expect(new URL(window.location.href).searchParams.get('state')).toBe('foo');
+        });
+
+        test('state is still required without autoState', () => {
+            identity = new Identity(Object.assign({}, defaultOptions, { window }));
+            expect(() => identity.loginUrl({})).toThrowError(/the state parameter should be a non empty string/);
+        });
+
+        test('verifyState() reads the state from the current url by default', () => {
+            const state = identity.createState('/foo');
+            window.location.href = `http://foo.com/?code=abc&state=${state}`;
+            expect(identity.verifyState()).toBe('/foo');
+        });
+
+        test('verifyState() rejects unknown states', () => {
+            identity.createState('/foo');
+            expect(() => identity.verifyState('forged')).toThrowError(expect.objectContaining({
+                name: 'SDKError',
+                code: 'state_mismatch',
+            }));
+        });
+
+        test('verifyState() fails until an async storage adapter has loaded', async () => {
+            const entries = {};
+            const storage = {
+                get: async key => entries[key],
+                set: async (key, value) => {
+                    entries[key] = value;
+                },
+                delete: async (key) => {
+                    delete entries[key];
+                },
+                keys: async () => Object.keys(entries),
+            };
+            identity = new Identity(Object.assign({}, defaultOptions, { window, autoState: true, storage }));
+            expect(() => identity.verifyState('foo')).toThrowError(expect.objectContaining({
+                code: 'storage_not_ready',
+            }));
+            await identity.ready;
+            const state = identity.createState('/foo');
+            expect(identity.verifyState(state)).toBe('/foo');
+        });
+
+        test('a storage adapter does not keep the tab id, since all tabs share it', async () => {
+            const storage = { get: () => null, set: jest.fn(), delete: () => {}, keys: () => [] };
+            identity = new Identity(Object.assign({}, defaultOptions, { window, storage }));
+            identity._getTabId();
+            expect(storage.set).not.toHaveBeenCalledWith(expect.stringContaining('tab-id-cache'),
+                expect.anything(), expect.anything());
+        });
+
+        test('verifyState() rejects replayed states', () => {
+            const state = identity.createState('/foo');
+            identity.verifyState(state);
+            expect(() => identity.verifyState(state)).toThrowError(expect.objectContaining({
+                code: 'state_replayed',
+            }));
+        });
+
+        test('states expire', () => {
+            const now = Date.now();
+            const state = identity.createState('/foo');
+            jest.spyOn(Date, 'now').mockReturnValue(now + 1000 * 60 * 31);
+            expect(() => identity.verifyState(state)).toThrowError(expect.objectContaining({
+                code: 'state_mismatch',
+            }));
+            Date.now.mockRestore();
+        });
+    });
+
+    describe('parseRedirectResponse()', () => {
+        const href = 'http://foo.com/page?foo=bar&code=abc&state=xyz#top';
+        let window;
+        let identity;
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            window = {
+                location: { href },
+                history: { state: { page: 1 }, replaceState: jest.fn() },
+                sessionStorage: global.window.sessionStorage,
+            };
+            identity = new Identity(Object.assign({}, defaultOptions, { window }));
+        });
+
+        afterEach(() => {
+            global.window.sessionStorage.clear();
+        });
+
+        test('returns the code and state of the current url', () => {
+            expect(identity.parseRedirectResponse()).toEqual({ code: 'abc', state: 'xyz', url: href });
+            expect(window.history.replaceState).not.toHaveBeenCalled();
+        });
+
+        test('throws with the OAuth error code', () => {
+            expect(() => identity.parseRedirectResponse('http://foo.com/?error=access_denied&error_description=Nope'))
+                .toThrowError(expect.objectContaining({ name: 'SDKError', code: 'access_denied', message: 'Nope' }));
+        });
+
+        test('throws if there is no authorization response', () => {
+            expect(() => identity.parseRedirectResponse('http://foo.com/?foo=bar'))
+                .toThrowError(expect.objectContaining({ code: 'invalid_request' }));
+            expect(() => identity.parseRedirectResponse('foo')).toThrowError(/url must be a valid url/);
+        });
+
+        test('removes the response from the address bar if asked to', () => {
+            identity.parseRedirectResponse(href, { cleanUrl: true });
+            expect(window.history.replaceState).toHaveBeenCalledWith({ page: 1 }, '', 'http://foo.com/page?foo=bar#top');
+        });
+
+        test('removes an error response from the address bar too', () => {
+            window.location.href = 'http://foo.com/?error=access_denied&state=xyz';
+            expect(() => identity.parseRedirectResponse(undefined, { cleanUrl: true })).toThrowError();
+            expect(window.history.replaceState).toHaveBeenCalledWith({ page: 1 }, '', 'http://foo.com/');
+        });
+
+        test('only cleans the url of the current page', () => {
+            identity.parseRedirectResponse('http://foo.com/other?code=abc', { cleanUrl: true });
+            expect(window.history.replaceState).not.toHaveBeenCalled();
+        });
+
+        test('clears the cached session unless told not to', () => {
+            identity.sessionStorageCache.set('hasSession-cache', { result: false }, 60000);
+            identity.parseRedirectResponse(href, { clearSessionCache: false });
+            expect(identity.sessionStorageCache.get('hasSession-cache')).toEqual({ result: false });
+
+            identity.parseRedirectResponse();
+            expect(identity.sessionStorageCache.get('hasSession-cache')).toBeNull();
+        });
+    });
+
+    describe('PKCE', () => {
+        const sha256 = (str) => crypto.createHash('sha256').update(str).digest('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        const tokenResponse = { access_token: 'at', token_type: 'Bearer', expires_in: 3600, id_token: 'idt' };
+        let identity;
+        let window;
+
+        beforeEach(() => {
+            window = { location: {}, sessionStorage: global.window.sessionStorage };
+            identity = new Identity(Object.assign({}, defaultOptions, { window, pkce: true }));
+            identity._oauthService.fetch = jest.fn(() => ({ ok: true, json: () => tokenResponse }));
+        });
+
+        test('pkceLoginUrl() adds an S256 code challenge for the stored verifier', async () => {
+            const url = new URL(await identity.pkceLoginUrl({ state: 'foo' }));
+            const { state, codeVerifier, redirectUri } = identity.sessionStorageCache.get('pkce-cache:foo');
+
+            expect(state).toBe('foo');
+            expect(redirectUri).toBe(defaultOptions.redirectUri);
+            expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+            expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+            expect(url.searchParams.get('code_challenge')).toBe(sha256(codeVerifier));
+            expect(url.searchParams.get('state')).toBe('foo');
+            expect(url.searchParams.get('response_type')).toBe('code');
+        });
+
+        test('pkceLoginUrl() generates a state if none is given', async () => {
+            const url = new URL(await identity.pkceLoginUrl());
+            expect(url.searchParams.get('state')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+            const state = url.searchParams.get('state');
+            expect(identity.sessionStorageCache.get(`pkce-cache:${state}`).state).toBe(state);
+        });
+
+        test('login() redirects to the PKCE login url', async () => {
+            expect(identity.login({ state: 'foo' })).toBeNull();
+            await waitFor(() => window.location.href);
+
+            const url = new URL(window.location.href);
+            expect(url.pathname).toBe('/oauth/authorize');
+            expect(url.searchParams.get('code_challenge')).toBeTruthy();
+        });
+
+        test('login() navigates a blank popup to the PKCE login url', async () => {
+            const popup = { location: {} };
+            window.screen = {};
+            window.open = jest.fn(() => popup);
+
+            expect(identity.login({ state: 'foo', preferPopup: true })).toBe(popup);
+            expect(window.open.mock.calls[0][0]).toBe('about:blank');
+            await waitFor(() => popup.location.href);
+
+            expect(new URL(popup.location.href).searchParams.get('code_challenge')).toBeTruthy();
+            expect(window.location.href).toBeUndefined();
+        });
+
+        test('handleRedirectCallback() exchanges the code using the code verifier', async () => {
+            await identity.pkceLoginUrl({ state: 'foo' });
+            const { codeVerifier } = identity.sessionStorageCache.get('pkce-cache:foo');
+
+            const tokens = await identity.handleRedirectCallback('http://foo.com/?code=abc&state=foo');
+
+            expect(tokens).toEqual(tokenResponse);
+            const [url, options] = identity._oauthService.fetch.mock.calls[0];
+            expect(url).toBe('https://identity-pre.schibsted.com/oauth/token');
+            expect(options.method).toBe('post');
+            const body = new URLSearchParams(options.body);
+            expect(body.get('grant_type')).toBe('authorization_code');
+            expect(body.get('code')).toBe('abc');
+            expect(body.get('code_verifier')).toBe(codeVerifier);
+            expect(body.get('client_id')).toBe(defaultOptions.clientId);
+            expect(body.get('redirect_uri')).toBe(defaultOptions.redirectUri);
+        });
+
+        test('handleRedirectCallback() rejects a state mismatch', async () => {
+            await identity.pkceLoginUrl({ state: 'foo' });
+
+            await expect(identity.handleRedirectCallback('http://foo.com/?code=abc&state=bar'))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'state_mismatch' });
+            expect(identity._oauthService.fetch).not.toHaveBeenCalled();
+        });
+
+        test('handleRedirectCallback() can only be used once per login', async () => {
+            await identity.pkceLoginUrl({ state: 'foo' });
+            await identity.handleRedirectCallback('http://foo.com/?code=abc&state=foo');
+
+            await expect(identity.handleRedirectCallback('http://foo.com/?code=abc&state=foo'))
+                .rejects.toMatchObject({ code: 'state_mismatch' });
+        });
+
+        test('handleRedirectCallback() finds the login of its state among others', async () => {
+            await identity.pkceLoginUrl({ state: 'foo' });
+            await identity.pkceLoginUrl({ state: 'bar' });
+            await expect(identity.handleRedirectCallback('http://foo.com/?code=abc&state=foo')).resolves.toEqual(tokenResponse);
+            await expect(identity.handleRedirectCallback('http://foo.com/?code=abc&state=bar')).resolves.toEqual(tokenResponse);
+        });
+
+        test('handleRedirectCallback() waits for an async storage adapter to load', async () => {
+            const entries = {};
+            const storage = {
+                get: async key => entries[key],
+                set: async (key, value) => {
+                    entries[key] = value;
+                },
+                delete: async (key) => {
+                    delete entries[key];
+                },
+                keys: async () => Object.keys(entries),
+            };
+            const first = new Identity(Object.assign({}, defaultOptions, { window, pkce: true, storage }));
+            await first.ready;
+            await first.pkceLoginUrl({ state: 'foo' });
+            await Promise.resolve();
+
+            // a new page load
+            const second = new Identity(Object.assign({}, defaultOptions, { window, pkce: true, storage }));
+            second._oauthService.fetch = jest.fn(() => ({ ok: true, json: () => tokenResponse }));
+            await expect(second.handleRedirectCallback('http://foo.com/?code=abc&state=foo')).resolves.toEqual(tokenResponse);
+        });
+
+        test('handleRedirectCallback() rejects with the OAuth error', async () => {
+            await identity.pkceLoginUrl({ state: 'foo' });
+
+            await expect(identity.handleRedirectCallback('http://foo.com/?error=access_denied&error_description=Nope&state=foo'))
+                .rejects.toMatchObject({ message: 'Nope', code: 'access_denied' });
+        });
+    });
+
+    describe('validateIdToken()', () => {
+        const issuer = 'https://identity-pre.schibsted.com/';
+        let identity;
+        let key;
+        let claims;
+
+        const respond = (body) => ({ ok: true, json: async () => body });
+
+        beforeAll(async () => {
+            key = await createSigningKey();
+        });
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            identity = new Identity(Object.assign({}, defaultOptions, {
+                window: { location: {}, sessionStorage: global.window.sessionStorage },
+            }));
+            identity._oauthService.fetch = jest.fn(async (url) => {
+                if (url.endsWith('/.well-known/openid-configuration')) {
+                    return respond({ issuer, jwks_uri: `${issuer}oauth/jwks` });
+                }
+                return respond({ keys: [key.jwk] });
+            });
+            identity.login({ state: 'foo', acrValues: 'otp' });
+            const nonce = new URL(identity.window.location.href).searchParams.get('nonce');
+            const now = Math.floor(Date.now() / 1000);
+            claims = { iss: issuer, aud: 'foo', sub: 'user', exp: now + 300, iat: now, nonce, acr: 'otp', amr: ['password', 'otp'] };
+        });
+
+        afterEach(() => {
+            global.window.sessionStorage.clear();
+        });
+
+        test('login() adds a nonce when the scope includes openid', () => {
+            identity.login({ state: 'foo' });
+            expect(new URL(identity.window.location.href).searchParams.get('nonce')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+            identity.login({ state: 'foo', scope: 'profile' });
+            expect(new URL(identity.window.location.href).searchParams.has('nonce')).toBe(false);
+            identity.login({ state: 'foo', nonce: 'mine' });
+            expect(new URL(identity.window.location.href).searchParams.get('nonce')).toBe('mine');
+        });
+
+        test('loginUrl() only adds a given nonce and remembers none', () => {
+            const keys = global.window.sessionStorage.length;
+            expect(new URL(identity.loginUrl({ state: 'foo' })).searchParams.has('nonce')).toBe(false);
+            expect(new URL(identity.loginUrl({ state: 'foo', nonce: 'mine' })).searchParams.get('nonce')).toBe('mine');
+            expect(global.window.sessionStorage.length).toBe(keys);
+        });
+
+        test('returns the claims of a valid token', async () => {
+            await expect(identity.validateIdToken(await key.sign(claims), { acrValues: 'otp', amr: 'otp' }))
+                .resolves.toEqual(claims);
+
+            const [[discoveryUrl, discoveryOptions], [jwksUrl]] = identity._oauthService.fetch.mock.calls;
+            expect(discoveryUrl).toBe(`${issuer}.well-known/openid-configuration`);
+            expect(discoveryOptions.credentials).toBeUndefined();
+            expect(jwksUrl).toBe(`${issuer}oauth/jwks`);
+        });
+
+        test('fetches the discovery document and keys only once', async () => {
+            await identity.validateIdToken(await key.sign(claims));
+            await identity.validateIdToken(await key.sign(Object.assign({}, claims, { nonce: 'n' })), { nonce: 'n' });
+            expect(identity._oauthService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('fetches the keys again when they have been rotated', async () => {
+            await identity.validateIdToken(await key.sign(claims), { nonce: claims.nonce });
+            const oldKey = key;
+            key = await createSigningKey('ES256', 'new-key');
+
+            await expect(identity.validateIdToken(await key.sign(claims), { nonce: claims.nonce })).resolves.toEqual(claims);
+            expect(identity._oauthService.fetch).toHaveBeenCalledTimes(3);
+            key = oldKey;
+        });
+
+        test('rejects a token signed with an unknown key', async () => {
+            const other = await createSigningKey('ES256', 'other-key');
+            await expect(identity.validateIdToken(await other.sign(claims)))
+                .rejects.toMatchObject({ code: 'invalid_token', message: 'No key found for the ID token signature' });
+        });
+
+        test('rejects a forged signature', async () => {
+            const other = await createSigningKey();
+            await expect(identity.validateIdToken(await other.sign(claims)))
+                .rejects.toMatchObject({ code: 'invalid_token', message: 'The ID token signature is invalid' });
+        });
+
+        test('accepts each nonce only once', async () => {
+            const token = await key.sign(claims);
+            await identity.validateIdToken(token);
+            await expect(identity.validateIdToken(token)).rejects.toMatchObject({ code: 'invalid_token' });
+        });
+
+        test('rejects a nonce from another tab', async () => {
+            const token = await key.sign(Object.assign({}, claims, { nonce: 'unknown' }));
+            await expect(identity.validateIdToken(token))
+                .rejects.toMatchObject({ code: 'invalid_token', message: 'The ID token nonce does not match any login in progress' });
+        });
+
+        test('rejects a token without the required authentication methods', async () => {
+            await expect(identity.validateIdToken(await key.sign(claims), { amr: ['eid'] }))
+                .rejects.toMatchObject({ code: 'invalid_token', message: 'The ID token amr does not include: eid' });
+        });
+
+        test('rejects a token for another client', async () => {
+            await expect(identity.validateIdToken(await key.sign(Object.assign({}, claims, { aud: 'bar' }))))
+                .rejects.toMatchObject({ code: 'invalid_token' });
+        });
+
+        test('fetches the discovery document again after a failure', async () => {
+            const fetch = identity._oauthService.fetch;
+            identity._oauthService.fetch = jest.fn(async () => { throw new TypeError('offline'); });
+            await expect(identity.validateIdToken(await key.sign(claims))).rejects.toMatchObject({ name: 'SDKError' });
+
+            identity._oauthService.fetch = fetch;
+            await expect(identity.validateIdToken(await key.sign(claims))).resolves.toEqual(claims);
+        });
+    });
+
+    describe('requireAuthLevel()', () => {
+        const issuer = 'https://identity-pre.schibsted.com/';
+        let session;
+        let key;
+        let now;
+        let claims;
+
+        const respond = (body) => ({ ok: true, json: async () => body });
+        const makeIdentity = (window, options) => {
+            const identity = new Identity(Object.assign({}, defaultOptions, options, {
+                window: Object.assign({ location: {}, screen: {}, sessionStorage: global.window.sessionStorage }, window),
+            }));
+            identity._sessionService.fetch = jest.fn(async () => respond(session));
+            return identity;
+        };
+        // a popup that lands on redirectUri with the state of the login url it was sent to
+        const makePopup = (onLogin = () => {}) => {
+            let href;
+            const location = {
+                get href() { return href; },
+                set href(url) {
+                    onLogin(new URL(url));
+                    href = `http://foo.com/?code=abc&state=${new URL(url).searchParams.get('state')}`;
+                },
+            };
+            return { location, close: jest.fn() };
+        };
+        // a window where the login popup lands on redirectUri right away, and the claims of the
+        // ID token that exchangeCode gets for it
+        const makeWindow = (stepUp = {}) => {
+            const result = { claims: null };
+            result.open = jest.fn((url) => {
+                result.claims = Object.assign({}, claims, stepUp, { nonce: new URL(url).searchParams.get('nonce') });
+                return { location: { href: 'http://foo.com/?code=abc&state=foo' }, close: jest.fn() };
+            });
+            result.exchangeCode = jest.fn(async () => key.sign(result.claims));
+            return result;
+        };
+        const serveKeys = (identity) => {
+            identity._oauthService.fetch = jest.fn(async url => (url.endsWith('/.well-known/openid-configuration')
+                ? respond({ issuer, jwks_uri: `${issuer}oauth/jwks` })
+                : respond({ keys: [key.jwk] })));
+            return identity;
+        };
+
+        beforeAll(async () => {
+            key = await createSigningKey();
+        });
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            now = Math.floor(Date.now() / 1000);
+            // the clock of the SDK follows the server time of the session
+            session = Object.assign({}, Fixtures.sessionResponse, { serverTime: now });
+            session.sig = createSessionSig(session);
+            claims = { iss: issuer, aud: 'foo', sub: session.uuid, exp: now + 300, iat: now, auth_time: now - 600, amr: ['password', 'sms'] };
+        });
+
+        afterEach(() => {
+            global.window.sessionStorage.clear();
+        });
+
+        test('should throw on invalid requirements', async () => {
+            const identity = makeIdentity();
+            await expect(identity.requireAuthLevel()).rejects.toThrowError(/acr or maxAge is required/);
+            await expect(identity.requireAuthLevel({ maxAge: -1 })).rejects.toThrowError(/maxAge must be a non-negative integer/);
+            await expect(identity.requireAuthLevel({ acr: 'sms' })).rejects.toThrowError(/exchangeCode is required without PKCE/);
+            const exchangeCode = jest.fn();
+            await expect(identity.requireAuthLevel({ acr: 'foo', exchangeCode })).rejects.toThrowError(/The acrValues parameter is not acceptable: foo/);
+        });
+
+        test('should resolve without a login if the requirement is already met', async () => {
+            const window = makeWindow();
+            const identity = makeIdentity(window);
+            await identity.hasSession();
+            identity.sessionStorageCache.set('auth-claims', claims, 60000);
+
+            await expect(identity.requireAuthLevel({ acr: 'sms', maxAge: 3600, exchangeCode: window.exchangeCode }))
+                .resolves.toEqual({ steppedUp: false, claims, session, authorization: null });
+            expect(window.open).not.toHaveBeenCalled();
+        });
+
+        test('should check the session before the requirement', async () => {
+            const window = makeWindow();
+            const identity = makeIdentity(window);
+            identity.sessionStorageCache.set('auth-claims', claims, 60000);
+
+            await expect(identity.requireAuthLevel({ acr: 'sms', exchangeCode: window.exchangeCode }))
+                .resolves.toEqual({ steppedUp: false, claims, session, authorization: null });
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+            expect(window.open).not.toHaveBeenCalled();
+        });
+
+        test('should accept any eid method for eid', async () => {
+            const window = makeWindow();
+            const identity = makeIdentity(window);
+            identity.sessionStorageCache.set('auth-claims', Object.assign({}, claims, { amr: ['eid-no'] }), 60000);
+
+            await expect(identity.requireAuthLevel({ acr: ['eid'], exchangeCode: window.exchangeCode }))
+                .resolves.toMatchObject({ steppedUp: false });
+        });
+
+        test('should step up in a popup if the requirement is not met', async () => {
+            const window = makeWindow({ auth_time: now, amr: ['password', 'otp'] });
+            const identity = serveKeys(makeIdentity(window));
+            identity.sessionStorageCache.set('auth-claims', claims, 60000);
+
+            const authorization = { code: 'abc', state: 'foo', url: 'http://foo.com/?code=abc&state=foo' };
+            const result = await identity.requireAuthLevel({ acr: 'otp', maxAge: 60, state: 'foo', exchangeCode: window.exchangeCode });
+            expect(result).toEqual({ steppedUp: true, claims: window.claims, session, authorization });
+            expect(window.exchangeCode).toHaveBeenCalledWith(authorization);
+            const url = new URL(window.open.mock.calls[0][0]);
+            expect(url.searchParams.get('acr_values')).toBe('otp');
+            expect(url.searchParams.get('max_age')).toBe('60');
+            expect(url.searchParams.has('exchangeCode')).toBe(false);
+        });
+
+        test('should reject if the new login does not meet the requirement', async () => {
+            const window = makeWindow();
+            const identity = serveKeys(makeIdentity(window));
+
+            await expect(identity.requireAuthLevel({ acr: 'otp', state: 'foo', exchangeCode: window.exchangeCode }))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'auth_level_not_met' });
+        });
+
+        test('should step up if the claims belong to another user', async () => {
+            const window = makeWindow();
+            const identity = serveKeys(makeIdentity(window));
+            identity.sessionStorageCache.set('auth-claims', Object.assign({}, claims, { sub: 'someone-else' }), 60000);
+
+            await expect(identity.requireAuthLevel({ acr: 'sms', state: 'foo', exchangeCode: window.exchangeCode }))
+                .resolves.toMatchObject({ steppedUp: true });
+        });
+
+        test('should validate the new ID token in PKCE mode', async () => {
+            let stepUpClaims;
+            const popup = makePopup(url => {
+                stepUpClaims = Object.assign({}, claims, { auth_time: now, amr: ['password', 'otp'], nonce: url.searchParams.get('nonce') });
+            });
+            const identity = makeIdentity({ open: jest.fn(() => popup) }, { pkce: true });
+            identity._oauthService.fetch = jest.fn(async (url) => {
+                if (url.endsWith('/.well-known/openid-configuration')) {
+                    return respond({ issuer, jwks_uri: `${issuer}oauth/jwks` });
+                }
+                if (url.endsWith('/oauth/token')) {
+                    return respond({ access_token: 'at', id_token: await key.sign(stepUpClaims) });
+                }
+                return respond({ keys: [key.jwk] });
+            });
+
+            const result = await identity.requireAuthLevel({ acr: 'otp', maxAge: 60 });
+            expect(result).toMatchObject({ steppedUp: true, claims: stepUpClaims, session });
+            await expect(identity.requireAuthLevel({ acr: 'otp', maxAge: 60 })).resolves.toMatchObject({ steppedUp: false });
+        });
+
+        test('should reject if the new login does not meet the requirement in PKCE mode', async () => {
+            let stepUpClaims;
+            const popup = makePopup(url => {
+                stepUpClaims = Object.assign({}, claims, { nonce: url.searchParams.get('nonce') });
+            });
+            const identity = makeIdentity({ open: jest.fn(() => popup) }, { pkce: true });
+            identity._oauthService.fetch = jest.fn(async (url) => {
+                if (url.endsWith('/.well-known/openid-configuration')) {
+                    return respond({ issuer, jwks_uri: `${issuer}oauth/jwks` });
+                }
+                if (url.endsWith('/oauth/token')) {
+                    return respond({ access_token: 'at', id_token: await key.sign(stepUpClaims) });
+                }
+                return respond({ keys: [key.jwk] });
+            });
+
+            await expect(identity.requireAuthLevel({ acr: 'otp' }))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'auth_level_not_met' });
+        });
+
+        test('should redirect if preferPopup is false', async () => {
+            const window = makeWindow();
+            const identity = makeIdentity(window);
+
+            await expect(identity.requireAuthLevel({ acr: 'sms', state: 'foo', preferPopup: false, exchangeCode: window.exchangeCode }))
+                .resolves.toBeNull();
+            expect(window.open).not.toHaveBeenCalled();
+            expect(new URL(identity.window.location.href).searchParams.get('acr_values')).toBe('sms');
+        });
+
+        test('should fall back to redirecting if the popup is blocked', async () => {
+            const identity = makeIdentity({ open: jest.fn(() => null) });
+
+            await expect(identity.requireAuthLevel({ maxAge: 0, state: 'foo', exchangeCode: jest.fn() })).resolves.toBeNull();
+            const url = new URL(identity.window.location.href);
+            expect(url.searchParams.get('max_age')).toBe('0');
+            expect(url.searchParams.get('prompt')).toBe('login');
+        });
+    });
+
     describe('hasSession', () => {
         let identity;
 
@@ -547,6 +1330,15 @@ describe('Identity', () => {
             )
         });
 
+        test('should not hang when the session-service does not respond', async () => {
+            identity = new Identity(Object.assign({}, defaultOptions, { requestTimeout: 10 }));
+            identity._sessionService.fetch = jest.fn(() => new Promise(() => {}));
+
+            await expect(identity.hasSession())
+                .rejects.toMatchObject({ message: 'HasSession failed', code: 'request_timeout' });
+            expect(identity._hasSessionInProgress).toBe(false);
+        });
+
         describe('cache', () => {
             test('should never cache if caching is off', async () => {
                 identity._enableSessionCaching = false;
@@ -564,28 +1356,255 @@ describe('Identity', () => {
                 expect(getSessionMock).toHaveBeenCalledTimes(1)
             });
 
-            test('cache shouldn\'t be updated when hasSession returns data from cache, but should be if cache expired', async () => {
-                jest.spyOn(Date, 'now')
-                    .mockReturnValue(new Date("2019-11-09T10:00:00").getTime());
+            test('cache shouldn\'t be updated when hasSession returns data from cache, but should be if cache expired', async () => {
+                jest.spyOn(Date, 'now')
+                    .mockReturnValue(new Date("2019-11-09T10:00:00").getTime());
+
+                const getExpiresOn = () => JSON.parse(identity.sessionStorageCache.cache.get('schacc-sdk:PRE:foo:hasSession-cache')).expiresOn;
+
+                await identity.hasSession();
+
+                const cacheExpires = getExpiresOn();
+                jest.spyOn(Date, 'now')
+                    .mockReturnValue(new Date("2019-11-09T10:02:00").getTime());
+
+                await identity.hasSession();
+
+                expect(getExpiresOn()).toBe(cacheExpires); // expiresOn shouldn't change on call less than 5m
+                jest.spyOn(Date, 'now')
+                    .mockReturnValue(new Date("2019-11-09T11:05:00").getTime());
+
+                await identity.hasSession();
+
+                // expiresOn should change after 1h
+                expect(getExpiresOn()).not.toBe(cacheExpires);
+            });
+
+            test('should never cache with the off mode', async () => {
+                identity = new Identity(Object.assign({}, defaultOptions, { sessionCache: 'off' }));
+                identity._sessionService.fetch = getSessionMock;
+
+                await identity.hasSession();
+                await identity.hasSession();
+
+                expect(getSessionMock).toHaveBeenCalledTimes(2);
+            });
+
+            test('should throw on an invalid policy', () => {
+                expect(() => new Identity(Object.assign({}, defaultOptions, { sessionCache: 'forever' })))
+                    .toThrowError(/sessionCache mode must be one of off, ttl, stale-while-revalidate but it is forever/);
+                expect(() => new Identity(Object.assign({}, defaultOptions, { sessionCache: { maxTtl: -1 } })))
+                    .toThrowError(/sessionCache.maxTtl must be a number of seconds but it is -1/);
+            });
+
+            test.each([
+                [{ ttl: 60 }, 60],
+                [{ maxTtl: 100 }, 100],
+                [{ minTtl: 600 }, 600],
+                [{ ttl: 60, minTtl: 120 }, 120],
+            ])('should cache the session as set by %p', async (sessionCache, seconds) => {
+                const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+                identity = new Identity(Object.assign({}, defaultOptions, { sessionCache }));
+                identity._sessionService.fetch = getSessionMock;
+
+                await identity.hasSession();
+                const { expiresOn } = JSON.parse(identity.sessionStorageCache.cache.get('schacc-sdk:PRE:foo:hasSession-cache'));
+                expect(expiresOn).toBe(1000 + 1000 * seconds);
+                now.mockRestore();
+            });
+
+            test('should cache "not logged in" responses unless told not to', async () => {
+                const notLoggedIn = () => ({ ok: false, status: 400, statusText: 'No cookie present' });
+                getSessionMock.mockImplementation(notLoggedIn);
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 400 });
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 400 });
+                expect(getSessionMock).toHaveBeenCalledTimes(1);
+
+                identity = new Identity(Object.assign({}, defaultOptions, { sessionCache: { negativeTtl: 0 } }));
+                identity._sessionService.fetch = getSessionMock;
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 400 });
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 400 });
+                expect(getSessionMock).toHaveBeenCalledTimes(3);
+                getSessionMock.mockImplementation(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+            });
+
+            describe('stale-while-revalidate', () => {
+                let now;
+
+                beforeEach(() => {
+                    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+                    identity = new Identity(Object.assign({}, defaultOptions, { sessionCache: 'stale-while-revalidate' }));
+                    identity._sessionService.fetch = getSessionMock;
+                });
+
+                afterEach(() => {
+                    now.mockRestore();
+                });
+
+                test('should resolve with an expired session and refresh it in the background', async () => {
+                    await identity.hasSession();
+                    now.mockReturnValue(1000 + 1000 * 400);
+                    const newUser = Object.assign({}, Fixtures.sessionResponse, { userId: 54321 });
+                    newUser.sig = createSessionSig(newUser);
+                    mockSessionOkResponse(newUser);
+                    const userChange = jest.fn();
+                    identity.on('userChange', userChange);
+
+                    await expect(identity.hasSession()).resolves.toMatchObject({ userId: 12345 });
+                    await identity._sessionRevalidation;
+
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                    expect(userChange).toHaveBeenCalledWith(newUser);
+                    await expect(identity.hasSession()).resolves.toMatchObject({ userId: 54321 });
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                });
+
+                test('should not emit events if the refreshed session is the same', async () => {
+                    await identity.hasSession();
+                    now.mockReturnValue(1000 + 1000 * 400);
+                    mockSessionOkResponse(Object.assign({}, Fixtures.sessionResponse, { serverTime: 1520611364 }));
+                    await identity.hasSession();
+                    const sessionChange = jest.fn();
+                    identity.on('sessionChange', sessionChange);
+
+                    await identity._sessionRevalidation;
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                    expect(sessionChange).not.toHaveBeenCalled();
+                    expect(identity._session.serverTime).toBe(1520611364);
+                });
+
+                test('should emit logout if the user logged out in the meantime', async () => {
+                    await identity.hasSession();
+                    now.mockReturnValue(1000 + 1000 * 400);
+                    getSessionMock.mockImplementationOnce(() => ({ ok: false, status: 400, statusText: 'No cookie present' }));
+                    const logout = jest.fn();
+                    const error = jest.fn();
+                    identity.on('logout', logout);
+                    identity.on('error', error);
+
+                    await identity.hasSession();
+                    await identity._sessionRevalidation;
+                    expect(logout).toHaveBeenCalled();
+                    expect(error).toHaveBeenCalledWith(expect.objectContaining({ code: 400 }));
+                    await expect(identity.hasSession()).rejects.toMatchObject({ message: 'HasSession failed' });
+                });
+
+                test('should leave a redirect to refresh the session to the next call', async () => {
+                    await identity.hasSession();
+                    now.mockReturnValue(1000 + 1000 * 400);
+                    getSessionMock.mockImplementationOnce(() => ({ ok: true, json: () => Fixtures.sessionNeedsToBeRefreshedResponse }));
+                    defaultOptions.window.location.href = 'http://test.no';
+                    defaultOptions.callbackBeforeRedirect.mockClear();
+
+                    await expect(identity.hasSession()).resolves.toMatchObject({ userId: 12345 });
+                    await identity._sessionRevalidation;
+                    expect(defaultOptions.window.location.href).toBe('http://test.no');
+                    expect(defaultOptions.callbackBeforeRedirect).not.toHaveBeenCalled();
+
+                    getSessionMock.mockImplementationOnce(() => ({ ok: true, json: () => Fixtures.sessionNeedsToBeRefreshedResponse }));
+                    await expect(identity.hasSession()).rejects.toMatchObject({ code: 'session_redirect' });
+                    expect(defaultOptions.window.location.href).toMatch(/\/refresh-cookie-test\?/);
+                    expect(getSessionMock).toHaveBeenCalledTimes(3);
+                });
+
+                test('should not use a session that expired more than maxStale ago', async () => {
+                    await identity.hasSession();
+                    now.mockReturnValue(1000 + 1000 * (300 + 3600 + 1));
+
+                    await identity.hasSession();
+                    expect(identity._sessionRevalidation).toBeNull();
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                });
+
+                test('should drop the stale session when the cache is cleared', async () => {
+                    await identity.hasSession();
+                    identity.clearCachedUserSession();
+
+                    await identity.hasSession();
+                    expect(identity._sessionRevalidation).toBeNull();
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                });
+            });
+
+            describe('sig', () => {
+                const tamper = (key, changes) => {
+                    const cached = identity.sessionStorageCache.get(key);
+                    identity.sessionStorageCache.set(key, Object.assign({}, cached, changes), 60000);
+                };
+
+                test('should use a cached session that matches its sig', async () => {
+                    const error = jest.fn();
+                    identity.on('error', error);
+                    await identity.hasSession();
+                    await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+                    expect(getSessionMock).toHaveBeenCalledTimes(1);
+                    expect(error).not.toHaveBeenCalled();
+                });
+
+                test.each([
+                    [{ userId: 1 }],
+                    [{ userStatus: 'notConnected' }],
+                    [{ sig: 'forged' }],
+                    [{ sig: undefined }],
+                ])('should discard a cached session changed with %p', async (changes) => {
+                    const error = jest.fn();
+                    identity.on('error', error);
+                    await identity.hasSession();
+                    tamper('hasSession-cache', changes);
+
+                    await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                    expect(error).toHaveBeenCalledWith(expect.objectContaining({
+                        code: 'invalid_session',
+                        message: 'The cached session does not match its sig',
+                    }));
+                });
 
-                const getExpiresOn = () => JSON.parse(identity.sessionStorageCache.cache.get('hasSession-cache')).expiresOn;
+                test('should discard a changed stale session', async () => {
+                    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+                    identity = new Identity(Object.assign({}, defaultOptions, { sessionCache: 'stale-while-revalidate' }));
+                    identity._sessionService.fetch = getSessionMock;
+                    await identity.hasSession();
+                    tamper('hasSession-stale-cache', { userId: 1 });
+                    now.mockReturnValue(1000 + 1000 * 400);
 
-                await identity.hasSession();
+                    await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+                    expect(identity._sessionRevalidation).toBeNull();
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                    now.mockRestore();
+                });
 
-                const cacheExpires = getExpiresOn();
-                jest.spyOn(Date, 'now')
-                    .mockReturnValue(new Date("2019-11-09T10:02:00").getTime());
+                test('should check cached sessions with the session verifier', async () => {
+                    const sessionVerifier = jest.fn(async () => true);
+                    identity = new Identity(Object.assign({}, defaultOptions, { sessionVerifier }));
+                    identity._sessionService.fetch = getSessionMock;
+                    await identity.hasSession();
+                    expect(sessionVerifier).not.toHaveBeenCalled();
 
-                await identity.hasSession();
+                    await identity.hasSession();
+                    expect(sessionVerifier).toHaveBeenCalledWith(Fixtures.sessionResponse.sig, Fixtures.sessionResponse);
+                    expect(getSessionMock).toHaveBeenCalledTimes(1);
+                });
 
-                expect(getExpiresOn()).toBe(cacheExpires); // expiresOn shouldn't change on call less than 5m
-                jest.spyOn(Date, 'now')
-                    .mockReturnValue(new Date("2019-11-09T11:05:00").getTime());
+                test.each([
+                    [() => false, 'The cached session was rejected by the session verifier'],
+                    [async () => { throw new Error('offline'); }, 'The cached session could not be verified'],
+                ])('should discard a cached session the session verifier does not accept', async (sessionVerifier, message) => {
+                    identity = new Identity(Object.assign({}, defaultOptions, { sessionVerifier }));
+                    identity._sessionService.fetch = getSessionMock;
+                    const error = jest.fn();
+                    identity.on('error', error);
+                    await identity.hasSession();
 
-                await identity.hasSession();
+                    await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+                    expect(getSessionMock).toHaveBeenCalledTimes(2);
+                    expect(error).toHaveBeenCalledWith(expect.objectContaining({ code: 'invalid_session', message }));
+                });
 
-                // expiresOn should change after 1h
-                expect(getExpiresOn()).not.toBe(cacheExpires);
+                test('should throw on an invalid session verifier', () => {
+                    expect(() => new Identity(Object.assign({}, defaultOptions, { sessionVerifier: 'https://site.com/verify' })))
+                        .toThrowError(/sessionVerifier must be a function/);
+                });
             });
 
             test('should clear cache when explicitly called', async () => {
@@ -606,7 +1625,7 @@ describe('Identity', () => {
                 const spy = jest.spyOn(Identity.prototype, '_getTabId');
                 spy.mockImplementation(() => MOCK_TAB_ID);
 
-                await identity.hasSession();
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 'session_redirect' });
 
                 expect(defaultOptions.callbackBeforeRedirect).toHaveBeenCalled();
 
@@ -626,6 +1645,172 @@ describe('Identity', () => {
                 );
             });
         })
+
+        describe('redirectStrategy', () => {
+            const needsRefresh = () => ({ ok: true, json: () => Fixtures.sessionNeedsToBeRefreshedResponse });
+            const makeIdentity = (redirectStrategy, window) => {
+                const instance = new Identity(Object.assign({}, defaultOptions, { redirectStrategy, window }));
+                instance._sessionService.fetch = getSessionMock;
+                return instance;
+            };
+
+            beforeEach(() => {
+                jest.restoreAllMocks();
+                defaultOptions.window.location.href = 'http://test.no';
+            });
+
+            test('should throw on an invalid strategy', () => {
+                expect(() => new Identity(Object.assign({}, defaultOptions, { redirectStrategy: 'tab' })))
+                    .toThrowError(/redirectStrategy must be one of auto, manual, popup, iframe but it is tab/);
+                expect(() => new Identity(Object.assign({}, defaultOptions, { redirectStrategy: 'popup', redirectUri: undefined })))
+                    .toThrowError(/redirectUri is required for the popup redirectStrategy/);
+                expect(() => new Identity(Object.assign({}, defaultOptions, { redirectStrategy: 'iframe', redirectUri: undefined })))
+                    .toThrowError(/redirectUri is required for the iframe redirectStrategy/);
+            });
+
+            test('should leave the redirect to the site in manual mode', async () => {
+                identity = makeIdentity('manual', defaultOptions.window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+                const redirectRequired = jest.fn();
+                identity.on('sessionRedirectRequired', redirectRequired);
+
+                await expect(identity.hasSession()).rejects.toMatchObject({
+                    message: 'HasSession failed',
+                    code: 'session_redirect_required',
+                    url: expect.stringContaining('/refresh-cookie-test?'),
+                });
+                expect(redirectRequired).toHaveBeenCalledWith({ url: expect.stringContaining('/refresh-cookie-test?') });
+                expect(defaultOptions.window.location.href).toBe('http://test.no');
+                expect(defaultOptions.callbackBeforeRedirect).not.toHaveBeenCalled();
+                // and the next call asks the Session Service again
+                await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+            });
+
+            test('should refresh the session in a popup', async () => {
+                const refreshWindow = { location: {}, close: jest.fn() };
+                const window = { location: {}, screen: {}, open: jest.fn(() => refreshWindow) };
+                identity = makeIdentity('popup', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+                setTimeout(() => refreshWindow.location.href = `${defaultOptions.redirectUri}/`, 10);
+
+                await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+                expect(window.open).toHaveBeenCalledWith(expect.stringContaining('/refresh-cookie-test?'), 'Schibsted account', expect.any(String));
+                expect(refreshWindow.close).toHaveBeenCalled();
+                expect(getSessionMock).toHaveBeenCalledTimes(2);
+                expect(window.location.href).toBeUndefined();
+            });
+
+            test('should fail if the popup is blocked', async () => {
+                const window = { location: {}, screen: {}, open: jest.fn(() => null) };
+                identity = makeIdentity('popup', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 'popup_blocked' });
+            });
+
+            test('should fail if the popup is closed', async () => {
+                const refreshWindow = { location: {}, close: jest.fn() };
+                const window = { location: {}, screen: {}, open: jest.fn(() => refreshWindow) };
+                identity = makeIdentity('popup', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+                setTimeout(() => refreshWindow.closed = true, 10);
+
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 'popup_closed' });
+                expect(getSessionMock).toHaveBeenCalledTimes(1);
+            });
+
+            test('should fail with the error the popup comes back with', async () => {
+                const refreshWindow = { location: {}, close: jest.fn() };
+                const window = { location: {}, screen: {}, open: jest.fn(() => refreshWindow) };
+                identity = makeIdentity('popup', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+                setTimeout(() => refreshWindow.location.href = `${defaultOptions.redirectUri}/?error=access_denied`, 10);
+
+                await expect(identity.hasSession()).rejects.toMatchObject({ code: 'access_denied' });
+                expect(refreshWindow.close).toHaveBeenCalled();
+                expect(getSessionMock).toHaveBeenCalledTimes(1);
+            });
+
+            test('should refresh the session in a hidden iframe', async () => {
+                const window = createFrameWindow();
+                identity = makeIdentity('iframe', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+
+                const session = identity.hasSession();
+                await waitFor(() => window.frames.length > 0);
+                const [iframe] = window.frames;
+                expect(iframe.attributes.src).toContain('/refresh-cookie-test?');
+                window.dispatchMessage({
+                    source: iframe.contentWindow,
+                    origin: 'http://foo.com',
+                    data: { type: SILENT_LOGIN_MESSAGE, url: 'http://foo.com/' },
+                });
+
+                await expect(session).resolves.toEqual(Fixtures.sessionResponse);
+                expect(getSessionMock).toHaveBeenCalledTimes(2);
+            });
+
+            test('should fail if the iframe does not come back in time', async () => {
+                jest.useFakeTimers();
+                const window = createFrameWindow();
+                identity = makeIdentity('iframe', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+
+                const session = identity.hasSession();
+                for (let i = 0; i < 100 && !window.frames.length; i++) {
+                    await Promise.resolve();
+                }
+                jest.advanceTimersByTime(1000 * 30);
+                await expect(session).rejects.toMatchObject({ code: 'session_refresh_timeout' });
+                jest.useRealTimers();
+            });
+
+            test('should fail with the error the iframe comes back with', async () => {
+                const window = createFrameWindow();
+                identity = makeIdentity('iframe', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+
+                const session = identity.hasSession();
+                await waitFor(() => window.frames.length > 0);
+                window.dispatchMessage({
+                    source: window.frames[0].contentWindow,
+                    origin: 'http://foo.com',
+                    data: { type: SILENT_LOGIN_MESSAGE, url: 'http://foo.com/?error=server_error&error_description=Oops' },
+                });
+
+                await expect(session).rejects.toMatchObject({ code: 'server_error' });
+                expect(getSessionMock).toHaveBeenCalledTimes(1);
+            });
+
+            test('should fail with the error of an iframe that does not load', async () => {
+                const window = createFrameWindow();
+                identity = makeIdentity('iframe', window);
+                getSessionMock.mockImplementationOnce(needsRefresh);
+
+                const session = identity.hasSession();
+                await waitFor(() => window.frames.length > 0);
+                window.frames[0].onerror();
+
+                await expect(session).rejects.toMatchObject({ code: 'silent_login_load_error' });
+            });
+
+            test('should fail if the session still needs a redirect after refreshing it', async () => {
+                const window = createFrameWindow();
+                identity = makeIdentity('iframe', window);
+                getSessionMock.mockImplementationOnce(needsRefresh).mockImplementationOnce(needsRefresh);
+
+                const session = identity.hasSession();
+                await waitFor(() => window.frames.length > 0);
+                window.dispatchMessage({
+                    source: window.frames[0].contentWindow,
+                    origin: 'http://foo.com',
+                    data: { type: SILENT_LOGIN_MESSAGE, url: 'http://foo.com/' },
+                });
+
+                await expect(session).rejects.toMatchObject({ code: 'session_refresh_failed' });
+                expect(window.frames).toHaveLength(1);
+            });
+        });
     });
 
     describe('isLoggedIn', () => {
@@ -777,6 +1962,534 @@ describe('Identity', () => {
         });
     });
 
+    describe('cache namespace', () => {
+        const options = (extra) => Object.assign({}, defaultOptions, {
+            window: { location: {}, sessionStorage: global.window.sessionStorage },
+        }, extra);
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('keeps the sessions of different clients apart', async () => {
+            const first = new Identity(options());
+            const second = new Identity(options({ clientId: 'bar' }));
+            first._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+            second._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => ({ result: false }) }));
+
+            await expect(first.hasSession()).resolves.toMatchObject({ result: true });
+            await expect(second.hasSession()).resolves.toEqual({ result: false });
+            expect(window.sessionStorage.getItem('schacc-sdk:PRE:foo:hasSession-cache')).toBeTruthy();
+            expect(window.sessionStorage.getItem('schacc-sdk:PRE:bar:hasSession-cache')).toBeTruthy();
+        });
+
+        test('picks up a session cached by an older version', async () => {
+            const expiresOn = Date.now() + 60000;
+            window.sessionStorage.setItem('hasSession-cache', JSON.stringify({ expiresOn, value: Fixtures.sessionResponse }));
+            const identity = new Identity(options());
+            identity._sessionService.fetch = jest.fn();
+
+            await expect(identity.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+            expect(window.sessionStorage.getItem('hasSession-cache')).toBeNull();
+            expect(JSON.parse(window.sessionStorage.getItem('schacc-sdk:PRE:foo:hasSession-cache')).expiresOn)
+                .toBe(expiresOn);
+        });
+
+        test('keeps a redirect block set by an older version', async () => {
+            const expiresOn = Date.now() + 60000;
+            window.localStorage.setItem('sessionCallBlocked-cache', JSON.stringify({ expiresOn, value: true }));
+            const identity = new Identity(options({
+                window: { location: {}, sessionStorage: global.window.sessionStorage, localStorage: global.window.localStorage },
+            }));
+            identity._sessionService.fetch = jest.fn();
+
+            await identity.hasSession();
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+            expect(window.localStorage.getItem('sessionCallBlocked-cache')).toBeNull();
+            expect(JSON.parse(window.localStorage.getItem('schacc-sdk:PRE:foo:sessionCallBlocked-cache')).expiresOn)
+                .toBe(expiresOn);
+            window.localStorage.clear();
+        });
+
+        test('clearAllCachedData() removes only the data of this client', async () => {
+            const identity = new Identity(options());
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+            await identity.hasSession();
+            identity.createState();
+            window.sessionStorage.setItem('hasSession-cache', '{}');
+            window.sessionStorage.setItem('schacc-sdk:PRE:bar:hasSession-cache', '{}');
+            window.sessionStorage.setItem('unrelated', 'x');
+
+            identity.clearAllCachedData();
+            expect(Object.keys(window.sessionStorage).sort())
+                .toEqual(['schacc-sdk:PRE:bar:hasSession-cache', 'unrelated']);
+        });
+
+        test('logout() removes all data of this client', async () => {
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: {
+                location: {},
+                sessionStorage: global.window.sessionStorage,
+                localStorage: global.window.localStorage,
+            } }));
+            identity._blockSessionCall();
+            identity.createState();
+            identity.logout();
+            expect(Object.keys(window.sessionStorage)).toEqual([]);
+            expect(identity._isSessionCallBlocked()).toBeNull();
+        });
+    });
+
+    describe('session monitor', () => {
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        };
+        let identity;
+        let window;
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            jest.useFakeTimers();
+            window = Object.assign(new EventTarget(), { location: {} });
+            window.document = Object.assign(new EventTarget(), { visibilityState: 'visible' });
+            identity = new Identity(Object.assign({}, defaultOptions, { window }));
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+        });
+
+        afterEach(() => {
+            identity.stopSessionMonitor();
+            jest.useRealTimers();
+        });
+
+        test('throws on an invalid interval', () => {
+            expect(() => identity.startSessionMonitor({ interval: -1 }))
+                .toThrowError(/interval must be a positive integer/);
+        });
+
+        test('re-validates the session on every interval, bypassing the cache', async () => {
+            identity.startSessionMonitor({ interval: 60000 });
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('checks again when the session expires before the next interval', async () => {
+            const expiresIn = 1000 * Fixtures.sessionResponse.expiresIn;
+            identity.startSessionMonitor({ interval: 2 * expiresIn });
+
+            jest.advanceTimersByTime(2 * expiresIn);
+            await flush();
+            jest.advanceTimersByTime(expiresIn);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('emits logout when the session ends in the background', async () => {
+            await identity.hasSession();
+            const spy = jest.spyOn(identity, 'emit');
+            identity._sessionService.fetch.mockImplementationOnce(() => ({ ok: true, json: () => ({ result: false }) }));
+
+            identity.startSessionMonitor({ interval: 60000 });
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(spy.mock.calls.some(c => c[0] === 'logout')).toBe(true);
+        });
+
+        test('pauses while the page is hidden and checks when it is shown again', async () => {
+            identity.startSessionMonitor({ interval: 60000 });
+            window.document.visibilityState = 'hidden';
+            jest.advanceTimersByTime(5 * 60000);
+            await flush();
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+
+            window.document.visibilityState = 'visible';
+            window.document.dispatchEvent(new Event('visibilitychange'));
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('checks on focus and online', async () => {
+            identity.startSessionMonitor({ interval: 60000 });
+            window.dispatchEvent(new Event('focus'));
+            await flush();
+            window.dispatchEvent(new Event('online'));
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('does not call the Session Service while session calls are blocked', async () => {
+            identity._blockSessionCall();
+            identity.startSessionMonitor({ interval: 60000 });
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+
+            identity._unblockSessionCall();
+            jest.advanceTimersByTime(60000);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('reuses a hasSession() call that is already in flight', async () => {
+            const inFlight = identity.hasSession();
+            identity.startSessionMonitor({ interval: 60000 });
+            window.dispatchEvent(new Event('focus'));
+            await inFlight;
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('stops checking after stopSessionMonitor()', async () => {
+            identity.startSessionMonitor({ interval: 60000 });
+            identity.stopSessionMonitor();
+            jest.advanceTimersByTime(60000);
+            window.dispatchEvent(new Event('focus'));
+            window.document.dispatchEvent(new Event('visibilitychange'));
+            await flush();
+            expect(identity._sessionService.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('session expiry', () => {
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        };
+        const session = Fixtures.sessionResponse;
+        const serverNow = 1000 * session.serverTime;
+        const expiresAt = serverNow + 1000 * session.expiresIn;
+        let now;
+        let window;
+        let expiring;
+        let expired;
+
+        const createIdentity = (sessionExpiry) => {
+            const identity = new Identity(Object.assign({}, defaultOptions, { window, sessionExpiry }));
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => session }));
+            identity.on('sessionExpiring', expiring);
+            identity.on('sessionExpired', expired);
+            return identity;
+        };
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            jest.useFakeTimers();
+            now = jest.spyOn(Date, 'now').mockReturnValue(serverNow);
+            window = { location: {} };
+            expiring = jest.fn();
+            expired = jest.fn();
+        });
+
+        afterEach(() => {
+            jest.clearAllTimers();
+            jest.useRealTimers();
+        });
+
+        test('throws on invalid options', () => {
+            expect(() => createIdentity('yes')).toThrowError(/sessionExpiry must be a boolean or a SessionExpiryOptions object/);
+        });
+
+        test('emits sessionExpiring before and sessionExpired when the session expires', async () => {
+            const identity = createIdentity({ leadTime: 30 });
+            await identity.hasSession();
+
+            jest.advanceTimersByTime(1000 * (session.expiresIn - 31));
+            expect(expiring).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(1000);
+            expect(expiring).toHaveBeenCalledWith({ session, expiresAt });
+            expect(expired).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(1000 * 30);
+            expect(expired).toHaveBeenCalledWith({ session, expiresAt });
+        });
+
+        test('adjusts for the local clock being off', async () => {
+            const skew = 1000 * 60 * 60;
+            now.mockReturnValue(serverNow + skew);
+            const identity = createIdentity(true);
+            await identity.hasSession();
+
+            // A cached session is timed from when the server sent it, not from when it was read
+            now.mockReturnValue(serverNow + skew + 1000 * 100);
+            await identity.hasSession();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(1000 * (session.expiresIn - 100 - 60));
+            expect(expiring).toHaveBeenCalledWith({ session, expiresAt: expiresAt + skew });
+            jest.advanceTimersByTime(1000 * 60);
+            expect(expired).toHaveBeenCalledTimes(1);
+        });
+
+        test('refreshes the session before it expires if asked to', async () => {
+            const identity = createIdentity({ autoRefresh: true });
+            await identity.hasSession();
+            const refreshed = Object.assign({}, session, { serverTime: session.serverTime + 270 });
+            identity._sessionService.fetch.mockImplementation(() => ({ ok: true, json: () => refreshed }));
+
+            now.mockReturnValue(serverNow + 1000 * 270);
+            jest.advanceTimersByTime(1000 * 270);
+            await flush();
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+            expect(expiring).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(1000 * 30);
+            expect(expired).not.toHaveBeenCalled();
+        });
+
+        test('refreshes a session that is about to expire only once', async () => {
+            const identity = createIdentity({ autoRefresh: true });
+            const expiringSession = Object.assign({}, session, { expiresIn: 10 });
+            identity._sessionService.fetch.mockImplementation(() => ({ ok: true, json: () => expiringSession }));
+            await identity.hasSession();
+
+            for (let i = 0; i < 5; i++) {
+                jest.advanceTimersByTime(0);
+                await flush();
+            }
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(2);
+            jest.advanceTimersByTime(1000 * 10);
+            expect(expired).toHaveBeenCalledTimes(1);
+        });
+
+        test('emits nothing if it is not enabled or the user is not logged in', async () => {
+            await createIdentity(false).hasSession();
+            const identity = createIdentity(true);
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => ({ result: false, serverTime: session.serverTime, expiresIn: 300 }) }));
+            await identity.hasSession();
+
+            jest.advanceTimersByTime(1000 * session.expiresIn);
+            expect(expiring).not.toHaveBeenCalled();
+            expect(expired).not.toHaveBeenCalled();
+        });
+
+        test('stops the timers on logout', async () => {
+            const identity = createIdentity(true);
+            await identity.hasSession();
+            identity.logout();
+
+            jest.advanceTimersByTime(1000 * session.expiresIn);
+            expect(expiring).not.toHaveBeenCalled();
+            expect(expired).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('server clock', () => {
+        const session = Fixtures.sessionResponse;
+        const serverNow = 1000 * session.serverTime;
+        const localNow = serverNow - 1000 * 60 * 60;
+        let now;
+        let window;
+
+        const createIdentity = () => {
+            const identity = new Identity(Object.assign({}, defaultOptions, { window }));
+            identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => session }));
+            return identity;
+        };
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            now = jest.spyOn(Date, 'now').mockReturnValue(localNow);
+            window = { location: {}, sessionStorage: global.window.sessionStorage };
+        });
+
+        afterEach(() => {
+            global.window.sessionStorage.clear();
+        });
+
+        test('getServerTime() is corrected by the serverTime of the session', async () => {
+            const identity = createIdentity();
+            expect(identity.getServerTime()).toBe(localNow);
+            await identity.hasSession();
+            expect(identity.getServerTime()).toBe(serverNow);
+        });
+
+        test('remembers the clock offset for other pages', async () => {
+            await createIdentity().hasSession();
+            expect(createIdentity().getServerTime()).toBe(serverNow);
+        });
+
+        test('sets the varnish cookie to expire with the session, also from cache', async () => {
+            const cookies = [];
+            jest.spyOn(document, 'cookie', 'set').mockImplementation(cookie => cookies.push(cookie));
+            const identity = createIdentity();
+            identity.enableVarnishCookie();
+            const expires = new Date(localNow + 1000 * session.expiresIn).toUTCString();
+
+            await identity.hasSession();
+            now.mockReturnValue(localNow + 1000 * 100);
+            await identity.hasSession();
+
+            expect(identity._sessionService.fetch).toHaveBeenCalledTimes(1);
+            expect(cookies).toHaveLength(2);
+            expect(cookies[0]).toContain(`expires=${expires};`);
+            expect(cookies[1]).toContain(`expires=${expires};`);
+        });
+    });
+
+    describe('syncTabs', () => {
+        const webStorageMock = () => {
+            const mock = {
+                store: {},
+                setItem: (k, v) => mock.store[k] = v,
+                getItem: (k) => mock.store[k],
+                removeItem: (k) => delete mock.store[k],
+                key: (i) => Object.keys(mock.store)[i],
+                get length() { return Object.keys(mock.store).length; },
+            };
+            return mock;
+        };
+        let tabA;
+        let tabB;
+        let makeTab;
+
+        beforeEach(() => {
+            jest.restoreAllMocks();
+            // Web Locks that grant the lock to one request at a time, in order
+            let queue = Promise.resolve();
+            const locks = {
+                request: (name, callback) => {
+                    const result = queue.then(() => callback());
+                    queue = result.catch(() => {});
+                    return result;
+                },
+            };
+            const localStorage = webStorageMock();
+            const channels = [];
+            class BroadcastChannel {
+                constructor(name) {
+                    this.name = name;
+                    channels.push(this);
+                }
+                postMessage(data) {
+                    channels.filter(c => c !== this && c.name === this.name).forEach(c => c.onmessage({ data }));
+                }
+                close() {
+                    channels.splice(channels.indexOf(this), 1);
+                }
+            }
+            makeTab = (tabId) => {
+                const window = { location: {}, sessionStorage: webStorageMock(), localStorage, navigator: { locks }, BroadcastChannel };
+                const identity = new Identity(Object.assign({}, defaultOptions, { window, syncTabs: true }));
+                identity.sessionStorageCache.set('tab-id-cache', tabId, 60000);
+                identity._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionResponse }));
+                return identity;
+            };
+            tabA = makeTab(1);
+            tabB = makeTab(2);
+        });
+
+        test('emits login in the other tabs when a user logs in', async () => {
+            const spy = jest.spyOn(tabB, 'emit');
+            await tabA.hasSession();
+            expect(spy.mock.calls.some(c => c[0] === 'login')).toBe(true);
+            expect(tabB._session.userId).toBe(Fixtures.sessionResponse.userId);
+            expect(tabB._sessionService.fetch).not.toHaveBeenCalled();
+        });
+
+        test('does not re-emit when the other tab already knows the session', async () => {
+            await tabB.hasSession();
+            const spy = jest.spyOn(tabB, 'emit');
+            await tabA.hasSession();
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        test('emits logout in the other tabs on logout', async () => {
+            await tabA.hasSession();
+            const spy = jest.spyOn(tabB, 'emit');
+            tabA.logout();
+            expect(spy.mock.calls.some(c => c[0] === 'logout')).toBe(true);
+            expect(tabB._session).toEqual({});
+        });
+
+        test('invalidates the session cache in the other tabs', async () => {
+            await tabB.hasSession();
+            tabA.clearCachedUserSession();
+            await tabB.hasSession();
+            expect(tabB._sessionService.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('stops syncing and gives up its turn when destroyed', async () => {
+            tabB.startSessionMonitor();
+            const closeLock = jest.spyOn(tabB._tabLock, 'close');
+            const spy = jest.spyOn(tabB, 'emit');
+            tabB.destroy();
+
+            await tabA.hasSession();
+            expect(spy).not.toHaveBeenCalled();
+            expect(tabB._session).toEqual({});
+            expect(closeLock).toHaveBeenCalled();
+            expect(tabB._sessionMonitor).toBeNull();
+            // and it still works on its own
+            await expect(tabB.hasSession()).resolves.toEqual(Fixtures.sessionResponse);
+        });
+
+        test('ignores messages from the same tab', async () => {
+            const spy = jest.spyOn(tabB, 'emit');
+            tabB._onTabMessage({ type: 'logout', tabId: 2 });
+            tabB._onTabMessage({ type: 'session', tabId: 2, session: Fixtures.sessionResponse });
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        test('fetches the session in one tab only when many ask at once', async () => {
+            const tabs = [tabA, tabB, makeTab(3), makeTab(4)];
+            const sessions = await Promise.all(tabs.map(tab => tab.hasSession()));
+
+            sessions.forEach(session => expect(session).toEqual(Fixtures.sessionResponse));
+            const fetches = tabs.reduce((sum, tab) => sum + tab._sessionService.fetch.mock.calls.length, 0);
+            expect(fetches).toBe(1);
+            // and each tab caches what it got
+            await tabs[3].hasSession();
+            expect(tabs[3]._sessionService.fetch).not.toHaveBeenCalled();
+        });
+
+        test('shares "not logged in" with the other tabs', async () => {
+            const notLoggedIn = jest.fn(() => ({ ok: false, status: 400, statusText: 'No cookie present' }));
+            tabA._sessionService.fetch = notLoggedIn;
+            tabB._sessionService.fetch = notLoggedIn;
+
+            const results = await Promise.allSettled([tabA.hasSession(), tabB.hasSession()]);
+            results.forEach(({ status, reason }) => {
+                expect(status).toBe('rejected');
+                expect(reason).toMatchObject({ message: 'HasSession failed', code: 400 });
+            });
+            expect(notLoggedIn).toHaveBeenCalledTimes(1);
+        });
+
+        test('fetches again once the shared session is too old', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            await tabA.hasSession();
+            now.mockReturnValue(1000 + 1000 * 6);
+
+            await tabB.hasSession();
+            expect(tabB._sessionService.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('does the redirect to refresh the session in one tab only', async () => {
+            const needsRefresh = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionNeedsToBeRefreshedResponse }));
+            tabA._sessionService.fetch = needsRefresh;
+            tabB._sessionService.fetch = needsRefresh;
+
+            const [a, b] = await Promise.allSettled([tabA.hasSession(), tabB.hasSession()]);
+            expect(a.reason).toMatchObject({ code: 'session_redirect' });
+            expect(b.reason).toMatchObject({ code: 'session_redirect' });
+            expect(needsRefresh).toHaveBeenCalledTimes(1);
+            expect(tabA.window.location.href).toMatch(/\/refresh-cookie-test\?/);
+            expect(tabB.window.location.href).toBeUndefined();
+        });
+    });
+
     describe('getUserId', () => {
         let identity;
 
@@ -1195,6 +2908,43 @@ describe('Identity', () => {
         })
     });
 
+    describe('useInterceptor', () => {
+        test('should run the interceptor for requests of every service', async () => {
+            const identity = new Identity(defaultOptions);
+            const onRequest = jest.fn();
+            identity.useInterceptor({ onRequest });
+            const services = ['_spid', '_oauthService', '_bffService', '_sessionService', '_globalSessionService'];
+            for (const service of services) {
+                identity[service].fetch = jest.fn(async () => ({ ok: true, json: async () => ({}) }));
+                await identity[service].get('/');
+            }
+            expect(onRequest).toHaveBeenCalledTimes(services.length);
+        });
+
+        test('should keep applying to services recreated with a new server url', async () => {
+            const identity = new Identity(defaultOptions);
+            const onRequest = jest.fn();
+            identity.useInterceptor({ onRequest });
+            identity._setSessionServiceUrl('http://other.foo.com');
+            identity._sessionService.fetch = jest.fn(async () => ({ ok: true, json: async () => ({}) }));
+            await identity._sessionService.get('/');
+            expect(onRequest).toHaveBeenCalledTimes(1);
+        });
+
+        test('should return a function that removes the interceptor', () => {
+            const identity = new Identity(defaultOptions);
+            const eject = identity.useInterceptor({ onError: () => {} });
+            eject();
+            expect(identity._sessionService.interceptors).toEqual([]);
+        });
+
+        test('should throw on an invalid interceptor', () => {
+            const identity = new Identity(defaultOptions);
+            expect(() => identity.useInterceptor({ onRequest: 'nope' }))
+                .toThrowError(/interceptor must have an onRequest, onResponse or onError function/);
+        });
+    });
+
     describe('logSettings', () => {
         test('should print settings and version', () => {
             const window = { location: {} };
@@ -1243,5 +2993,37 @@ describe('Identity', () => {
 
             window.console = console;
         })
+
+        test('should pass a log event to a structured logger', () => {
+            const log = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: { location: {} }, log }));
+            identity.logSettings();
+
+            expect(log.info).toHaveBeenCalledWith({
+                level: 'info',
+                event: 'settings',
+                message: 'Schibsted account SDK for browsers settings',
+                data: {
+                    clientId: defaultOptions.clientId,
+                    redirectUri: defaultOptions.redirectUri,
+                    env: 'PRE',
+                    sessionDomain: defaultOptions.sessionDomain,
+                    sdkVersion: version
+                },
+            });
+        })
+
+        test('should respect the log level', () => {
+            const log = jest.fn();
+            const identity = new Identity(Object.assign({}, defaultOptions, { window: { location: {} }, log, logLevel: 'warn' }));
+            identity.logSettings();
+
+            expect(log).not.toHaveBeenCalled();
+        })
+
+        test('should throw on an invalid log level', () => {
+            expect(() => new Identity(Object.assign({}, defaultOptions, { logLevel: 'verbose' })))
+                .toThrowError(/logLevel must be one of debug, info, warn, error, silent/);
+        })
     })
 });
@@ -0,0 +1,110 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { Logger, redact, REDACTED } from '../src/logger.js';
+
+describe('redact', () => {
+    test('replaces sensitive fields at any depth', () => {
+        const session = { userId: 123, userStatus: 'connected', sig: 'abc.def', user: { email: 'a@b.no', emails: [{ email: 'c@d.no' }] } };
+        expect(redact(session)).toEqual({
+            userId: REDACTED,
+            userStatus: 'connected',
+            sig: REDACTED,
+            user: { email: REDACTED, emails: [{ email: REDACTED }] },
+        });
+    });
+
+    test('does not change the original value', () => {
+        const session = { sp_id: 'foo' };
+        redact(session);
+        expect(session).toEqual({ sp_id: 'foo' });
+    });
+
+    test('matches field names case insensitively', () => {
+        expect(redact({ PairID: 1, Authorization: 'Bearer foo' })).toEqual({ PairID: REDACTED, Authorization: REDACTED });
+    });
+
+    test('keeps null and undefined values', () => {
+        expect(redact({ email: null })).toEqual({ email: null });
+    });
+
+    test('replaces sensitive parameters in urls', () => {
+        expect(redact('https://site.com/callback?code=123&foo=bar#id_token=abc&state=xyz'))
+            .toBe(`https://site.com/callback?code=${REDACTED}&foo=bar#id_token=${REDACTED}&state=${REDACTED}`);
+        expect(redact('https://site.com/path')).toBe('https://site.com/path');
+    });
+
+    test('replaces sensitive parameters in form encoded strings', () => {
+        expect(redact('grant_type=authorization_code&code=123&code_verifier=abc'))
+            .toBe(`grant_type=authorization_code&code=${REDACTED}&code_verifier=${REDACTED}`);
+    });
+
+    test('leaves other strings alone', () => {
+        expect(redact('code is 123')).toBe('code is 123');
+    });
+
+    test('uses the fields it is given', () => {
+        expect(redact({ foo: 1, email: 2 }, ['foo'])).toEqual({ foo: REDACTED, email: 2 });
+    });
+});
+
+describe('Logger', () => {
+    test('throws on invalid options', () => {
+        expect(() => new Logger({ log: 'console' }))
+            .toThrowError(/log must be a function or an object with debug, info, warn and error functions/);
+        expect(() => new Logger({ log: { debug() {} } }))
+            .toThrowError(/log must be a function or an object with debug, info, warn and error functions/);
+        expect(() => new Logger({ level: 'verbose' }))
+            .toThrowError(/logLevel must be one of debug, info, warn, error, silent but it is verbose/);
+        expect(() => new Logger({ redactFields: 'foo' }))
+            .toThrowError(/redactFields must be an array of field names/);
+    });
+
+    test('does nothing without a log', () => {
+        const logger = new Logger();
+        expect(logger.isEnabled('error')).toBe(false);
+        expect(() => logger.error('foo', 'Foo')).not.toThrow();
+    });
+
+    test('passes redacted log events to a structured logger', () => {
+        const log = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        new Logger({ log }).warn('response', 'Response', { email: 'a@b.no', status: 200 });
+        expect(log.warn).toHaveBeenCalledWith({
+            level: 'warn',
+            event: 'response',
+            message: 'Response',
+            data: { email: REDACTED, status: 200 },
+        });
+    });
+
+    test('passes redacted strings to a log function', () => {
+        const log = jest.fn();
+        new Logger({ log }).debug('response', 'Response', { email: 'a@b.no' });
+        expect(log).toHaveBeenCalledWith(`Response: \n${JSON.stringify({ email: REDACTED }, null, 2)}`);
+    });
+
+    test('skips events below the level', () => {
+        const log = jest.fn();
+        const logger = new Logger({ log, level: 'warn' });
+        logger.debug('foo', 'Foo');
+        logger.info('foo', 'Foo');
+        logger.warn('foo', 'Foo');
+        logger.error('foo', 'Foo');
+        expect(log).toHaveBeenCalledTimes(2);
+    });
+
+    test('logs nothing when silent', () => {
+        const log = jest.fn();
+        new Logger({ log, level: 'silent' }).error('foo', 'Foo');
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    test('redacts extra fields on top of the default ones', () => {
+        const log = jest.fn();
+        new Logger({ log, redactFields: ['tabId'] }).debug('foo', 'Foo', { tabId: 1, sig: 'x', foo: 'bar' });
+        expect(log).toHaveBeenCalledWith(`Foo: \n${JSON.stringify({ tabId: REDACTED, sig: REDACTED, foo: 'bar' }, null, 2)}`);
+    });
+});
@@ -7,6 +7,10 @@
 jest.mock('../src/RESTClient.js');
 
 import Monetization from '../monetization.js';
+import Payment from '../payment.js';
+import EventEmitter from 'tiny-emitter';
+import Identity from '../identity.js';
+import SDKError from '../src/SDKError.js';
 
 describe('Monetization', () => {
 
@@ -37,6 +41,20 @@ describe('Monetization', () => {
             const mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
             expect(mon._sessionService).toBeDefined();
         });
+
+        test('should keep its cache apart from other clients', () => {
+            const mon = new Monetization({ clientId: 'a', env: 'PRO' });
+            mon.cache.set('prd_1_2', { entitled: true }, 1000);
+            expect(window.sessionStorage.getItem('schacc-sdk:PRO:a:monetization:prd_1_2')).toBeTruthy();
+        });
+
+        test('should accept a storage adapter', () => {
+            expect(() => new Monetization({ clientId: 'a', storage: { get: () => {} } }))
+                .toThrowError(/storage parameter is not a valid storage adapter/);
+            const storage = { get: () => null, set: () => {}, delete: () => {}, keys: () => [] };
+            const mon = new Monetization({ clientId: 'a', storage });
+            expect(mon.cache.cache).toBe(storage);
+        });
     });
 
     describe('hasAccess()', () => {
@@ -107,6 +125,642 @@ describe('Monetization', () => {
         });
     });
 
+    describe('identity', () => {
+        let identity;
+        let mon;
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        };
+
+        beforeEach(() => {
+            identity = new EventEmitter();
+            identity.hasSession = jest.fn(async () => ({ userId: 12345 }));
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', identity });
+        });
+
+        test('should throw if it is not an Identity', () => {
+            expect(() => new Monetization({ clientId: 'a', identity: {} }))
+                .toThrowError(/identity parameter is not a valid Identity instance/);
+        });
+
+        test('should take the user from the session', async () => {
+            await expect(mon.hasAccess(['existing'])).resolves.toMatchObject({ entitled: true });
+            expect(mon.cache.get(mon._accessCacheKey(['existing'], 12345))).not.toBeNull();
+            await expect(mon.hasAccessBatch(['existing'])).resolves.toEqual({ existing: true });
+            expect(identity.hasSession).toHaveBeenCalledTimes(2);
+        });
+
+        test('should still use a given userId', async () => {
+            await mon.hasAccess(['existing'], 54321);
+            expect(identity.hasSession).not.toHaveBeenCalled();
+            expect(mon.cache.get(mon._accessCacheKey(['existing'], 54321))).not.toBeNull();
+        });
+
+        test('should reject if nobody is logged in', async () => {
+            identity.hasSession.mockImplementationOnce(async () => ({ result: false }));
+            await expect(mon.hasAccess(['existing'])).rejects
+                .toMatchObject({ code: 'not_logged_in', message: 'The user is not logged in' });
+            const error = new Error('No session found');
+            identity.hasSession.mockImplementationOnce(async () => {
+                throw error;
+            });
+            await expect(mon.hasAccessBatch(['existing'])).rejects.toBe(error);
+            expect(mon._sessionService.go).not.toHaveBeenCalled();
+        });
+
+        test('should check again on login', async () => {
+            const hasAccess = jest.fn();
+            mon.on('hasAccess', hasAccess);
+            identity.hasSession.mockImplementationOnce(async () => ({ result: false }));
+            await expect(mon.hasAccess(['existing'])).rejects.toMatchObject({ code: 'not_logged_in' });
+
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(hasAccess).toHaveBeenCalledWith({ ids: ['existing'], data: expect.objectContaining({ entitled: true }) });
+
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(hasAccess).toHaveBeenCalledTimes(1);
+        });
+
+        test('should emit failed checks on login', async () => {
+            const error = jest.fn();
+            mon.on('error', error);
+            identity.hasSession.mockImplementationOnce(async () => ({ result: false }));
+            await expect(mon.hasAccess(['existing'])).rejects.toMatchObject({ code: 'not_logged_in' });
+            mon._sessionService.go.mockImplementationOnce(async () => {
+                throw new Error('offline');
+            });
+
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(error).toHaveBeenCalledWith(new Error('offline'));
+        });
+
+        test('should stop listening to the session when destroyed', async () => {
+            await mon.hasAccess(['existing']);
+            mon.destroy();
+            identity.emit('logout');
+            expect(mon.cache.get(mon._accessCacheKey(['existing'], 12345))).not.toBeNull();
+        });
+
+        test.each(['logout', 'userChange'])('should leave the cached data of Identity alone on %s', async (event) => {
+            const realIdentity = new Identity({
+                clientId: 'a',
+                redirectUri: 'http://foo.com',
+                sessionDomain: 'https://session.example',
+                window,
+            });
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', identity: realIdentity });
+            realIdentity.sessionStorageCache.set('hasSession-cache', { userId: 12345 }, 1000 * 60);
+            const tabId = realIdentity._getTabId();
+            await mon.hasAccess(['existing'], 12345);
+
+            realIdentity.emit(event, {});
+            expect(mon.cache.get(mon._accessCacheKey(['existing'], 12345))).toBeNull();
+            expect(realIdentity.sessionStorageCache.get('hasSession-cache')).toEqual({ userId: 12345 });
+            expect(realIdentity._getTabId()).toBe(tabId);
+        });
+
+        test.each(['logout', 'userChange'])('should clear the cached access results on %s', async (event) => {
+            await mon.hasAccess(['existing']);
+            await mon.hasAccessBatch(['existing'], 54321);
+            identity.emit(event, {});
+            expect(mon.cache.get(mon._accessCacheKey(['existing'], 12345))).toBeNull();
+            expect(mon.cache.get(mon._productAccessCacheKey('existing', 54321))).toBeNull();
+            expect(mon._accessResults).toEqual({});
+        });
+    });
+
+    describe('grace mode', () => {
+        const gracePeriod = 1000 * 60 * 60;
+        const access = { entitled: true, allowedFeatures: ['a'], ttl: 10 };
+        const timeout = new SDKError('Request timed out after 100ms', { code: 'request_timeout' });
+        let mon;
+        let now;
+        const respond = (data) => mon._sessionService.go.mockImplementationOnce(async () => data);
+        const fail = (err) => mon._sessionService.go.mockImplementationOnce(async () => {
+            throw err;
+        });
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        };
+
+        beforeEach(() => {
+            window.localStorage.clear();
+            jest.useFakeTimers();
+            now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', gracePeriod });
+        });
+
+        afterEach(() => {
+            mon.destroy();
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('should throw if gracePeriod is invalid', () => {
+            expect(() => new Monetization({ clientId: 'a', gracePeriod: -1 }))
+                .toThrowError(/gracePeriod must be a non-negative number but it is -1/);
+        });
+
+        test('should serve the last positive result when the check fails', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).resolves.toEqual(Object.assign({}, access, { stale: true }));
+        });
+
+        test('should keep the last positive result across pages', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            window.sessionStorage.clear();
+            const other = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', gracePeriod });
+            other._sessionService.go.mockImplementationOnce(async () => {
+                throw timeout;
+            });
+            await expect(other.hasAccess(['a'], 12345)).resolves.toMatchObject({ entitled: true, stale: true });
+            other.destroy();
+        });
+
+        test('should not serve results older than the grace period', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + gracePeriod);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).rejects.toBe(timeout);
+        });
+
+        test('should not serve results of other users or products', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 54321)).rejects.toBe(timeout);
+            fail(timeout);
+            await expect(mon.hasAccess(['a', 'b'], 12345)).rejects.toBe(timeout);
+        });
+
+        test('should forget the result when the user loses access', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 120);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).rejects.toBe(timeout);
+        });
+
+        test('should not answer errors from the session-service', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            const unauthorized = new SDKError('Unauthorized', { code: 401 });
+            fail(unauthorized);
+            await expect(mon.hasAccess(['a'], 12345)).rejects.toBe(unauthorized);
+            const exhausted = new SDKError('Service Unavailable', { code: 'retries_exhausted', status: 503 });
+            fail(exhausted);
+            await expect(mon.hasAccess(['a'], 12345)).resolves.toMatchObject({ stale: true });
+        });
+
+        test('should not keep anything when it is off', async () => {
+            mon.destroy();
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).rejects.toBe(timeout);
+            expect(window.localStorage.length).toBe(0);
+        });
+
+        test('should check again in the background', async () => {
+            const revoked = jest.fn();
+            mon.on('accessRevoked', revoked);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await mon.hasAccess(['a'], 12345);
+
+            fail(timeout);
+            jest.advanceTimersByTime(1000 * 30);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(3);
+
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+            jest.advanceTimersByTime(1000 * 30);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(4);
+            expect(revoked).toHaveBeenCalledWith({ ids: ['a'], data: expect.objectContaining({ entitled: false }) });
+            jest.advanceTimersByTime(1000 * 60);
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(4);
+        });
+
+        test('should check again when the browser is back online', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await mon.hasAccess(['a'], 12345);
+
+            respond(access);
+            window.dispatchEvent(new window.Event('online'));
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(3);
+            await expect(mon.hasAccess(['a'], 12345)).resolves.toEqual(access);
+        });
+
+        test('should emit accessRevoked when the browser is back online and access is gone', async () => {
+            const revoked = jest.fn();
+            mon.on('accessRevoked', revoked);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).resolves.toMatchObject({ stale: true });
+
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+            window.dispatchEvent(new window.Event('online'));
+            await flush();
+            expect(revoked).toHaveBeenCalledWith({ ids: ['a'], data: expect.objectContaining({ entitled: false }) });
+            expect(mon._graceCache.get(mon._accessCacheKey(['a'], 12345))).toBeNull();
+        });
+
+        test('should emit error when a check in the background fails', async () => {
+            const error = jest.fn();
+            mon.on('error', error);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await mon.hasAccess(['a'], 12345);
+
+            now.mockReturnValue(1000 + gracePeriod);
+            fail(timeout);
+            jest.advanceTimersByTime(1000 * 30);
+            await flush();
+            expect(error).toHaveBeenCalledWith(timeout);
+            jest.advanceTimersByTime(1000 * 60);
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(3);
+        });
+
+        test('should only listen once for each instance and stop when destroyed', async () => {
+            const other = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', gracePeriod });
+            const refresh = jest.spyOn(Monetization.prototype, '_refreshStaleAccess');
+            window.dispatchEvent(new window.Event('online'));
+            expect(refresh).toHaveBeenCalledTimes(2);
+
+            other.destroy();
+            mon.destroy();
+            window.dispatchEvent(new window.Event('online'));
+            expect(refresh).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not check again in the background when destroyed', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 60);
+            fail(timeout);
+            await mon.hasAccess(['a'], 12345);
+
+            mon.destroy();
+            jest.advanceTimersByTime(1000 * 60);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+        });
+
+        test('should forget the results with the other cached results', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            mon.clearAllCachedAccessResults();
+            fail(timeout);
+            await expect(mon.hasAccess(['a'], 12345)).rejects.toBe(timeout);
+        });
+    });
+
+    describe('access events', () => {
+        let mon;
+        const respond = (data) => mon._sessionService.go.mockImplementationOnce(async () => data);
+        const access = { entitled: true, allowedFeatures: ['a'], ttl: 10 };
+        const noAccess = { entitled: false, allowedFeatures: [], ttl: 10 };
+        let events;
+
+        beforeEach(() => {
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
+            events = [];
+            ['accessGranted', 'accessRevoked', 'accessExpired'].forEach(name => mon.on(name, e => events.push([name, e])));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should not emit anything on the first check', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            expect(events).toEqual([]);
+        });
+
+        test('should emit accessGranted when the user gets access', async () => {
+            respond(noAccess);
+            await mon.hasAccess(['a'], 12345);
+            mon.clearCachedAccessResult(['a'], 12345);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            expect(events).toEqual([['accessGranted', { ids: ['a'], data: access }]]);
+        });
+
+        test('should emit accessRevoked when the user loses access', async () => {
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            mon.clearCachedAccessResult(['a'], 12345);
+            respond(noAccess);
+            await mon.hasAccess(['a'], 12345);
+            expect(events).toEqual([['accessRevoked', { ids: ['a'], data: noAccess }]]);
+        });
+
+        test('should emit accessExpired when access runs out of the cache', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            now.mockReturnValue(1000 + 1000 * 10);
+            respond(access);
+            await mon.hasAccess(['a'], 12345);
+            expect(events).toEqual([['accessExpired', { ids: ['a'] }]]);
+        });
+
+        test('should keep product sets and users apart', async () => {
+            respond(access);
+            await mon.hasAccess(['a', 'b'], 12345);
+            respond(noAccess);
+            await mon.hasAccess(['a'], 12345);
+            respond(noAccess);
+            await mon.hasAccess(['a', 'b'], 54321);
+            expect(events).toEqual([]);
+        });
+    });
+
+    describe('watchAccess()', () => {
+        let mon;
+        let stop;
+        const respond = (data) => mon._sessionService.go.mockImplementationOnce(async () => data);
+        const flush = async () => {
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
+        });
+
+        afterEach(() => {
+            stop();
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('should check again when the result runs out of the cache', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            const revoked = jest.fn();
+            mon.on('accessRevoked', revoked);
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            stop = mon.watchAccess(['a'], 12345);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+
+            now.mockReturnValue(1000 + 1000 * 60);
+            respond({ entitled: false, allowedFeatures: [], ttl: 60 });
+            jest.advanceTimersByTime(1000 * 60);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+            expect(revoked).toHaveBeenCalled();
+        });
+
+        test('should check again when a purchase comes back', async () => {
+            const payment = new Payment({ clientId: 'a' });
+            const granted = jest.fn();
+            mon.on('accessGranted', granted);
+            respond({ entitled: false, allowedFeatures: [], ttl: 60 });
+            stop = mon.watchAccess(['a'], 12345, { payment });
+            await flush();
+
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            payment.emit('purchaseReturn', { url: 'http://redirect.foo/' });
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+            expect(granted).toHaveBeenCalledWith({ ids: ['a'], data: expect.objectContaining({ entitled: true }) });
+        });
+
+        test('should check again on the page a purchase flow redirects back to', async () => {
+            const makePayment = href => new Payment({
+                clientId: 'a',
+                redirectUri: 'http://redirect.foo',
+                window: { location: { href }, sessionStorage: window.sessionStorage },
+            });
+            respond({ entitled: false, allowedFeatures: [], ttl: 60 });
+            stop = mon.watchAccess(['a'], 12345, { payment: makePayment('http://site.foo/') });
+            await flush();
+            stop();
+            const payment = makePayment('http://site.foo/');
+            payment.redirectToPurchase(payment.purchaseProductFlowUrl('a'));
+
+            // the page load after the purchase
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            stop = mon.watchAccess(['a'], 12345, { payment: makePayment('http://redirect.foo/?order=1') });
+            await flush();
+            // instead of the cached result from before the purchase
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+            await expect(mon.hasAccess(['a'], 12345)).resolves.toMatchObject({ entitled: true });
+        });
+
+        test('should emit failed checks and try again later', async () => {
+            const error = jest.fn();
+            mon.on('error', error);
+            mon._sessionService.go.mockImplementationOnce(async () => {
+                throw new Error('offline');
+            });
+            stop = mon.watchAccess(['a'], 12345);
+            await flush();
+            expect(error).toHaveBeenCalledWith(new Error('offline'));
+
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            jest.advanceTimersByTime(1000 * 30);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+        });
+
+        test('should take the user from the session of identity', async () => {
+            const identity = new EventEmitter();
+            identity.hasSession = jest.fn(async () => ({ userId: 12345 }));
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', identity });
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            stop = mon.watchAccess(['a']);
+            await flush();
+            expect(mon.cache.get(mon._accessCacheKey(['a'], 12345))).toMatchObject({ entitled: true });
+
+            identity.hasSession.mockImplementation(async () => ({ userId: 54321 }));
+            now.mockReturnValue(1000 + 1000 * 60);
+            respond({ entitled: false, allowedFeatures: [], ttl: 60 });
+            jest.advanceTimersByTime(1000 * 60);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+            expect(mon.cache.get(mon._accessCacheKey(['a'], 54321))).toMatchObject({ entitled: false });
+        });
+
+        test('should emit and try again later if nobody is logged in to identity', async () => {
+            const identity = new EventEmitter();
+            identity.hasSession = jest.fn(async () => ({ result: false }));
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example', identity });
+            const error = jest.fn();
+            mon.on('error', error);
+            stop = mon.watchAccess(['a']);
+            await flush();
+            expect(error).toHaveBeenCalledWith(expect.objectContaining({ code: 'not_logged_in' }));
+            expect(mon._sessionService.go).not.toHaveBeenCalled();
+
+            identity.hasSession.mockImplementation(async () => ({ userId: 12345 }));
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 60 });
+            jest.advanceTimersByTime(1000 * 30);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+        });
+
+        test('should stop watching', async () => {
+            const payment = new Payment({ clientId: 'a' });
+            respond({ entitled: false, allowedFeatures: [], ttl: 60 });
+            stop = mon.watchAccess(['a'], 12345, { payment });
+            await flush();
+            stop();
+
+            payment.emit('purchaseReturn', { url: 'http://redirect.foo/' });
+            jest.advanceTimersByTime(1000 * 60 * 60);
+            await flush();
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+        });
+
+        test('should throw on invalid input', () => {
+            stop = () => {};
+            expect(() => mon.watchAccess([], 12345)).toThrowError(/'productIds' must be a non empty array/);
+            expect(() => mon.watchAccess(['a'])).toThrowError(/'userId' must be specified/);
+            expect(() => mon.watchAccess(['a'], 12345, { payment: {} })).toThrowError(/payment must be a Payment instance/);
+        });
+    });
+
+    describe('hasAccessBatch()', () => {
+        let mon;
+        const respond = (data) => mon._sessionService.go.mockImplementationOnce(async () => data);
+
+        beforeEach(() => {
+            mon = new Monetization({ clientId: 'a', sessionDomain: 'https://session.example' });
+        });
+
+        test('should check all products in one request', async () => {
+            respond({ entitled: true, allowedFeatures: ['c', 'a'], ttl: 10, userId: 12345 });
+            await expect(mon.hasAccessBatch(['c', 'b', 'a'], 12345)).resolves.toEqual({ a: true, b: false, c: true });
+
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+            expect(mon._sessionService.go.mock.calls[0][0].pathname).toBe('/hasAccess/a,b,c');
+        });
+
+        test('should only fetch the products that are not cached', async () => {
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 10 });
+            await mon.hasAccessBatch(['a', 'b'], 12345);
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+
+            await expect(mon.hasAccessBatch(['b', 'c', 'a', 'c'], 12345)).resolves.toEqual({ a: true, b: false, c: false });
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+            expect(mon._sessionService.go.mock.calls[1][0].pathname).toBe('/hasAccess/c');
+
+            await mon.hasAccessBatch(['a', 'b', 'c'], 12345);
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(2);
+        });
+
+        test('should check the products one at a time if the response does not list them', async () => {
+            respond({ entitled: true, ttl: 10 });
+            respond({ entitled: true, ttl: 10 });
+            respond({ entitled: false, ttl: 10 });
+            await expect(mon.hasAccessBatch(['b', 'a'], 12345)).resolves.toEqual({ a: true, b: false });
+
+            const paths = mon._sessionService.go.mock.calls.map(([{ pathname }]) => pathname);
+            expect(paths).toEqual(['/hasAccess/a,b', '/hasAccess/a', '/hasAccess/b']);
+            await expect(mon.hasAccessBatch(['a', 'b'], 12345)).resolves.toEqual({ a: true, b: false });
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(3);
+        });
+
+        test('should trust a negative response that does not list the products', async () => {
+            respond({ entitled: false, ttl: 10 });
+            await expect(mon.hasAccessBatch(['a', 'b'], 12345)).resolves.toEqual({ a: false, b: false });
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reuse products cached by hasAccess()', async () => {
+            await mon.hasAccess(['existing'], 12345);
+
+            await expect(mon.hasAccessBatch(['existing'], 12345)).resolves.toEqual({ existing: true });
+            expect(mon._sessionService.go).toHaveBeenCalledTimes(1);
+        });
+
+        test('should cache each product by the ttl of its response', async () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 10 });
+            await mon.hasAccessBatch(['a'], 12345);
+            respond({ entitled: true, allowedFeatures: ['b'], ttl: 60 });
+            await mon.hasAccessBatch(['b'], 12345);
+
+            now.mockReturnValue(1000 + 1000 * 30);
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 10 });
+            await mon.hasAccessBatch(['a', 'b'], 12345);
+            expect(mon._sessionService.go.mock.calls[2][0].pathname).toBe('/hasAccess/a');
+            now.mockRestore();
+        });
+
+        test('should cache the products per user', async () => {
+            respond({ entitled: true, allowedFeatures: ['a'], ttl: 10 });
+            await mon.hasAccessBatch(['a'], 12345);
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+
+            await expect(mon.hasAccessBatch(['a'], 54321)).resolves.toEqual({ a: false });
+        });
+
+        test('should emit hasAccess if the user has access to any of the products', async () => {
+            const listener = jest.fn();
+            mon.on('hasAccess', listener);
+            const data = { entitled: true, allowedFeatures: ['a'], ttl: 10 };
+            respond(data);
+            await mon.hasAccessBatch(['a', 'b'], 12345);
+            expect(listener).toHaveBeenCalledWith({ ids: ['a', 'b'], data });
+        });
+
+        test('should clear the cached products when explicitly called', async () => {
+            respond({ entitled: true, allowedFeatures: ['a', 'b'], ttl: 10 });
+            await mon.hasAccessBatch(['a', 'b'], 12345);
+            mon.clearCachedAccessResult(['a'], 12345);
+            respond({ entitled: false, allowedFeatures: [], ttl: 10 });
+
+            await expect(mon.hasAccessBatch(['a', 'b'], 12345)).resolves.toEqual({ a: false, b: true });
+        });
+
+        test('should throw on invalid input', async () => {
+            await expect(mon.hasAccessBatch(['a'])).rejects.toMatchObject({ message: `'userId' must be specified` });
+            await expect(mon.hasAccessBatch('a', 12345))
+                .rejects.toMatchObject({ message: `'productIds' must be an array of product ids` });
+            await expect(mon.hasAccessBatch([1], 12345))
+                .rejects.toMatchObject({ message: `'productIds' must be an array of product ids` });
+            await expect(new Monetization({ clientId: 'a' }).hasAccessBatch(['a'], 12345))
+                .rejects.toMatchObject({ message: `hasAccessBatch can only be called if 'sessionDomain' is configured` });
+        });
+    });
+
     describe('productsUrl', () => {
         test('should complain with no redirect_uri', () => {
             const mon = new Monetization({ clientId: 'a' });
@@ -0,0 +1,148 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { decodeJwt, findJwk, validateIdTokenClaims, verifyJwtSignature } from '../src/oidc.js';
+import { createSigningKey } from './utils.js';
+
+import { TextEncoder, TextDecoder } from 'util';
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+
+Object.assign(global, { TextEncoder, TextDecoder });
+Object.defineProperty(global.self, 'crypto', {
+    value: {
+        subtle: crypto.webcrypto.subtle,
+        getRandomValues: (array) => crypto.webcrypto.getRandomValues(array),
+    },
+});
+
+describe('oidc', () => {
+    describe('decodeJwt', () => {
+        test('decodes the header and payload', async () => {
+            const { sign } = await createSigningKey();
+            const jwt = decodeJwt(await sign({ sub: 'foo', name: 'Bjørn' }));
+            expect(jwt.header).toEqual({ alg: 'ES256', kid: 'test-key', typ: 'JWT' });
+            expect(jwt.payload).toEqual({ sub: 'foo', name: 'Bjørn' });
+            expect(jwt.signature).toHaveLength(64);
+        });
+
+        test('throws if it is not a JWT', () => {
+            const error = expect.objectContaining({ name: 'SDKError', code: 'invalid_token' });
+            expect(() => decodeJwt('idt')).toThrowError(error);
+            expect(() => decodeJwt('a.b.c')).toThrowError(error);
+            expect(() => decodeJwt(null)).toThrowError(error);
+        });
+    });
+
+    describe('findJwk', () => {
+        const jwks = { keys: [
+            { kid: 'enc', use: 'enc', alg: 'RS256' },
+            { kid: 'one', use: 'sig', alg: 'RS256' },
+            { kid: 'two', alg: 'ES256' },
+        ] };
+
+        test('finds the key by kid and alg', () => {
+            expect(findJwk(jwks, { kid: 'two', alg: 'ES256' })).toBe(jwks.keys[2]);
+            expect(findJwk(jwks, { kid: 'two', alg: 'RS256' })).toBeNull();
+            expect(findJwk(jwks, { kid: 'three', alg: 'RS256' })).toBeNull();
+        });
+
+        test('skips encryption keys', () => {
+            expect(findJwk(jwks, { alg: 'RS256' })).toBe(jwks.keys[1]);
+            expect(findJwk(jwks, { kid: 'enc', alg: 'RS256' })).toBeNull();
+        });
+
+        test('handles a malformed JWKS', () => {
+            expect(findJwk({}, { kid: 'one' })).toBeNull();
+            expect(findJwk(null, { kid: 'one' })).toBeNull();
+        });
+    });
+
+    describe('verifyJwtSignature', () => {
+        test('verifies ES256 and RS256 signatures', async () => {
+            for (const alg of ['ES256', 'RS256']) {
+                const { jwk, sign } = await createSigningKey(alg);
+                await expect(verifyJwtSignature(decodeJwt(await sign({ sub: 'foo' })), jwk)).resolves.toBe(true);
+            }
+        });
+
+        test('rejects a token signed with another key', async () => {
+            const { jwk } = await createSigningKey();
+            const { sign } = await createSigningKey();
+            await expect(verifyJwtSignature(decodeJwt(await sign({ sub: 'foo' })), jwk)).resolves.toBe(false);
+        });
+
+        test('rejects a token with a changed payload', async () => {
+            const { jwk, sign } = await createSigningKey();
+            const [header, , signature] = (await sign({ sub: 'foo' })).split('.');
+            const payload = Buffer.from(JSON.stringify({ sub: 'bar' })).toString('base64url');
+            await expect(verifyJwtSignature(decodeJwt(`${header}.${payload}.${signature}`), jwk)).resolves.toBe(false);
+        });
+
+        test('throws on unsupported algorithms', async () => {
+            const { jwk, sign } = await createSigningKey();
+            for (const alg of ['none', 'HS256']) {
+                await expect(verifyJwtSignature(decodeJwt(await sign({}, { alg })), jwk))
+                    .rejects.toMatchObject({ code: 'invalid_token', message: `Unsupported signing algorithm: ${alg}` });
+            }
+        });
+    });
+
+    describe('validateIdTokenClaims', () => {
+        const now = 1700000000;
+        const options = { issuer: 'https://login.schibsted.com/', clientId: 'foo', now, leeway: 60 };
+        const claims = {
+            iss: 'https://login.schibsted.com/',
+            aud: 'foo',
+            sub: 'user',
+            exp: now + 300,
+            iat: now,
+            auth_time: now - 100,
+            nonce: 'n',
+            acr: 'otp',
+            amr: ['password', 'otp'],
+        };
+        const check = (extraClaims, extraOptions) => () => validateIdTokenClaims(
+            Object.assign({}, claims, extraClaims), Object.assign({}, options, extraOptions));
+
+        test('accepts valid claims', () => {
+            expect(check({}, { nonce: 'n', acrValues: ['sms', 'otp'], amr: ['otp'], maxAge: 100 })).not.toThrow();
+        });
+
+        test('checks the issuer', () => {
+            expect(check({ iss: 'https://evil.com/' })).toThrowError(/The ID token was not issued by https:\/\/login.schibsted.com\//);
+        });
+
+        test('checks the audience', () => {
+            expect(check({ aud: 'bar' })).toThrowError(/The ID token was not issued to this client/);
+            expect(check({ aud: ['bar', 'foo'] })).toThrowError(/The ID token was not issued to this client/);
+            expect(check({ aud: ['bar', 'foo'], azp: 'foo' })).not.toThrow();
+        });
+
+        test('checks the expiry with leeway', () => {
+            expect(check({ exp: now - 30 })).not.toThrow();
+            expect(check({ exp: now - 61 })).toThrowError(/The ID token has expired/);
+            expect(check({ exp: undefined })).toThrowError(/The ID token has expired/);
+            expect(check({ iat: now + 61 })).toThrowError(/The ID token was issued in the future/);
+        });
+
+        test('checks the nonce', () => {
+            expect(check({}, { nonce: 'other' })).toThrowError(/The ID token nonce does not match any login in progress/);
+            expect(check({ nonce: undefined }, { nonce: null })).toThrowError(/nonce/);
+        });
+
+        test('checks acr and amr', () => {
+            expect(check({}, { acrValues: ['eid'] })).toThrowError(/The ID token acr is not one of: eid/);
+            expect(check({}, { amr: ['otp', 'sms'] })).toThrowError(/The ID token amr does not include: otp sms/);
+            expect(check({ amr: undefined }, { amr: ['otp'] })).toThrowError(/amr/);
+        });
+
+        test('checks the authentication time', () => {
+            expect(check({}, { maxAge: 30 })).toThrowError(/The user authenticated too long ago/);
+            expect(check({ auth_time: undefined }, { maxAge: 30 })).toThrowError(/The user authenticated too long ago/);
+        });
+    });
+});
@@ -29,6 +29,19 @@ describe('Payment', () => {
         });
     });
 
+    describe('useInterceptor()', () => {
+        test('should run the interceptor for requests of every service', async () => {
+            const payment = new Payment({ clientId: 'foo', redirectUri: 'http://foo.com', env: 'PRE' });
+            const onRequest = jest.fn();
+            payment.useInterceptor({ onRequest });
+            for (const service of ['_spid', '_bff']) {
+                payment[service].fetch = jest.fn(async () => ({ ok: true, json: async () => ({}) }));
+                await payment[service].get('/');
+            }
+            expect(onRequest).toHaveBeenCalledTimes(2);
+        });
+    });
+
     describe('payWithPaylink()', () => {
         let payment;
         let window;
@@ -90,6 +103,93 @@ describe('Payment', () => {
         });
     });
 
+    describe('payWithPaylinkPopup()', () => {
+        const paylink = 'http://foo.bar';
+
+        test('should resolve with the url the popup is redirected to', async () => {
+            const popup = { location: { href: 'http://redirect.foo/?order=1' }, close: jest.fn() };
+            const window = { location: {}, screen: {}, open: jest.fn(() => popup) };
+            const payment = new Payment({ clientId: 'a', redirectUri: 'http://redirect.foo', window });
+
+            await expect(payment.payWithPaylinkPopup({ paylink })).resolves.toBe('http://redirect.foo/?order=1');
+            expect(window.open.mock.calls[0][0]).toMatch('paylink=http%3A%2F%2Ffoo.bar');
+            expect(popup.close).toHaveBeenCalled();
+            expect(payment.popup).toBeNull();
+        });
+
+        test('should emit purchaseReturn when the popup comes back', async () => {
+            const popup = { location: { href: 'http://redirect.foo/?order=1' }, close: jest.fn() };
+            const window = { location: {}, screen: {}, open: () => popup };
+            const payment = new Payment({ clientId: 'a', redirectUri: 'http://redirect.foo', window });
+            const purchaseReturn = jest.fn();
+            payment.on('purchaseReturn', purchaseReturn);
+
+            await payment.payWithPaylinkPopup({ paylink });
+            expect(purchaseReturn).toHaveBeenCalledWith({ url: 'http://redirect.foo/?order=1' });
+        });
+
+        test('should reject if the popup is blocked', async () => {
+            const window = { location: {}, screen: {}, open: () => null };
+            const payment = new Payment({ clientId: 'a', redirectUri: 'http://redirect.foo', window });
+
+            await expect(payment.payWithPaylinkPopup({ paylink }))
+                .rejects.toMatchObject({ name: 'SDKError', code: 'popup_blocked' });
+            expect(window.location.href).toBeUndefined();
+        });
+    });
+
+    describe('redirectToPurchase()', () => {
+        const sessionStorage = global.window.sessionStorage;
+        const makePayment = href => new Payment({
+            clientId: 'a',
+            redirectUri: 'http://redirect.foo',
+            window: { location: { href }, sessionStorage },
+        });
+
+        afterEach(() => {
+            sessionStorage.clear();
+        });
+
+        test('should go to the purchase flow', () => {
+            const payment = makePayment('http://site.foo/article');
+            const url = payment.purchaseProductFlowUrl('123');
+            payment.redirectToPurchase(url);
+            expect(payment.window.location.href).toBe(url);
+        });
+
+        test('should emit purchaseReturn when the flow comes back to a new page load', () => {
+            const first = makePayment('http://site.foo/article');
+            first.redirectToPurchase(first.purchaseProductFlowUrl('123', 'http://redirect.foo/back'));
+
+            const payment = makePayment('http://redirect.foo/back?order=1');
+            const purchaseReturn = jest.fn();
+            payment.on('purchaseReturn', purchaseReturn);
+            expect(payment.detectPurchaseReturn()).toBe(true);
+            expect(purchaseReturn).toHaveBeenCalledWith({ url: 'http://redirect.foo/back?order=1' });
+            // only once
+            expect(makePayment('http://redirect.foo/back?order=1').detectPurchaseReturn()).toBe(false);
+        });
+
+        test('should not take other page loads for a purchase return', () => {
+            expect(makePayment('http://redirect.foo/').detectPurchaseReturn()).toBe(false);
+
+            const first = makePayment('http://site.foo/article');
+            first.redirectToPurchase(first.purchaseProductFlowUrl('123'));
+            expect(makePayment('http://site.foo/other').detectPurchaseReturn()).toBe(false);
+        });
+
+        test('should remember paylink purchases in the current window', () => {
+            const first = makePayment('http://site.foo/article');
+            first.payWithPaylink({ paylink: 'http://foo.bar' });
+            expect(makePayment('http://redirect.foo/').detectPurchaseReturn()).toBe(true);
+        });
+
+        test('should fail for an invalid url', () => {
+            expect(() => makePayment('http://site.foo/').redirectToPurchase('foo'))
+                .toThrowError(/redirectToPurchase\(\): url is invalid/);
+        });
+    });
+
     describe('purchasePaylinkUrl', () => {
         let payment;
         const open = (url, windowName, features) => ({ url, windowName, features });
@@ -0,0 +1,322 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { Paywall } from '../paywall.js';
+import { Payment } from '../payment.js';
+import { Identity } from '../identity.js';
+import { Monetization } from '../monetization.js';
+import EventEmitter from 'tiny-emitter';
+import { Fixtures } from './utils.js';
+
+const flush = async () => {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+};
+
+describe('Paywall', () => {
+    let identity;
+    let monetization;
+    let payment;
+    let window;
+    const access = { entitled: true, allowedFeatures: ['sports'], ttl: 10 };
+    const createPaywall = (options = {}) =>
+        new Paywall(Object.assign({ identity, monetization, payment, productIds: ['sports', 'news'] }, options));
+
+    beforeEach(() => {
+        identity = new EventEmitter();
+        Object.assign(identity, {
+            isLoggedIn: jest.fn(async () => true),
+            getUserId: jest.fn(async () => 12345),
+            login: jest.fn(() => null),
+            loginWithPopup: jest.fn(async () => ({})),
+        });
+        monetization = {
+            hasAccess: jest.fn(async () => access),
+            clearCachedAccessResult: jest.fn(),
+        };
+        window = { location: {} };
+        payment = new Payment({ clientId: 'foo', redirectUri: 'http://foo.com', env: 'PRE', window });
+    });
+
+    describe('constructor()', () => {
+        test('throws if options are invalid', () => {
+            expect(() => createPaywall({ identity: {} }))
+                .toThrowError(/identity parameter is not a valid Identity instance/);
+            expect(() => createPaywall({ monetization: null }))
+                .toThrowError(/monetization parameter is not a valid Monetization instance/);
+            expect(() => createPaywall({ payment: {} }))
+                .toThrowError(/payment parameter is not a valid Payment instance/);
+            expect(() => createPaywall({ productIds: [] }))
+                .toThrowError(/productIds must be a non empty array of product ids/);
+            expect(() => createPaywall({ purchase: { productId: 1 } }))
+                .toThrowError(/purchase.productId must be a string/);
+        });
+    });
+
+    describe('check()', () => {
+        test('should be anonymous if the user is not logged in', async () => {
+            identity.isLoggedIn.mockImplementation(async () => false);
+            const result = await createPaywall().check();
+            expect(result).toMatchObject({ state: 'anonymous', productIds: ['sports', 'news'] });
+            expect(monetization.hasAccess).not.toHaveBeenCalled();
+        });
+
+        test('should be anonymous if the user is not connected to the merchant', async () => {
+            identity.getUserId.mockImplementation(async () => {
+                throw new Error('The user is not connected to this merchant');
+            });
+            await expect(createPaywall().check()).resolves.toMatchObject({ state: 'anonymous' });
+        });
+
+        test('should be loggedInNoAccess if the user has no access', async () => {
+            monetization.hasAccess.mockImplementation(async () => null);
+            await expect(createPaywall().check()).resolves.toMatchObject({ state: 'loggedInNoAccess' });
+            expect(monetization.hasAccess).toHaveBeenCalledWith(['sports', 'news'], 12345);
+        });
+
+        test('should be entitled if the user has access', async () => {
+            await expect(createPaywall().check()).resolves.toMatchObject({ state: 'entitled', data: access });
+        });
+
+        test('should be error if a check fails', async () => {
+            const error = new Error('offline');
+            monetization.hasAccess.mockImplementation(async () => {
+                throw error;
+            });
+            await expect(createPaywall().check()).resolves.toMatchObject({ state: 'error', error });
+        });
+
+        test('should only check once at a time', async () => {
+            const paywall = createPaywall();
+            const results = await Promise.all([paywall.check(), paywall.check()]);
+            expect(results[0]).toBe(results[1]);
+            expect(identity.isLoggedIn).toHaveBeenCalledTimes(1);
+        });
+
+        test('should emit transitions', async () => {
+            const paywall = createPaywall();
+            const stateChange = jest.fn();
+            paywall.on('stateChange', stateChange);
+            monetization.hasAccess.mockImplementation(async () => null);
+            const result = await paywall.check();
+            await paywall.check();
+            expect(stateChange).toHaveBeenCalledTimes(1);
+            expect(stateChange).toHaveBeenCalledWith({ from: null, to: 'loggedInNoAccess', result });
+            expect(paywall.state).toBe('loggedInNoAccess');
+        });
+    });
+
+    describe('transitions', () => {
+        let paywall;
+        let log;
+
+        beforeEach(() => {
+            paywall = createPaywall();
+            log = [];
+            paywall.on('stateChange', ({ from, to }) => log.push(`${from}->${to}`));
+        });
+
+        test('should check again when the user logs in', async () => {
+            identity.isLoggedIn.mockImplementationOnce(async () => false);
+            await paywall.check();
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(log).toEqual(['null->anonymous', 'anonymous->entitled']);
+        });
+
+        test('should not check again on login if there already was a user', async () => {
+            await paywall.check();
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(identity.isLoggedIn).toHaveBeenCalledTimes(1);
+        });
+
+        test.each(['logout', 'userChange'])('should check again on %s', async (event) => {
+            await paywall.check();
+            identity.isLoggedIn.mockImplementationOnce(async () => false);
+            identity.emit(event, {});
+            await flush();
+            expect(log).toEqual(['null->entitled', 'entitled->anonymous']);
+        });
+
+        test.each(['logout', 'userChange'])('should not settle on the previous user after %s during a check', async (event) => {
+            let loggedIn;
+            identity.isLoggedIn.mockImplementationOnce(() => new Promise((resolve) => {
+                loggedIn = resolve;
+            }));
+            const first = paywall.check();
+            identity.isLoggedIn.mockImplementationOnce(async () => false);
+            identity.emit(event, {});
+            loggedIn(true);
+
+            await expect(first).resolves.toMatchObject({ state: 'anonymous' });
+            await flush();
+            expect(log).toEqual(['null->anonymous']);
+            expect(paywall.state).toBe('anonymous');
+        });
+
+        test('should check again when a checkout comes back', async () => {
+            monetization.hasAccess.mockImplementationOnce(async () => null);
+            await paywall.check();
+            payment.emit('purchaseReturn', { url: 'http://foo.com/?order=1' });
+            await flush();
+            expect(monetization.clearCachedAccessResult).toHaveBeenCalledWith(['sports', 'news'], 12345);
+            expect(log).toEqual(['null->loggedInNoAccess', 'loggedInNoAccess->entitled']);
+        });
+
+        test('should check again with a clean cache on the page a checkout redirects back to', async () => {
+            monetization.hasAccess.mockImplementationOnce(async () => null);
+            await paywall.check();
+            paywall.purchase();
+            paywall.destroy();
+            window.location.href = 'http://foo.com/?order=1';
+
+            const next = createPaywall();
+            await expect(next.check()).resolves.toMatchObject({ state: 'entitled' });
+            expect(monetization.clearCachedAccessResult).toHaveBeenCalledWith(['sports', 'news'], 12345);
+        });
+
+        test('should not check again on the login events of its own checks', async () => {
+            identity.isLoggedIn.mockImplementation(async () => {
+                identity.emit('login', { userId: 12345 });
+                return true;
+            });
+            identity.getUserId.mockImplementation(async () => {
+                identity.emit('login', { userId: 12345 });
+                throw new Error('The user is not connected to this merchant');
+            });
+            await expect(paywall.check()).resolves.toMatchObject({ state: 'anonymous' });
+            identity.emit('login', { userId: 12345 });
+            await flush();
+            expect(identity.isLoggedIn).toHaveBeenCalledTimes(1);
+            expect(log).toEqual(['null->anonymous']);
+        });
+
+        test('should stop checking when destroyed', async () => {
+            identity.isLoggedIn.mockImplementationOnce(async () => false);
+            await paywall.check();
+            paywall.destroy();
+            identity.emit('login', { userId: 12345 });
+            payment.emit('purchaseReturn', { url: 'http://foo.com/?order=1' });
+            await flush();
+            expect(log).toEqual(['null->anonymous']);
+        });
+    });
+
+    describe('with an Identity', () => {
+        const notLoggedIn = () => ({ ok: false, status: 400, statusText: 'No cookie present' });
+        const loggedIn = () => ({ ok: true, json: () => Fixtures.sessionResponse });
+
+        beforeEach(() => {
+            sessionStorage.clear();
+            identity = new Identity({
+                clientId: 'foo',
+                redirectUri: 'http://foo.com',
+                sessionDomain: 'http://id.foo.com',
+                window: global.window,
+            });
+            identity._sessionService.fetch = jest.fn(notLoggedIn);
+            jest.spyOn(identity, 'hasSession');
+        });
+
+        test('should settle when the user logs in', async () => {
+            const paywall = createPaywall();
+            await expect(paywall.check()).resolves.toMatchObject({ state: 'anonymous' });
+
+            identity._sessionService.fetch.mockImplementation(loggedIn);
+            identity.clearCachedUserSession();
+            await identity.hasSession();
+            await flush();
+            await paywall.check();
+            expect(paywall.state).toBe('entitled');
+            expect(identity.hasSession.mock.calls.length).toBeLessThan(10);
+            expect(monetization.hasAccess).toHaveBeenCalledTimes(1);
+        });
+
+        test('should settle when the user is logged in but not connected', async () => {
+            const session = Object.assign({}, Fixtures.sessionResponse, { result: false });
+            identity._sessionService.fetch.mockImplementation(() => ({ ok: true, json: () => session }));
+            const paywall = createPaywall();
+            await expect(paywall.check()).resolves.toMatchObject({ state: 'anonymous' });
+            await identity.hasSession();
+            await flush();
+            expect(paywall.state).toBe('anonymous');
+            expect(identity.hasSession.mock.calls.length).toBeLessThan(10);
+        });
+
+        test('should settle together with a Monetization that takes the user from it', async () => {
+            monetization = new Monetization({ clientId: 'foo', sessionDomain: 'http://id.foo.com', identity });
+            monetization._sessionService.fetch = jest.fn(() => ({ ok: true, json: () => Fixtures.sessionServiceAccess }));
+            const hasAccess = jest.fn();
+            monetization.on('hasAccess', hasAccess);
+            const paywall = createPaywall({ productIds: ['existing'] });
+            await expect(monetization.hasAccess(['existing'])).rejects.toMatchObject({ code: 400 });
+            await expect(paywall.check()).resolves.toMatchObject({ state: 'anonymous' });
+
+            identity._sessionService.fetch.mockImplementation(loggedIn);
+            identity.clearCachedUserSession();
+            await identity.hasSession();
+            await flush();
+            await paywall.check();
+            await flush();
+            expect(paywall.state).toBe('entitled');
+            expect(hasAccess).toHaveBeenCalledTimes(2);
+            expect(identity.hasSession.mock.calls.length).toBeLessThan(10);
+            expect(monetization._sessionService.fetch).toHaveBeenCalledTimes(1);
+            paywall.destroy();
+            monetization.destroy();
+        });
+    });
+
+    describe('login()', () => {
+        test('should redirect to the login', async () => {
+            const loginOptions = { state: 'foo' };
+            const result = await createPaywall({ loginOptions }).login();
+            expect(result).toBeNull();
+            expect(identity.login).toHaveBeenCalledWith(loginOptions);
+        });
+
+        test('should log in with a popup and check again', async () => {
+            const loginOptions = { state: 'foo', preferPopup: true };
+            identity.isLoggedIn.mockImplementationOnce(async () => false);
+            const paywall = createPaywall({ loginOptions });
+            const { login } = await paywall.check();
+            await expect(login()).resolves.toMatchObject({ state: 'entitled' });
+            expect(identity.loginWithPopup).toHaveBeenCalledWith(loginOptions);
+            expect(paywall.state).toBe('entitled');
+        });
+
+        test('should be error if the popup login fails', async () => {
+            const error = new Error('The login popup was blocked');
+            identity.loginWithPopup.mockImplementation(async () => {
+                throw error;
+            });
+            const paywall = createPaywall({ loginOptions: { preferPopup: true } });
+            await expect(paywall.login()).resolves.toMatchObject({ state: 'error', error });
+            expect(paywall.state).toBe('error');
+        });
+    });
+
+    describe('purchase()', () => {
+        test('should go to the checkout of the first product', async () => {
+            const { purchase } = await createPaywall().check();
+            const url = purchase();
+            expect(url).toBe(payment.purchaseProductFlowUrl('sports'));
+            expect(window.location.href).toBe(url);
+        });
+
+        test('should go to the checkout of the configured product', () => {
+            const paywall = createPaywall({ purchase: { productId: 'news', redirectUri: 'http://bar.com' } });
+            expect(paywall.purchaseUrl()).toBe(payment.purchaseProductFlowUrl('news', 'http://bar.com'));
+        });
+
+        test('should go to the checkout of a campaign', () => {
+            const paywall = createPaywall({ purchase: { campaignId: 'summer', voucherCode: 'SUN' } });
+            expect(paywall.purchase()).toBe(payment.purchaseCampaignFlowUrl('summer', 'sports', 'SUN'));
+        });
+    });
+});
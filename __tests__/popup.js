@@ -87,3 +87,46 @@ describe('Popup — open', () => {
         });
     });
 });
+
+describe('Popup — waitForRedirect', () => {
+    const redirectUri = 'http://foo.com/callback';
+
+    test('Resolves with the url once the popup is back on redirectUri', async () => {
+        const popupWindow = { location: { href: 'about:blank' } };
+        const result = popup.waitForRedirect(popupWindow, redirectUri, { interval: 5 });
+        setTimeout(() => popupWindow.location.href = 'http://foo.com/callback?code=abc', 20);
+        await expect(result).resolves.toBe('http://foo.com/callback?code=abc');
+    });
+
+    test('Keeps waiting while the popup is on another origin', async () => {
+        let crossOrigin = true;
+        const popupWindow = {
+            get location() {
+                if (crossOrigin) {
+                    throw new Error('SecurityError');
+                }
+                return { href: 'http://foo.com/callback?code=abc' };
+            }
+        };
+        const result = popup.waitForRedirect(popupWindow, redirectUri, { interval: 5 });
+        setTimeout(() => crossOrigin = false, 20);
+        await expect(result).resolves.toBe('http://foo.com/callback?code=abc');
+    });
+
+    test('Does not resolve for other paths on the same origin', async () => {
+        const popupWindow = { location: { href: 'http://foo.com/other?code=abc' } };
+        await expect(popup.waitForRedirect(popupWindow, redirectUri, { interval: 5, timeout: 30 }))
+            .rejects.toMatchObject({ name: 'SDKError', code: 'popup_timeout' });
+    });
+
+    test('Rejects if the popup is closed', async () => {
+        const popupWindow = { location: { href: 'about:blank' }, closed: false };
+        const result = popup.waitForRedirect(popupWindow, redirectUri, { interval: 5 });
+        setTimeout(() => popupWindow.closed = true, 20);
+        await expect(result).rejects.toMatchObject({ name: 'SDKError', code: 'popup_closed' });
+    });
+
+    test('Fails if redirectUri is not valid', () => {
+        expect(() => popup.waitForRedirect({}, 'not-a-url')).toThrow(/Invalid redirectUri for popup/);
+    });
+});
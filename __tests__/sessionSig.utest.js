@@ -0,0 +1,80 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { decodeSessionSig, matchesSessionSig } from '../src/sessionSig.js';
+import { createSessionSig, Fixtures } from './utils.js';
+
+import { TextDecoder } from 'util';
+import { Buffer } from 'buffer';
+
+Object.assign(global, { TextDecoder });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('sessionSig', () => {
+    describe('decodeSessionSig', () => {
+        test('decodes the signature and the signed session', () => {
+            const { signature, payload, session } = decodeSessionSig(Fixtures.sessionResponse.sig);
+            expect(signature).toBe('Rqf5fQ-gXNOdrsegajNgTOzju5z9-0v92v-PGCnL5P8');
+            expect(payload).toBe(Fixtures.sessionResponse.sig.split('.')[1]);
+            expect(session).toMatchObject({ userId: 12345, userStatus: 'connected', algorithm: 'HMAC-SHA256' });
+        });
+
+        test('throws if it is malformed', () => {
+            const error = expect.objectContaining({ name: 'SDKError', code: 'invalid_session', message: 'The session sig is malformed' });
+            expect(() => decodeSessionSig('some-encrypted-value')).toThrowError(error);
+            expect(() => decodeSessionSig(`.${encode({})}`)).toThrowError(error);
+            expect(() => decodeSessionSig('abc.!!!')).toThrowError(error);
+            expect(() => decodeSessionSig(`abc.${encode('foo')}`)).toThrowError(error);
+            expect(() => decodeSessionSig(null)).toThrowError(error);
+        });
+
+        test('throws on other algorithms', () => {
+            expect(() => decodeSessionSig(`abc.${encode({ algorithm: 'none' })}`))
+                .toThrowError(expect.objectContaining({ code: 'invalid_session', message: 'Unsupported session sig algorithm: none' }));
+        });
+    });
+
+    describe('matchesSessionSig', () => {
+        const session = Fixtures.sessionResponse;
+
+        test('accepts a session that matches its sig', () => {
+            expect(matchesSessionSig(session)).toBe(true);
+        });
+
+        test('rejects a session with other values than its sig', () => {
+            expect(matchesSessionSig(Object.assign({}, session, { userId: 1 }))).toBe(false);
+            expect(matchesSessionSig(Object.assign({}, session, { uuid: 'other' }))).toBe(false);
+            expect(matchesSessionSig(Object.assign({}, session, { result: false }))).toBe(false);
+            expect(matchesSessionSig(Object.assign({}, session, { userStatus: 'notConnected' }))).toBe(false);
+        });
+
+        test('ignores fields that are not signed', () => {
+            const changed = Object.assign({}, session, { displayName: 'joker', serverTime: 1 });
+            expect(matchesSessionSig(changed)).toBe(true);
+            const partlySigned = Object.assign({}, session, { uuid: 'other', sig: `abc.${encode({ userId: 12345 })}` });
+            expect(matchesSessionSig(partlySigned)).toBe(true);
+        });
+
+        test('rejects a malformed sig', () => {
+            expect(matchesSessionSig(Object.assign({}, session, { sig: 'some-encrypted-value' }))).toBe(false);
+        });
+
+        test('only accepts unsigned sessions without a user', () => {
+            const unsigned = Object.assign({}, session);
+            delete unsigned.sig;
+            expect(matchesSessionSig(unsigned)).toBe(false);
+            expect(matchesSessionSig({ result: false, userStatus: 'notConnected' })).toBe(true);
+            expect(matchesSessionSig(null)).toBe(false);
+        });
+
+        test('accepts a session that was signed again', () => {
+            const other = Object.assign({}, session, { userId: 54321 });
+            other.sig = createSessionSig(other);
+            expect(matchesSessionSig(other)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { CookieStorage, IndexedDBStorage } from '../src/storage.js';
+
+const fakeIndexedDB = () => {
+    const databases = {};
+    const request = (operation) => {
+        const req = {};
+        setTimeout(() => {
+            req.result = operation();
+            req.onsuccess();
+        });
+        return req;
+    };
+    const open = (name) => {
+        const req = {};
+        setTimeout(() => {
+            const isNew = !databases[name];
+            const stores = databases[name] = databases[name] || {};
+            req.result = {
+                createObjectStore: (storeName) => stores[storeName] = new Map(),
+                transaction: (storeName) => ({
+                    objectStore: () => {
+                        const map = stores[storeName];
+                        return {
+                            get: (key) => request(() => map.get(key)),
+                            put: (value, key) => request(() => { map.set(key, value); }),
+                            delete: (key) => request(() => { map.delete(key); }),
+                            getAllKeys: () => request(() => Array.from(map.keys())),
+                        };
+                    },
+                }),
+            };
+            if (isNew) {
+                req.onupgradeneeded();
+            }
+            req.onsuccess();
+        });
+        return req;
+    };
+    return { open: jest.fn(open) };
+};
+
+describe('IndexedDBStorage', () => {
+    test('throws if IndexedDB is not available', () => {
+        expect(() => new IndexedDBStorage({ window: {} })).toThrowError(/IndexedDB is not available/);
+    });
+
+    test('can read, write, list and delete values', async () => {
+        const indexedDB = fakeIndexedDB();
+        const storage = new IndexedDBStorage({ window: { indexedDB } });
+
+        await storage.set('foo', 'bar');
+        await storage.set('baz', 'qux');
+        await expect(storage.get('foo')).resolves.toBe('bar');
+        await expect(storage.keys()).resolves.toEqual(['foo', 'baz']);
+
+        await storage.delete('foo');
+        await expect(storage.get('foo')).resolves.toBeUndefined();
+        await expect(storage.keys()).resolves.toEqual(['baz']);
+        expect(indexedDB.open).toHaveBeenCalledTimes(1);
+        expect(indexedDB.open).toHaveBeenCalledWith('schacc-sdk', 1);
+    });
+
+    test('keeps values between instances', async () => {
+        const indexedDB = fakeIndexedDB();
+        await new IndexedDBStorage({ window: { indexedDB } }).set('foo', 'bar');
+        await expect(new IndexedDBStorage({ window: { indexedDB } }).get('foo')).resolves.toBe('bar');
+    });
+});
+
+describe('CookieStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new CookieStorage();
+    });
+
+    afterEach(() => {
+        storage.keys().forEach(key => storage.delete(key));
+    });
+
+    test('throws if window is missing', () => {
+        expect(() => new CookieStorage({ window: {} })).toThrowError(/The reference to window is missing/);
+    });
+
+    test('can read, write, list and delete values', () => {
+        storage.set('foo', '{"value":"a; b=c"}', 10000);
+        storage.set('bar', 'baz', 10000);
+        expect(storage.get('foo')).toBe('{"value":"a; b=c"}');
+        expect(storage.keys()).toEqual(['foo', 'bar']);
+
+        storage.delete('foo');
+        expect(storage.get('foo')).toBeNull();
+        expect(storage.keys()).toEqual(['bar']);
+    });
+
+    test('only sees its own cookies', () => {
+        document.cookie = 'other=1; path=/';
+        storage.set('foo', 'bar', 10000);
+        expect(document.cookie).toContain('schacc_foo=bar');
+        expect(storage.keys()).toEqual(['foo']);
+        expect(new CookieStorage({ prefix: 'x_' }).keys()).toEqual([]);
+        document.cookie = 'other=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+    });
+
+    test('writes the expiry and domain', () => {
+        const window = { document: { cookie: '' } };
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        new CookieStorage({ window, domain: 'foo.com' }).set('foo', 'bar', 60000);
+        expect(window.document.cookie).toBe(
+            `schacc_foo=bar; expires=${new Date(now + 60000).toUTCString()}; path=/; SameSite=Lax; domain=.foo.com`);
+        new CookieStorage({ window, domain: '.foo.com' }).set('foo', 'bar', 60000);
+        expect(window.document.cookie).toContain('; domain=.foo.com');
+        expect(window.document.cookie).not.toContain('..');
+        Date.now.mockRestore();
+    });
+});
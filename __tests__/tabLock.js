@@ -0,0 +1,181 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import TabLock from '../src/tabLock.js';
+
+import crypto from 'crypto';
+
+Object.defineProperty(global.self, 'crypto', {
+    value: {
+        getRandomValues: (array) => crypto.webcrypto.getRandomValues(array),
+    },
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TabLock', () => {
+    test('throws if options are invalid', () => {
+        expect(() => new TabLock({ name: 'foo' }))
+            .toThrowError(/The reference to window is missing/);
+        expect(() => new TabLock({ window: {} }))
+            .toThrowError(/name parameter is required/);
+        expect(() => new TabLock({ window: {}, name: 'foo', leaseTime: 0 }))
+            .toThrowError(/leaseTime must be a positive number but it is 0/);
+        expect(() => new TabLock({ window: {}, name: 'foo', timeout: -1 }))
+            .toThrowError(/timeout must be a positive number but it is -1/);
+    });
+
+    test('uses Web Locks where supported', async () => {
+        const request = jest.fn((name, callback) => callback());
+        const lock = new TabLock({ window: { navigator: { locks: { request } }, localStorage: {} }, name: 'foo' });
+
+        expect(lock.type).toBe('WebLocks');
+        await expect(lock.run(async () => 'bar')).resolves.toBe('bar');
+        expect(request).toHaveBeenCalledWith('foo', expect.any(Function));
+    });
+
+    test('gives up a Web Lock when the timeout expires', async () => {
+        let held;
+        const request = jest.fn((name, callback) => {
+            held = callback();
+            return held;
+        });
+        const lock = new TabLock({ window: { navigator: { locks: { request } } }, name: 'foo', timeout: 20 });
+        let finish;
+        const result = lock.run(() => new Promise((resolve) => {
+            finish = resolve;
+        }));
+
+        await expect(delay(50).then(() => held)).resolves.toBeUndefined();
+        finish('bar');
+        await expect(result).resolves.toBe('bar');
+    });
+
+    test('gives up a Web Lock when closed', async () => {
+        let held;
+        const request = jest.fn((name, callback) => {
+            held = callback();
+            return held;
+        });
+        const lock = new TabLock({ window: { navigator: { locks: { request } } }, name: 'foo' });
+        lock.run(() => new Promise(() => {}));
+        await delay(0);
+
+        lock.close();
+        await expect(held).resolves.toBeUndefined();
+        await expect(lock.run(() => 'bar')).resolves.toBe('bar');
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    test('runs without locking when there is nowhere to keep a lease', async () => {
+        const lock = new TabLock({ window: {}, name: 'foo' });
+        expect(lock.type).toBe('None');
+        await expect(lock.run(() => 'bar')).resolves.toBe('bar');
+    });
+
+    describe('localStorage lease', () => {
+        afterEach(() => {
+            window.localStorage.clear();
+        });
+
+        test('falls back to a lease when Web Locks are missing', () => {
+            expect(new TabLock({ window, name: 'foo' }).type).toBe('Lease');
+        });
+
+        test('lets one tab at a time run', async () => {
+            const tabs = [1, 2, 3].map(() => new TabLock({ window, name: 'foo' }));
+            let running = 0;
+            const log = [];
+            const work = async (tab) => {
+                running++;
+                log.push(running);
+                await delay(20);
+                running--;
+                return tab;
+            };
+
+            await expect(Promise.all(tabs.map(tab => tab.run(() => work(tab))))).resolves.toEqual(tabs);
+            expect(log).toEqual([1, 1, 1]);
+            expect(window.localStorage.getItem('foo')).toBeNull();
+        });
+
+        test('takes over an expired lease', async () => {
+            window.localStorage.setItem('foo', JSON.stringify({ owner: 'closed-tab', expires: Date.now() - 1 }));
+            await expect(new TabLock({ window, name: 'foo' }).run(() => 'bar')).resolves.toBe('bar');
+        });
+
+        test('renews the lease while running', async () => {
+            const a = new TabLock({ window, name: 'foo', leaseTime: 60 });
+            const b = new TabLock({ window, name: 'foo', leaseTime: 60 });
+            const log = [];
+
+            await Promise.all([
+                a.run(async () => {
+                    await delay(200);
+                    log.push('a');
+                }),
+                delay(10).then(() => b.run(() => log.push('b'))),
+            ]);
+            expect(log).toEqual(['a', 'b']);
+        });
+
+        test('releases the lease when the timeout expires', async () => {
+            const a = new TabLock({ window, name: 'foo', timeout: 50 });
+            const b = new TabLock({ window, name: 'foo' });
+            const log = [];
+
+            await Promise.all([
+                a.run(async () => {
+                    await delay(300);
+                    log.push('a');
+                }),
+                delay(10).then(() => b.run(() => log.push('b'))),
+            ]);
+            expect(log).toEqual(['b', 'a']);
+            expect(window.localStorage.getItem('foo')).toBeNull();
+        });
+
+        test('releases the lease when the callback throws', async () => {
+            const lock = new TabLock({ window, name: 'foo' });
+            await expect(lock.run(() => {
+                throw new Error('oops');
+            })).rejects.toThrow('oops');
+            expect(window.localStorage.getItem('foo')).toBeNull();
+        });
+
+        test('releases the lease and stops waiting for it when closed', async () => {
+            const a = new TabLock({ window, name: 'foo', leaseTime: 60 });
+            const b = new TabLock({ window, name: 'foo', leaseTime: 60 });
+            let finish;
+            const first = a.run(() => new Promise((resolve) => {
+                finish = resolve;
+            }));
+            const second = delay(10).then(() => b.run(() => 'b'));
+            await delay(30);
+
+            b.close();
+            await expect(second).resolves.toBe('b');
+            a.close();
+            await delay(0);
+            expect(window.localStorage.getItem('foo')).toBeNull();
+            await delay(100);
+            expect(window.localStorage.getItem('foo')).toBeNull();
+            await expect(a.run(() => 'a')).resolves.toBe('a');
+            finish('done');
+            await expect(first).resolves.toBe('done');
+        });
+
+        test('runs without locking when localStorage is full', async () => {
+            const localStorage = {
+                getItem: () => null,
+                setItem: () => {
+                    throw new Error('QuotaExceededError');
+                },
+            };
+            await expect(new TabLock({ window: { localStorage }, name: 'foo' }).run(() => 'bar')).resolves.toBe('bar');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import TabSync from '../src/tabSync.js';
+
+const makeBroadcastChannel = () => {
+    const channels = [];
+    return class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            channels.push(this);
+        }
+        postMessage(data) {
+            channels
+                .filter(c => c !== this && c.name === this.name && c.onmessage)
+                .forEach(c => c.onmessage({ data }));
+        }
+        close() {
+            channels.splice(channels.indexOf(this), 1);
+        }
+    };
+};
+
+describe('TabSync', () => {
+    test('throws if options are invalid', () => {
+        expect(() => new TabSync({ name: 'foo', onMessage: () => {} }))
+            .toThrowError(/The reference to window is missing/);
+        expect(() => new TabSync({ window: {}, onMessage: () => {} }))
+            .toThrowError(/name parameter is required/);
+        expect(() => new TabSync({ window: {}, name: 'foo' }))
+            .toThrowError(/onMessage must be a function/);
+    });
+
+    describe('BroadcastChannel', () => {
+        let window;
+
+        beforeEach(() => {
+            window = { BroadcastChannel: makeBroadcastChannel() };
+        });
+
+        test('delivers messages to other instances with the same name only', () => {
+            const sender = jest.fn();
+            const receiver = jest.fn();
+            const other = jest.fn();
+            const a = new TabSync({ window, name: 'foo', onMessage: sender });
+            new TabSync({ window, name: 'foo', onMessage: receiver });
+            new TabSync({ window, name: 'bar', onMessage: other });
+
+            expect(a.type).toBe('BroadcastChannel');
+            a.post({ type: 'logout' });
+
+            expect(receiver).toHaveBeenCalledWith({ type: 'logout' });
+            expect(sender).not.toHaveBeenCalled();
+            expect(other).not.toHaveBeenCalled();
+        });
+
+        test('stops receiving after close()', () => {
+            const receiver = jest.fn();
+            const a = new TabSync({ window, name: 'foo', onMessage: () => {} });
+            const b = new TabSync({ window, name: 'foo', onMessage: receiver });
+            b.close();
+            a.post({ type: 'logout' });
+            expect(receiver).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('storage events', () => {
+        afterEach(() => {
+            window.localStorage.clear();
+        });
+
+        test('falls back to localStorage when BroadcastChannel is missing', () => {
+            const tabSync = new TabSync({ window, name: 'foo', onMessage: () => {} });
+            expect(tabSync.type).toBe('StorageEvent');
+            tabSync.close();
+        });
+
+        test('posts through localStorage without leaving anything behind', () => {
+            const setItem = jest.spyOn(window.localStorage.__proto__, 'setItem');
+            const tabSync = new TabSync({ window, name: 'foo', onMessage: () => {} });
+            tabSync.post({ type: 'logout' });
+
+            expect(setItem).toHaveBeenCalledWith('foo', expect.any(String));
+            expect(JSON.parse(setItem.mock.calls[0][1]).message).toEqual({ type: 'logout' });
+            expect(window.localStorage.getItem('foo')).toBeNull();
+            setItem.mockRestore();
+            tabSync.close();
+        });
+
+        test('receives messages from storage events with a matching key', () => {
+            const onMessage = jest.fn();
+            const tabSync = new TabSync({ window, name: 'foo', onMessage });
+            const dispatch = (key, newValue) => window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+
+            dispatch('foo', JSON.stringify({ message: { type: 'logout' }, nonce: 1 }));
+            dispatch('foo', null);
+            dispatch('foo', 'not json');
+            dispatch('bar', JSON.stringify({ message: { type: 'session' }, nonce: 2 }));
+
+            expect(onMessage).toHaveBeenCalledTimes(1);
+            expect(onMessage).toHaveBeenCalledWith({ type: 'logout' });
+
+            tabSync.close();
+            dispatch('foo', JSON.stringify({ message: { type: 'logout' }, nonce: 3 }));
+            expect(onMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('does nothing when no transport is available', () => {
+            const tabSync = new TabSync({ window: {}, name: 'foo', onMessage: () => {} });
+            expect(tabSync.type).toBe('None');
+            expect(() => tabSync.post({ type: 'logout' })).not.toThrow();
+        });
+    });
+});
@@ -2,6 +2,9 @@
  * See LICENSE.md in the project root.
  */
 
+import { Buffer } from 'buffer';
+import nodeCrypto from 'crypto';
+
 function stringify(search) {
     const keys = [...new Set(search.keys())];
     keys.sort();
@@ -37,6 +40,90 @@ export function compareUrls(first, second) {
     return [firstUrl, secondUrl];
 }
 
+const SIGNING_ALGORITHMS = {
+    ES256: {
+        generate: { name: 'ECDSA', namedCurve: 'P-256' },
+        sign: { name: 'ECDSA', hash: 'SHA-256' },
+    },
+    RS256: {
+        generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+        sign: { name: 'RSASSA-PKCS1-v1_5' },
+    },
+};
+
+/**
+ * Creates a key pair for signing JWTs in tests
+ * @param {string} [alg=ES256] - `ES256` or `RS256`
+ * @param {string} [kid=test-key]
+ * @return {Promise<{jwk: object, sign: function(object, object=): Promise<string>}>} - The public
+ * key, and a function that signs a payload (with optional extra header fields) into a JWT
+ */
+export async function createSigningKey(alg = 'ES256', kid = 'test-key') {
+    const { subtle } = nodeCrypto.webcrypto;
+    const { generate, sign } = SIGNING_ALGORITHMS[alg];
+    const { privateKey, publicKey } = await subtle.generateKey(generate, true, ['sign', 'verify']);
+    const jwk = Object.assign(await subtle.exportKey('jwk', publicKey), { kid, alg, use: 'sig' });
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return {
+        jwk,
+        sign: async (payload, header = {}) => {
+            const input = `${encode(Object.assign({ alg, kid, typ: 'JWT' }, header))}.${encode(payload)}`;
+            const signature = await subtle.sign(sign, privateKey, Buffer.from(input));
+            return `${input}.${Buffer.from(signature).toString('base64url')}`;
+        },
+    };
+}
+
+/**
+ * Create a fake window that hidden iframes can be added to, and that can deliver `message` events
+ * to its listeners
+ * @param {object} [props] - Extra properties for the window
+ * @returns {object} - The window, with `frames` (the iframes added) and `dispatchMessage(event)`
+ */
+export function createFrameWindow(props = {}) {
+    const listeners = [];
+    const frames = [];
+    const body = {
+        appendChild: jest.fn((element) => {
+            element.parentNode = body;
+            frames.push(element);
+        }),
+        removeChild: jest.fn((element) => {
+            element.parentNode = null;
+        }),
+    };
+    const createElement = () => {
+        const attributes = {};
+        return {
+            attributes,
+            contentWindow: {},
+            parentNode: null,
+            setAttribute: (name, value) => attributes[name] = value,
+        };
+    };
+    return Object.assign({
+        location: {},
+        document: { body, createElement },
+        frames,
+        listeners,
+        addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+        removeEventListener: jest.fn((type, listener) => listeners.splice(listeners.indexOf(listener), 1)),
+        dispatchMessage: (event) => listeners.slice().forEach(listener => listener(event)),
+    }, props);
+}
+
+/**
+ * Makes a `sig` for a hasSession response like the Session Service does, except that the
+ * signature is made up
+ * @param {object} session
+ * @return {string}
+ */
+export function createSessionSig(session) {
+    const { result, serverTime, userId, uuid, userStatus } = session;
+    const payload = JSON.stringify({ result, serverTime, userId, uuid, userStatus, algorithm: 'HMAC-SHA256' });
+    return `Rqf5fQ-gXNOdrsegajNgTOzju5z9-0v92v-PGCnL5P8.${Buffer.from(payload).toString('base64url')}`;
+}
+
 const sessionResponse = {
     result: true,
     serverTime: 1520610964,
@@ -55,9 +142,9 @@ const sessionResponse = {
     clientAgreementAccepted: true,
     defaultAgreementAccepted: true,
     sp_id: 'some-jwt-token',
-    sig: 'some-encrypted-value',
     pairId: 'b2a23caae8ead566099b43b2b33f0cd344f66d50a62034ccbe8bbaa435fd760e',
 };
+sessionResponse.sig = createSessionSig(sessionResponse);
 
 const sessionNeedsToBeRefreshedResponse = {
     redirectURL: '/refresh-cookie-test'
@@ -0,0 +1,5 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+export { sendSilentLoginResponse } from './src/callback.js';
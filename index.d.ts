@@ -1,4 +1,7 @@
+export * from "./callback.js";
 export * from "./identity.js";
 export * from "./monetization.js";
 export * from "./payment.js";
+export * from "./paywall.js";
+export * from "./storage.js";
 export { default as SDKError } from "./src/SDKError.js";
@@ -4,6 +4,9 @@
 
 'use strict';
 
+export * from './callback.js';
 export * from './identity.js';
 export * from './monetization.js';
 export * from './payment.js';
+export * from './paywall.js';
+export * from './storage.js';
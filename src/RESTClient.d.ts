@@ -1,3 +1,11 @@
+/**
+ * Add an interceptor to a list of interceptors
+ * @private
+ * @param {Interceptor[]} interceptors
+ * @param {Interceptor} interceptor
+ * @returns {function} - Removes the interceptor again
+ */
+export function addInterceptor(interceptors: Interceptor[], interceptor: Interceptor): () => void;
 /**
  * This class can be used for creating a wrapper around a server and all its endpoints.
  * Its functionality is extended by {@link JSONPClient}
@@ -27,21 +35,37 @@ export class RESTClient {
      * {@link serverUrl} keys. If serverUrl is always a URL, you don't need this.
      * @param {function} [options.fetch=window.fetch] - The fetch function to use. It can be native
      * or a polyfill
-     * @param {function} [options.log] - A function that will be called with log messages about
-     * request and response
+     * @param {function|StructuredLogger|Logger} [options.log] - Where to log requests and
+     * responses. See {@link Logger}
      * @param {object} [options.defaultParams={}] - a set of parameters to add to every call custom.
      *        As long as it supports the standard fetch API we're good.
+     * @param {number} [options.timeout=0] - Milliseconds before a request is aborted. 0 means no
+     * timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network errors, 5xx responses or 429 responses. POST requests are only retried on 429
+     * @param {Interceptor[]} [options.interceptors=[]] - Interceptors to run around every request.
+     * The array is used as is, so several clients can share it
+     * @param {Clock} [options.clock] - Updated with the server time from the `Date` header of every
+     * response
      */
-    constructor({ serverUrl, envDic, fetch, log, defaultParams }: {
+    constructor({ serverUrl, envDic, fetch, log, defaultParams, timeout, retry, interceptors, clock }: {
         serverUrl?: string;
         envDic?: any;
         fetch?: Function;
-        log?: Function;
+        log?: Function | StructuredLogger | Logger;
         defaultParams?: any;
+        timeout?: number;
+        retry?: number | RetryPolicy;
+        interceptors?: Interceptor[];
+        clock?: Clock;
     });
     url: URL;
     defaultParams: any;
-    log: Function;
+    timeout: number;
+    retry: RetryPolicy;
+    interceptors: Interceptor[];
+    clock: Clock;
+    logger: Logger;
     fetch: Function;
     /**
      * Makes the actual call to the server and deals with headers, data objects and the edge cases.
@@ -57,19 +81,45 @@ export class RESTClient {
      * @param {array} [options.headers] - fetch options headers
      * @param {boolean} [options.useDefaultParams] - should we add the defaultParams to the query?
      * @param {object} [options.fetchOptions] - fetch options
-     * @throws {SDKError} - if the call can't be made for whatever reason.
+     * @param {number} [options.timeout] - Overrides the timeout of the client for this request
+     * @param {number|RetryPolicy} [options.retry] - Overrides the retry policy of the client for this
+     * request
+     * @throws {SDKError} - if the call can't be made for whatever reason. The code is
+     * `request_timeout` if the request timed out, and `retries_exhausted` if it still failed after
+     * all retries (with the HTTP status, if any, in `status`)
      * @return {Promise<object>} - A promise that will resolve to the call's response or reject if there
      *         is an error before making the call or if the server returns a non-2xx error or
      *         something that's not parsable as JSON.
      */
-    go({ method, headers, pathname, data, useDefaultParams, fetchOptions }: {
+    go({ method, headers, pathname, data, useDefaultParams, fetchOptions, timeout, retry }: {
         method: string;
         pathname: string;
         data?: any;
         headers?: any[];
         useDefaultParams?: boolean;
         fetchOptions?: any;
+        timeout?: number;
+        retry?: number | RetryPolicy;
     }): Promise<any>;
+    /**
+     * Make one request, aborting it if it takes longer than the timeout
+     * @private
+     * @param {string} url
+     * @param {object} fetchOptions
+     * @param {number} timeout - Milliseconds, or 0 for no timeout
+     * @returns {Promise<object>} - The parsed response
+     */
+    private _send;
+    /**
+     * Make one request and parse the response
+     * @private
+     * @param {string} url
+     * @param {object} fetchOptions
+     * @throws {NetworkError|SDKError} - NetworkError if fetch failed, SDKError with the status as
+     * `code` for non-2xx responses
+     * @returns {Promise<object>}
+     */
+    private _request;
     /**
      * Creates a url that points to an endpoint in the server
      * @param {string} [pathname=] - WHATWG pathname ie. 'api/2/endpoint-name'
@@ -78,6 +128,12 @@ export class RESTClient {
      * @return {string} - the resulting url string ready to pass to fetch
      */
     makeUrl(pathname?: string, query?: any, useDefaultParams?: boolean): string;
+    /**
+     * Add an interceptor that runs around every request made by this client
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    use(interceptor: Interceptor): () => void;
     /**
      * Make a GET request
      * @param {string} pathname - WHATWG pathname ie. 'api/2/endpoint-name'
@@ -85,5 +141,60 @@ export class RESTClient {
      * @return {Promise}
      */
     get(pathname: string, data?: any): Promise<any>;
+    /**
+     * Make a POST request with a form encoded body
+     * @param {string} pathname - WHATWG pathname ie. 'api/2/endpoint-name'
+     * @param {object} [data={}] - the data payload.
+     * @return {Promise}
+     */
+    post(pathname: string, data?: any): Promise<any>;
 }
 export default RESTClient;
+export type RetryPolicy = {
+    /**
+     * - How many times a failed request is repeated
+     */
+    retries?: number;
+    /**
+     * - Milliseconds to wait before the first retry. The wait doubles
+     * with every retry, and a random part of it is left out so that clients don't retry in lockstep
+     */
+    minDelay?: number;
+    /**
+     * - Upper limit for the wait between retries. If the server
+     * asks for a longer wait with `Retry-After`, the request is not retried
+     */
+    maxDelay?: number;
+};
+/**
+ * A request as seen by interceptors
+ */
+export type InterceptedRequest = {
+    url: string;
+    /**
+     * - The options that will be passed to fetch
+     */
+    options: any;
+};
+/**
+ * Hooks that run around every fetch call made by a {@link RESTClient}. Each hook may be async
+ */
+export type Interceptor = {
+    /**
+     * - Can change the
+     * request, or return a new one
+     */
+    onRequest?: (request: InterceptedRequest) => (InterceptedRequest | void | Promise<InterceptedRequest | void>);
+    /**
+     * - Called with
+     * every response, also non-2xx ones. Can return another response to use instead
+     */
+    onResponse?: (response: Response, request: InterceptedRequest) => (Response | void | Promise<Response | void>);
+    /**
+     * - Called when fetch fails.
+     * Can return a response to recover from the error
+     */
+    onError?: (error: any, request: InterceptedRequest) => (Response | void | Promise<Response | void>);
+};
+import Clock from "./clock.js";
+import { Logger, StructuredLogger } from "./logger.js";
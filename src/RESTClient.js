@@ -5,27 +5,11 @@
 'use strict';
 
 import SDKError from './SDKError.js';
+import { Logger } from './logger.js';
 import { cloneDefined } from './object.js';
 import { urlMapper } from './url.js';
 import { assert, isObject, isFunction, isStr, isNonEmptyString } from './validate.js';
 
-/**
- * Converts a series of parameters of various types to a string that's suitable for logging.
- * @private
- * @param {Array.<*>} msg - a number of parameters from any type (including objects)
- * @return {string}
- */
-const logString = (msg) => msg.map(m => isObject(m) ? JSON.stringify(m, null, 2) : m).join(' ');
-
-/**
- * Calls a log function passing a string
- * @private
- * @param {function} fn - the log function
- * @param {...*} msg - a series of message objects
- * @return {*} - The result of calling fn
- */
-const logFn = (fn, ...msg) => (typeof fn === 'function') && fn(logString(msg));
-
 /**
  * Encode a string like URLSearchParams would do
  * @private
@@ -47,6 +31,117 @@ function encode(str) {
 
 const globalFetch = () => window.fetch && window.fetch.bind(window);
 
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} [retries=0] - How many times a failed request is repeated
+ * @property {number} [minDelay=300] - Milliseconds to wait before the first retry. The wait doubles
+ * with every retry, and a random part of it is left out so that clients don't retry in lockstep
+ * @property {number} [maxDelay=10000] - Upper limit for the wait between retries. If the server
+ * asks for a longer wait with `Retry-After`, the request is not retried
+ */
+
+/**
+ * Normalizes the `retry` option, which can be a number of retries or a {@link RetryPolicy}
+ * @private
+ * @param {number|RetryPolicy} [retry]
+ * @returns {RetryPolicy}
+ */
+function retryPolicy(retry) {
+    const policy = Object.assign({ retries: 0, minDelay: 300, maxDelay: 10000 },
+        isObject(retry) ? retry : { retries: retry || 0 });
+    assert(Number.isInteger(policy.retries) && policy.retries >= 0,
+        `retries must be a non-negative integer but it is ${policy.retries}`);
+    return policy;
+}
+
+/**
+ * Milliseconds to wait before the next attempt: exponential backoff with jitter
+ * @private
+ * @param {RetryPolicy} policy
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @returns {number}
+ */
+function backoff(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Read the `Retry-After` header of a response
+ * @private
+ * @param {Response} response
+ * @returns {number|null} - Milliseconds to wait, if the header is present and valid
+ */
+function retryAfter(response) {
+    const value = response.headers && isFunction(response.headers.get)
+        ? response.headers.get('Retry-After')
+        : null;
+    if (!value) {
+        return null;
+    }
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(ms) ? null : Math.max(0, ms);
+}
+
+/**
+ * Wait for some time
+ * @private
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A request as seen by interceptors
+ * @typedef {object} InterceptedRequest
+ * @property {string} url
+ * @property {object} options - The options that will be passed to fetch
+ */
+
+/**
+ * Hooks that run around every fetch call made by a {@link RESTClient}. Each hook may be async
+ * @typedef {object} Interceptor
+ * @property {function(InterceptedRequest): (InterceptedRequest|void)} [onRequest] - Can change the
+ * request, or return a new one
+ * @property {function(Response, InterceptedRequest): (Response|void)} [onResponse] - Called with
+ * every response, also non-2xx ones. Can return another response to use instead
+ * @property {function(*, InterceptedRequest): (Response|void)} [onError] - Called when fetch fails.
+ * Can return a response to recover from the error
+ */
+
+/**
+ * Add an interceptor to a list of interceptors
+ * @private
+ * @param {Interceptor[]} interceptors
+ * @param {Interceptor} interceptor
+ * @returns {function} - Removes the interceptor again
+ */
+export function addInterceptor(interceptors, interceptor) {
+    assert(isObject(interceptor) && ['onRequest', 'onResponse', 'onError'].some(h => isFunction(interceptor[h])),
+        'interceptor must have an onRequest, onResponse or onError function');
+    interceptors.push(interceptor);
+    return () => {
+        const index = interceptors.indexOf(interceptor);
+        if (index !== -1) {
+            interceptors.splice(index, 1);
+        }
+    };
+}
+
+/**
+ * Thrown by {@link RESTClient#_request} when fetch itself fails, to tell network errors apart from
+ * error responses
+ * @private
+ */
+class NetworkError {
+    /**
+     * @param {*} cause - Whatever fetch rejected with
+     */
+    constructor(cause) {
+        this.cause = cause;
+    }
+}
+
 /**
  * This class can be used for creating a wrapper around a server and all its endpoints.
  * Its functionality is extended by {@link JSONPClient}
@@ -68,22 +163,42 @@ export class RESTClient {
      * {@link serverUrl} keys. If serverUrl is always a URL, you don't need this.
      * @param {function} [options.fetch=window.fetch] - The fetch function to use. It can be native
      * or a polyfill
-     * @param {function} [options.log] - A function that will be called with log messages about
-     * request and response
+     * @param {function|StructuredLogger|Logger} [options.log] - Where to log requests and
+     * responses. See {@link Logger}
      * @param {object} [options.defaultParams={}] - a set of parameters to add to every call custom.
      *        As long as it supports the standard fetch API we're good.
+     * @param {number} [options.timeout=0] - Milliseconds before a request is aborted. 0 means no
+     * timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network errors, 5xx responses or 429 responses. POST requests are only retried on 429
+     * @param {Interceptor[]} [options.interceptors=[]] - Interceptors to run around every request.
+     * The array is used as is, so several clients can share it
+     * @param {Clock} [options.clock] - Updated with the server time from the `Date` header of every
+     * response
      */
-    constructor({ serverUrl = 'PRE', envDic, fetch = globalFetch(), log, defaultParams = {}}) {
+    constructor({
+        serverUrl = 'PRE',
+        envDic,
+        fetch = globalFetch(),
+        log,
+        defaultParams = {},
+        timeout = 0,
+        retry = 0,
+        interceptors = [],
+        clock
+    }) {
         assert(isObject(defaultParams), `defaultParams should be a non-null object`);
+        assert(Number.isFinite(timeout) && timeout >= 0, `timeout must be a non-negative number but it is ${timeout}`);
 
         this.url = new URL(urlMapper(serverUrl, envDic));
 
         this.defaultParams = defaultParams;
+        this.timeout = timeout;
+        this.retry = retryPolicy(retry);
+        this.interceptors = interceptors;
+        this.clock = clock;
 
-        if (log) {
-            assert(isFunction(log), `log must be a function but it is ${log}`);
-            this.log = log;
-        }
+        this.logger = log instanceof Logger ? log : new Logger({ log });
 
         if (fetch) {
             assert(isFunction(fetch), 'Fetch should be a function');
@@ -105,7 +220,12 @@ export class RESTClient {
      * @param {array} [options.headers] - fetch options headers
      * @param {boolean} [options.useDefaultParams] - should we add the defaultParams to the query?
      * @param {object} [options.fetchOptions] - fetch options
-     * @throws {SDKError} - if the call can't be made for whatever reason.
+     * @param {number} [options.timeout] - Overrides the timeout of the client for this request
+     * @param {number|RetryPolicy} [options.retry] - Overrides the retry policy of the client for this
+     * request
+     * @throws {SDKError} - if the call can't be made for whatever reason. The code is
+     * `request_timeout` if the request timed out, and `retries_exhausted` if it still failed after
+     * all retries (with the HTTP status, if any, in `status`)
      * @return {Promise<object>} - A promise that will resolve to the call's response or reject if there
      *         is an error before making the call or if the server returns a non-2xx error or
      *         something that's not parsable as JSON.
@@ -116,7 +236,9 @@ export class RESTClient {
         pathname,
         data = {},
         useDefaultParams = true,
-        fetchOptions = { method, credentials: 'include' }
+        fetchOptions = { method, credentials: 'include' },
+        timeout = this.timeout,
+        retry = this.retry
     }) {
         assert(isFunction(this.fetch),
             `Can't make a call. The reference to fetch is missing or not a function.`);
@@ -125,28 +247,148 @@ export class RESTClient {
         assert(isObject(data), `data must be a non-null object`);
 
         fetchOptions.headers = isObject(headers) ? cloneDefined(headers) : {};
-        const fullUrl = this.makeUrl(pathname, data, useDefaultParams);
+        let fullUrl;
+        if (method.toUpperCase() === 'POST') {
+            // the payload goes in a form encoded body instead of the query string
+            fullUrl = this.makeUrl(pathname, {}, false);
+            fetchOptions.body = RESTClient.search(data, useDefaultParams, this.defaultParams);
+            fetchOptions.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        } else {
+            fullUrl = this.makeUrl(pathname, data, useDefaultParams);
+        }
+
+        this.logger.debug('request', 'Request', {
+            method: fetchOptions.method.toUpperCase(),
+            url: fullUrl,
+            headers: fetchOptions.headers,
+            body: fetchOptions.body,
+        });
+        const policy = retryPolicy(retry);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._send(fullUrl, fetchOptions, timeout);
+            } catch (failure) {
+                const isNetworkError = failure instanceof NetworkError;
+                const err = isNetworkError ? failure.cause : failure;
+                const status = err instanceof SDKError && Number.isInteger(err.code) ? err.code : 0;
+                const retryable = status === 429
+                    || ((isNetworkError || status >= 500) && method.toUpperCase() !== 'POST');
+                const delay = isObject(err) && Number.isFinite(err.retryAfter)
+                    ? err.retryAfter
+                    : backoff(policy, attempt);
+
+                if (retryable && attempt <= policy.retries && delay <= policy.maxDelay) {
+                    this.logger.warn('retry', 'Retrying request', { url: fullUrl, attempt, delay, status });
+                    await sleep(delay);
+                    continue;
+                }
 
-        logFn(this.log, 'Request:', fetchOptions.method.toUpperCase(), fullUrl);
-        logFn(this.log, 'Request Headers:', fetchOptions.headers);
-        logFn(this.log, 'Request Body:', fetchOptions.body);
+                let msg = isStr(err) ? err : 'Unknown RESTClient error';
+                if (isObject(err) && isStr(err.message)) {
+                    msg = err.message;
+                }
+                let details = err;
+                if (retryable && policy.retries > 0) {
+                    details = Object.assign({}, isObject(err) ? err : {}, { code: 'retries_exhausted', attempts: attempt });
+                    if (status) {
+                        details.status = status;
+                    }
+                }
+                this.logger.warn('request_failed', 'Request failed', {
+                    method: method.toUpperCase(),
+                    url: fullUrl,
+                    message: msg,
+                    errorCode: isObject(details) ? details.code : null,
+                });
+                throw new SDKError(`Failed to '${method}' '${fullUrl}': '${msg}'`, details);
+            }
+        }
+    }
+
+    /**
+     * Make one request, aborting it if it takes longer than the timeout
+     * @private
+     * @param {string} url
+     * @param {object} fetchOptions
+     * @param {number} timeout - Milliseconds, or 0 for no timeout
+     * @returns {Promise<object>} - The parsed response
+     */
+    async _send(url, fetchOptions, timeout) {
+        if (!timeout) {
+            return this._request(url, fetchOptions);
+        }
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                if (controller) {
+                    controller.abort();
+                }
+                reject(new SDKError(`Request timed out after ${timeout}ms`, { code: 'request_timeout', timeout }));
+            }, timeout);
+        });
+        const options = controller
+            ? Object.assign({}, fetchOptions, { signal: controller.signal })
+            : fetchOptions;
         try {
-            const response = await this.fetch(fullUrl, fetchOptions);
-            logFn(this.log, 'Response Code:', response.status, response.statusText);
-            if (!response.ok) {
-                // status code not in range 200-299
-                throw new SDKError(response.statusText, { code: response.status });
+            return await Promise.race([this._request(url, options), timedOut]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Make one request and parse the response
+     * @private
+     * @param {string} url
+     * @param {object} fetchOptions
+     * @throws {NetworkError|SDKError} - NetworkError if fetch failed, SDKError with the status as
+     * `code` for non-2xx responses
+     * @returns {Promise<object>}
+     */
+    async _request(url, fetchOptions) {
+        // a copy, so that interceptors removed meanwhile don't make us skip others
+        const interceptors = this.interceptors.slice();
+        let request = { url, options: fetchOptions };
+        for (const interceptor of interceptors) {
+            if (interceptor.onRequest) {
+                request = (await interceptor.onRequest(request)) || request;
             }
-            const responseObject = await response.json();
-            logFn(this.log, 'Response Parsed:', responseObject);
-            return responseObject;
+        }
+        let response;
+        try {
+            response = await this.fetch(request.url, request.options);
         } catch (err) {
-            let msg = isStr(err) ? err : 'Unknown RESTClient error';
-            if (isObject(err) && isStr(err.message)) {
-                msg = err.message;
+            for (const interceptor of interceptors) {
+                if (!response && interceptor.onError) {
+                    response = await interceptor.onError(err, request);
+                }
+            }
+            if (!response) {
+                throw new NetworkError(err);
+            }
+        }
+        for (const interceptor of interceptors) {
+            if (interceptor.onResponse) {
+                response = (await interceptor.onResponse(response, request)) || response;
+            }
+        }
+        if (this.clock) {
+            this.clock.updateFromResponse(response);
+        }
+        this.logger.debug('response', 'Response', { status: response.status, statusText: response.statusText });
+        if (!response.ok) {
+            // status code not in range 200-299
+            const err = new SDKError(response.statusText, { code: response.status });
+            const wait = retryAfter(response);
+            if (wait !== null) {
+                err.retryAfter = wait;
             }
-            throw new SDKError(`Failed to '${method}' '${fullUrl}': '${msg}'`, err);
+            throw err;
         }
+        const responseObject = await response.json();
+        this.logger.debug('response_body', 'Response Parsed', { body: responseObject });
+        return responseObject;
     }
 
     /**
@@ -162,6 +404,15 @@ export class RESTClient {
         return url.href;
     }
 
+    /**
+     * Add an interceptor that runs around every request made by this client
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    use(interceptor) {
+        return addInterceptor(this.interceptors, interceptor);
+    }
+
     /**
      * Make a GET request
      * @param {string} pathname - WHATWG pathname ie. 'api/2/endpoint-name'
@@ -172,6 +423,16 @@ export class RESTClient {
         return this.go({ method: 'get', pathname, data });
     }
 
+    /**
+     * Make a POST request with a form encoded body
+     * @param {string} pathname - WHATWG pathname ie. 'api/2/endpoint-name'
+     * @param {object} [data={}] - the data payload.
+     * @return {Promise}
+     */
+    post(pathname, data) {
+        return this.go({ method: 'post', pathname, data });
+    }
+
     /**
      * Construct query string for WHATWG urls
      * @private
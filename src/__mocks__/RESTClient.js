@@ -51,4 +51,6 @@ export const RESTClient = jest.fn().mockImplementation(({ serverUrl = 'PRE', env
     return foo;
 });
 
+export const addInterceptor = jest.requireActual('../RESTClient.js').addInterceptor;
+
 export default RESTClient;
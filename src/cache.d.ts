@@ -1,16 +1,49 @@
 /**
- * Cache class that attempts WebStorage (session/local storage), and falls back to JS object literal
+ * Build the namespace that keeps the cache entries of one client apart from other clients (and
+ * other code) using the same storage
+ * @param {string} env - Schibsted account environment
+ * @param {string} clientId
+ * @returns {string}
+ */
+export function cacheNamespace(env: string, clientId: string): string;
+/**
+ * Check whether a value implements the {@link StorageAdapter} interface
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStorageAdapter(value: any): boolean;
+/**
+ * Cache class that attempts WebStorage (session/local storage), and falls back to JS object literal.
+ * A {@link StorageAdapter} can be given instead to use any other backend
  * @private
  */
 export default class Cache {
     /**
-     * @param {Storage} [storeProvider] - A function to return a WebStorage instance (either
-     * `sessionStorage` or `localStorage` from a `Window` object)
+     * @param {function|StorageAdapter} [storeProvider] - A function to return a WebStorage instance
+     * (either `sessionStorage` or `localStorage` from a `Window` object), or a storage adapter
+     * @param {object} [options]
+     * @param {string} [options.namespace] - Prefix for all keys, see {@link cacheNamespace}
+     * @param {function(string): boolean} [options.isLegacyKey] - Tells which keys may still be
+     * stored without the namespace by older versions of the SDK. Those are moved into the
+     * namespace when read, and removed by {@link Cache#clear}
      * @throws {SDKError} - If sessionStorage or localStorage are not accessible
      */
-    constructor(storeProvider?: Storage);
-    cache: WebStorageCache | LiteralCache;
+    constructor(storeProvider?: (() => Storage) | StorageAdapter, { namespace, isLegacyKey }?: {
+        namespace?: string;
+        isLegacyKey?: (key: string) => boolean;
+    });
+    prefix: string;
+    isLegacyKey: (key: string) => boolean;
+    ready: Promise<void>;
+    cache: WebStorageCache | LiteralCache | AsyncAdapterCache | StorageAdapter;
     type: string;
+    /**
+     * Whether the entries of an async storage adapter have been loaded, so that reads can be
+     * trusted. Always true for other storage
+     * @private
+     * @returns {boolean}
+     */
+    private get loaded();
     /**
      * Get a value from cache (checks that the object has not expired)
      * @param {string} key
@@ -34,6 +67,34 @@ export default class Cache {
      * @returns {void}
      */
     private delete;
+    /**
+     * Delete all entries in the namespace of this cache, including legacy entries. Without a
+     * namespace, every entry in the underlying storage is deleted
+     * @private
+     * @returns {void}
+     */
+    private clear;
+    /**
+     * Get the storage key for a cache key
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    private _key;
+    /**
+     * Whether a key could have been stored without namespace by an older SDK version
+     * @private
+     * @param {string} key
+     * @returns {boolean}
+     */
+    private _isLegacyKey;
+    /**
+     * Move an entry stored without namespace into the namespace
+     * @private
+     * @param {string} key
+     * @returns {string|null} - The raw entry, if there was one
+     */
+    private _migrate;
 }
 /**
  * Will be used if web storage is available
@@ -50,6 +111,7 @@ declare class WebStorageCache {
     get: (key: any) => string;
     set: (key: any, value: any) => void;
     delete: (key: any) => void;
+    keys: () => string[];
 }
 /**
  * Will be used if session storage is not available
@@ -60,5 +122,49 @@ declare class LiteralCache {
     get: (key: any) => any;
     set: (key: any, value: any) => any;
     delete: (key: any) => boolean;
+    keys: () => string[];
+}
+/**
+ * Will be used for storage adapters that return promises. Reads are served from memory, which is
+ * filled from the adapter when the cache is created and kept in sync on every write
+ * @private
+ */
+declare class AsyncAdapterCache {
+    /**
+     * Create a cache that mirrors an async storage adapter
+     * @param {StorageAdapter} adapter
+     * @param {Promise<string[]>} keys - The pending result of `adapter.keys()`
+     */
+    constructor(adapter: StorageAdapter, keys: Promise<string[]>);
+    adapter: StorageAdapter;
+    store: {};
+    touched: {};
+    loaded: boolean;
+    ready: Promise<void>;
+    /**
+     * Run a write against the adapter. The in-memory copy is already updated, so a failing write
+     * only means the value won't survive a page load
+     * @param {function} operation
+     * @returns {void}
+     */
+    _write(operation: Function): void;
+    get(key: string): string | undefined;
+    set(key: string, value: string, expiresIn: number): void;
+    delete(key: string): void;
+    keys(): string[];
 }
+/**
+ * A custom storage backend for the cache. Each method may return its result directly or as a
+ * Promise. Values are always strings
+ */
+export type StorageAdapter = {
+    get: (key: string) => (string | null | Promise<string | null>);
+    /**
+     * - Also gets the number of
+     * milliseconds until the entry expires, for backends that can expire entries themselves
+     */
+    set: (key: string, value: string, expiresIn: number) => (void | Promise<void>);
+    delete: (key: string) => (void | Promise<void>);
+    keys: () => (string[] | Promise<string[]>);
+};
 export {};
@@ -5,6 +5,48 @@
 'use strict';
 
 import SDKError from './SDKError.js';
+import { isFunction, isObject } from './validate.js';
+
+/**
+ * A custom storage backend for the cache. Each method may return its result directly or as a
+ * Promise. Values are always strings
+ * @typedef {object} StorageAdapter
+ * @property {function(string): (string|null|Promise<string|null>)} get
+ * @property {function(string, string, number): (void|Promise<void>)} set - Also gets the number of
+ * milliseconds until the entry expires, for backends that can expire entries themselves
+ * @property {function(string): (void|Promise<void>)} delete
+ * @property {function(): (string[]|Promise<string[]>)} keys
+ */
+
+/**
+ * Build the namespace that keeps the cache entries of one client apart from other clients (and
+ * other code) using the same storage
+ * @param {string} env - Schibsted account environment
+ * @param {string} clientId
+ * @returns {string}
+ */
+export function cacheNamespace(env, clientId) {
+    return `schacc-sdk:${env}:${clientId}`;
+}
+
+/**
+ * Check whether a raw value was found in storage
+ * @private
+ * @param {*} raw
+ * @returns {boolean}
+ */
+function isStored(raw) {
+    return raw !== null && typeof raw !== 'undefined';
+}
+
+/**
+ * Check whether a value implements the {@link StorageAdapter} interface
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStorageAdapter(value) {
+    return isObject(value) && ['get', 'set', 'delete', 'keys'].every(m => isFunction(value[m]));
+}
 
 /**
  * Check whether we are able to use web storage
@@ -45,6 +87,9 @@ class WebStorageCache {
         this.get = (key) => this.store.getItem(key);
         this.set = (key, value) => this.store.setItem(key, value);
         this.delete = (key) => this.store.removeItem(key);
+        this.keys = () => isFunction(this.store.key)
+            ? Array.from({ length: this.store.length }, (_, i) => this.store.key(i))
+            : Object.keys(this.store);
     }
 }
 
@@ -61,23 +106,120 @@ class LiteralCache {
         this.get = (key) => this.store[key];
         this.set = (key, value) => this.store[key] = value;
         this.delete = (key) => delete this.store[key];
+        this.keys = () => Object.keys(this.store);
+    }
+}
+
+/**
+ * Will be used for storage adapters that return promises. Reads are served from memory, which is
+ * filled from the adapter when the cache is created and kept in sync on every write
+ * @private
+ */
+class AsyncAdapterCache {
+    /**
+     * Create a cache that mirrors an async storage adapter
+     * @param {StorageAdapter} adapter
+     * @param {Promise<string[]>} keys - The pending result of `adapter.keys()`
+     */
+    constructor(adapter, keys) {
+        this.adapter = adapter;
+        this.store = {};
+        // Keys written or deleted before loading finished must not be overwritten by old values
+        this.touched = {};
+        this.loaded = false;
+        this.ready = Promise.resolve(keys)
+            .then(keys => Promise.all(keys.map(async (key) => {
+                const value = await adapter.get(key);
+                if (!this.touched[key] && typeof value === 'string') {
+                    this.store[key] = value;
+                }
+            })))
+            .catch(() => {})
+            .then(() => {
+                this.loaded = true;
+            });
+    }
+
+    /**
+     * Run a write against the adapter. The in-memory copy is already updated, so a failing write
+     * only means the value won't survive a page load
+     * @param {function} operation
+     * @returns {void}
+     */
+    _write(operation) {
+        Promise.resolve().then(operation).catch(() => {});
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string|undefined}
+     */
+    get(key) {
+        return this.store[key];
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @param {number} expiresIn
+     * @returns {void}
+     */
+    set(key, value, expiresIn) {
+        this.touched[key] = true;
+        this.store[key] = value;
+        this._write(() => this.adapter.set(key, value, expiresIn));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {void}
+     */
+    delete(key) {
+        this.touched[key] = true;
+        delete this.store[key];
+        this._write(() => this.adapter.delete(key));
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys() {
+        return Object.keys(this.store);
     }
 }
 
 const maxExpiresIn = Math.pow(2, 31) - 1;
 
 /**
- * Cache class that attempts WebStorage (session/local storage), and falls back to JS object literal
+ * Cache class that attempts WebStorage (session/local storage), and falls back to JS object literal.
+ * A {@link StorageAdapter} can be given instead to use any other backend
  * @private
  */
 export default class Cache {
     /**
-     * @param {Storage} [storeProvider] - A function to return a WebStorage instance (either
-     * `sessionStorage` or `localStorage` from a `Window` object)
+     * @param {function|StorageAdapter} [storeProvider] - A function to return a WebStorage instance
+     * (either `sessionStorage` or `localStorage` from a `Window` object), or a storage adapter
+     * @param {object} [options]
+     * @param {string} [options.namespace] - Prefix for all keys, see {@link cacheNamespace}
+     * @param {function(string): boolean} [options.isLegacyKey] - Tells which keys may still be
+     * stored without the namespace by older versions of the SDK. Those are moved into the
+     * namespace when read, and removed by {@link Cache#clear}
      * @throws {SDKError} - If sessionStorage or localStorage are not accessible
      */
-    constructor(storeProvider) {
-        if (webStorageWorks(storeProvider)) {
+    constructor(storeProvider, { namespace, isLegacyKey = () => false } = {}) {
+        this.prefix = namespace ? `${namespace}:` : '';
+        this.isLegacyKey = isLegacyKey;
+        this.ready = Promise.resolve();
+        if (isStorageAdapter(storeProvider)) {
+            const keys = storeProvider.keys();
+            if (keys && isFunction(keys.then)) {
+                this.cache = new AsyncAdapterCache(storeProvider, keys);
+                this.ready = this.cache.ready;
+            } else {
+                this.cache = storeProvider;
+            }
+            this.type = 'Adapter';
+        } else if (webStorageWorks(storeProvider)) {
             this.cache = new WebStorageCache(storeProvider());
             this.type = 'WebStorage';
         } else {
@@ -86,6 +228,16 @@ export default class Cache {
         }
     }
 
+    /**
+     * Whether the entries of an async storage adapter have been loaded, so that reads can be
+     * trusted. Always true for other storage
+     * @private
+     * @returns {boolean}
+     */
+    get loaded() {
+        return this.cache.loaded !== false;
+    }
+
     /**
      * Get a value from cache (checks that the object has not expired)
      * @param {string} key
@@ -107,12 +259,18 @@ export default class Cache {
         }
 
         try {
-            const raw = this.cache.get(key);
+            let raw = this.cache.get(this._key(key));
+            if (!isStored(raw) && this._isLegacyKey(key)) {
+                raw = this._migrate(key);
+            }
             let obj = getObj(raw);
             if (obj && Number.isInteger(obj.expiresOn) && obj.expiresOn > Date.now()) {
                 return obj.value;
             }
-            this.delete(key);
+            // A missing entry might still be on its way from an async adapter, so leave it there
+            if (isStored(raw) || this.cache.loaded !== false) {
+                this.delete(key);
+            }
             return null;
         } catch (e) {
             throw new SDKError(e);
@@ -135,7 +293,7 @@ export default class Cache {
 
         try {
             const expiresOn = Math.floor(Date.now() + expiresIn);
-            this.cache.set(key, JSON.stringify({ expiresOn, value }));
+            this.cache.set(this._key(key), JSON.stringify({ expiresOn, value }), expiresIn);
             setTimeout(() => this.delete(key), expiresIn);
         } catch (e) {
             throw new SDKError(e);
@@ -150,9 +308,68 @@ export default class Cache {
      */
     delete(key) {
         try {
-            this.cache.delete(key);
+            this.cache.delete(this._key(key));
+        } catch (e) {
+            throw new SDKError(e);
+        }
+    }
+
+    /**
+     * Delete all entries in the namespace of this cache, including legacy entries. Without a
+     * namespace, every entry in the underlying storage is deleted
+     * @private
+     * @returns {void}
+     */
+    clear() {
+        try {
+            this.cache.keys()
+                .filter(key => key.startsWith(this.prefix) || this._isLegacyKey(key))
+                .forEach(key => this.cache.delete(key));
         } catch (e) {
             throw new SDKError(e);
         }
     }
+
+    /**
+     * Get the storage key for a cache key
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    _key(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    /**
+     * Whether a key could have been stored without namespace by an older SDK version
+     * @private
+     * @param {string} key
+     * @returns {boolean}
+     */
+    _isLegacyKey(key) {
+        return this.prefix !== '' && this.isLegacyKey(key);
+    }
+
+    /**
+     * Move an entry stored without namespace into the namespace
+     * @private
+     * @param {string} key
+     * @returns {string|null} - The raw entry, if there was one
+     */
+    _migrate(key) {
+        const raw = this.cache.get(key);
+        if (!isStored(raw)) {
+            return null;
+        }
+        this.cache.delete(key);
+        try {
+            const expiresIn = JSON.parse(raw).expiresOn - Date.now();
+            if (expiresIn > 0) {
+                this.cache.set(this._key(key), raw, expiresIn);
+            }
+        } catch (e) {
+            // not a cache entry, nothing to keep
+        }
+        return raw;
+    }
 }
@@ -0,0 +1,33 @@
+/**
+ * Call this on the page at the `redirectUri` used by {@link Identity#trySilentLogin}. When that
+ * page is loaded in the hidden iframe, it passes the authorization response (the page url) to the
+ * parent page. The message is only sent to a parent on the same origin
+ * @param {object} [options]
+ * @param {object} [options.window] - window object
+ * @return {boolean} - Whether the page was in a frame, so the response was sent
+ */
+export function sendSilentLoginResponse({ window }?: {
+    window?: any;
+}): boolean;
+/**
+ * Loads a url in a hidden iframe and waits for the page at `redirectUri` to pass the response back
+ * with {@link sendSilentLoginResponse}. The iframe, listener and timer are always cleaned up
+ * @param {Window} parentWindow - The window to add the iframe to
+ * @param {string} url - The url to load in the iframe
+ * @param {string} redirectUri - Only messages from this origin are accepted
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Milliseconds to wait before giving up
+ * @returns {Promise<string>} - The full url the iframe was redirected to
+ * @throws {SDKError} - With `code` set to `silent_login_timeout` if no response came in time, or
+ * `silent_login_load_error` if the iframe failed to load
+ * @private
+ */
+export function waitForSilentLoginResponse(parentWindow: Window, url: string, redirectUri: string, { timeout }?: {
+    timeout?: number;
+}): Promise<string>;
+/**
+ * Type of the message the callback page posts to the page that started a silent login
+ * @private
+ * @type {string}
+ */
+export const SILENT_LOGIN_MESSAGE: string;
@@ -0,0 +1,95 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isObject, isUrl } from './validate.js';
+import SDKError from './SDKError.js';
+
+const globalWindow = () => window;
+
+/**
+ * Type of the message the callback page posts to the page that started a silent login
+ * @private
+ * @type {string}
+ */
+export const SILENT_LOGIN_MESSAGE = 'schacc-sdk:silent-login';
+
+/**
+ * Call this on the page at the `redirectUri` used by {@link Identity#trySilentLogin}. When that
+ * page is loaded in the hidden iframe, it passes the authorization response (the page url) to the
+ * parent page. The message is only sent to a parent on the same origin
+ * @param {object} [options]
+ * @param {object} [options.window] - window object
+ * @return {boolean} - Whether the page was in a frame, so the response was sent
+ */
+export function sendSilentLoginResponse({ window = globalWindow() } = {}) {
+    assert(isObject(window) && isObject(window.location), 'The reference to window is missing');
+    const parent = window.parent;
+    if (!parent || parent === window) {
+        return false;
+    }
+    parent.postMessage({ type: SILENT_LOGIN_MESSAGE, url: window.location.href }, window.location.origin);
+    return true;
+}
+
+/**
+ * Loads a url in a hidden iframe and waits for the page at `redirectUri` to pass the response back
+ * with {@link sendSilentLoginResponse}. The iframe, listener and timer are always cleaned up
+ * @param {Window} parentWindow - The window to add the iframe to
+ * @param {string} url - The url to load in the iframe
+ * @param {string} redirectUri - Only messages from this origin are accepted
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Milliseconds to wait before giving up
+ * @returns {Promise<string>} - The full url the iframe was redirected to
+ * @throws {SDKError} - With `code` set to `silent_login_timeout` if no response came in time, or
+ * `silent_login_load_error` if the iframe failed to load
+ * @private
+ */
+export function waitForSilentLoginResponse(parentWindow, url, redirectUri, { timeout = 10000 } = {}) {
+    assert(isObject(parentWindow) && isObject(parentWindow.document),
+        `window should be a valid Window object but it lacks a 'document' property`);
+    assert(isUrl(url), 'Invalid URL for the silent login iframe');
+    assert(isUrl(redirectUri), 'Invalid redirectUri for the silent login iframe');
+
+    const origin = new URL(redirectUri).origin;
+    const document = parentWindow.document;
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.setAttribute('tabindex', '-1');
+    iframe.setAttribute('title', 'Schibsted account');
+    iframe.setAttribute('style', 'display: none');
+
+    return new Promise((resolve, reject) => {
+        let timer;
+        const onMessage = (event) => {
+            const data = event.data;
+            if (event.source !== iframe.contentWindow || event.origin !== origin
+                || !isObject(data) || data.type !== SILENT_LOGIN_MESSAGE || !isUrl(data.url)) {
+                return;
+            }
+            done(resolve, data.url);
+        };
+        const done = (settle, value) => {
+            clearTimeout(timer);
+            iframe.onerror = null;
+            parentWindow.removeEventListener('message', onMessage);
+            if (iframe.parentNode) {
+                iframe.parentNode.removeChild(iframe);
+            }
+            settle(value);
+        };
+
+        parentWindow.addEventListener('message', onMessage);
+        timer = setTimeout(() => {
+            done(reject, new SDKError('Timed out waiting for the silent login. Third-party cookies '
+                + 'may be blocked', { code: 'silent_login_timeout' }));
+        }, timeout);
+        iframe.onerror = () => {
+            done(reject, new SDKError('The silent login iframe failed to load', { code: 'silent_login_load_error' }));
+        };
+        iframe.setAttribute('src', url);
+        document.body.appendChild(iframe);
+    });
+}
@@ -0,0 +1,48 @@
+/**
+ * Offsets smaller than this are within the precision of `serverTime` and the `Date` header (whole
+ * seconds) plus the request latency, so they are ignored
+ * @private
+ * @type {number}
+ */
+export const CLOCK_TOLERANCE: number;
+/**
+ * Keeps track of how far the local clock is off from the Schibsted account servers, so that
+ * expiry times from the servers can be compared with the current time even if the user's clock is
+ * wrong
+ * @memberof core
+ * @private
+ */
+export default class Clock {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.offset=0] - Milliseconds the server clock is ahead of the local clock,
+     * as previously reported to `onChange`
+     * @param {function(number): void} [options.onChange] - Called with the new offset when it
+     * changes, so it can be remembered
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ offset, onChange }?: {
+        offset?: number;
+        onChange?: (offset: number) => void;
+    });
+    offset: number;
+    onChange: (offset: number) => void;
+    /**
+     * The current server time
+     * @returns {number} - Milliseconds since the Unix Epoch
+     */
+    now(): number;
+    /**
+     * Record what time the server says it is right now
+     * @param {number} serverTime - Milliseconds since the Unix Epoch
+     * @returns {void}
+     */
+    update(serverTime: number): void;
+    /**
+     * Record the server time from the `Date` header of a fetch response. Cross-origin responses
+     * only have it if the server lists it in `Access-Control-Expose-Headers`
+     * @param {Response} response
+     * @returns {void}
+     */
+    updateFromResponse(response: Response): void;
+}
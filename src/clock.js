@@ -0,0 +1,85 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isFunction, isObject } from './validate.js';
+
+/**
+ * Offsets smaller than this are within the precision of `serverTime` and the `Date` header (whole
+ * seconds) plus the request latency, so they are ignored
+ * @private
+ * @type {number}
+ */
+export const CLOCK_TOLERANCE = 2000;
+
+/**
+ * Keeps track of how far the local clock is off from the Schibsted account servers, so that
+ * expiry times from the servers can be compared with the current time even if the user's clock is
+ * wrong
+ * @memberof core
+ * @private
+ */
+export default class Clock {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.offset=0] - Milliseconds the server clock is ahead of the local clock,
+     * as previously reported to `onChange`
+     * @param {function(number): void} [options.onChange] - Called with the new offset when it
+     * changes, so it can be remembered
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ offset = 0, onChange = () => {} } = {}) {
+        assert(Number.isFinite(offset), `offset must be a number but it is ${offset}`);
+        assert(isFunction(onChange), 'onChange must be a function');
+        this.offset = offset;
+        this.onChange = onChange;
+    }
+
+    /**
+     * The current server time
+     * @returns {number} - Milliseconds since the Unix Epoch
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+
+    /**
+     * Record what time the server says it is right now
+     * @param {number} serverTime - Milliseconds since the Unix Epoch
+     * @returns {void}
+     */
+    update(serverTime) {
+        if (!Number.isFinite(serverTime)) {
+            return;
+        }
+        let offset = serverTime - Date.now();
+        if (Math.abs(offset) < CLOCK_TOLERANCE) {
+            offset = 0;
+        }
+        if (offset !== this.offset) {
+            this.offset = offset;
+            this.onChange(offset);
+        }
+    }
+
+    /**
+     * Record the server time from the `Date` header of a fetch response. Cross-origin responses
+     * only have it if the server lists it in `Access-Control-Expose-Headers`
+     * @param {Response} response
+     * @returns {void}
+     */
+    updateFromResponse(response) {
+        const headers = isObject(response) && response.headers;
+        if (!headers || !isFunction(headers.get)) {
+            return;
+        }
+        const date = Date.parse(headers.get('Date'));
+        if (Number.isFinite(date)) {
+            // A response from a shared cache was created `Age` seconds ago
+            const age = Number(headers.get('Age')) || 0;
+            this.update(date + 1000 * age);
+        }
+    }
+}
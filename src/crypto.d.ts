@@ -0,0 +1,44 @@
+/**
+ * Encodes a byte array as base64url (RFC 4648 §5) without padding
+ * @memberof core
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @return {string}
+ */
+export function base64UrlEncode(buffer: ArrayBuffer | Uint8Array): string;
+/**
+ * Decodes a base64url (RFC 4648 §5) string, with or without padding
+ * @memberof core
+ * @param {string} value
+ * @return {Uint8Array}
+ * @throws {Error} - If the value is not valid base64url
+ */
+export function base64UrlDecode(value: string): Uint8Array;
+
+/**
+ * Generates a cryptographically random, URL safe string
+ * @memberof core
+ * @param {number} [byteLength=32] - Number of random bytes to encode
+ * @return {string}
+ */
+export function randomString(byteLength?: number): string;
+/**
+ * Calculates the SHA-256 digest of a string
+ * @memberof core
+ * @param {string} message
+ * @return {Promise<ArrayBuffer>}
+ */
+export function sha256(message: string): Promise<ArrayBuffer>;
+/**
+ * Creates a PKCE code verifier {@link https://tools.ietf.org/html/rfc7636#section-4.1}
+ * @memberof core
+ * @return {string} - 43 characters from the unreserved URL character set
+ */
+export function createCodeVerifier(): string;
+/**
+ * Derives the S256 PKCE code challenge from a code verifier
+ * {@link https://tools.ietf.org/html/rfc7636#section-4.2}
+ * @memberof core
+ * @param {string} codeVerifier
+ * @return {Promise<string>}
+ */
+export function createCodeChallenge(codeVerifier: string): Promise<string>;
@@ -0,0 +1,82 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+/**
+ * @summary Thin wrappers around the WebCrypto API used by the SDK
+ * @private
+ */
+
+import { assert, isNonEmptyString, isStr } from './validate.js';
+
+/**
+ * Encodes a byte array as base64url (RFC 4648 §5) without padding
+ * @memberof core
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @return {string}
+ */
+export function base64UrlEncode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url (RFC 4648 §5) string, with or without padding
+ * @memberof core
+ * @param {string} value
+ * @return {Uint8Array}
+ * @throws {Error} - If the value is not valid base64url
+ */
+export function base64UrlDecode(value) {
+    assert(isStr(value), 'value must be a string');
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Generates a cryptographically random, URL safe string
+ * @memberof core
+ * @param {number} [byteLength=32] - Number of random bytes to encode
+ * @return {string}
+ */
+export function randomString(byteLength = 32) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return base64UrlEncode(bytes);
+}
+
+/**
+ * Calculates the SHA-256 digest of a string
+ * @memberof core
+ * @param {string} message
+ * @return {Promise<ArrayBuffer>}
+ */
+export function sha256(message) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(message));
+}
+
+/**
+ * Creates a PKCE code verifier {@link https://tools.ietf.org/html/rfc7636#section-4.1}
+ * @memberof core
+ * @return {string} - 43 characters from the unreserved URL character set
+ */
+export function createCodeVerifier() {
+    return randomString(32);
+}
+
+/**
+ * Derives the S256 PKCE code challenge from a code verifier
+ * {@link https://tools.ietf.org/html/rfc7636#section-4.2}
+ * @memberof core
+ * @param {string} codeVerifier
+ * @return {Promise<string>}
+ */
+export async function createCodeChallenge(codeVerifier) {
+    assert(isNonEmptyString(codeVerifier), 'codeVerifier must be a non empty string');
+    return base64UrlEncode(await sha256(codeVerifier));
+}
@@ -9,5 +9,8 @@ window.regeneratorRuntime = require('regenerator-runtime');
 const { Identity } = require('../identity');
 const { Monetization } = require('../monetization');
 const { Payment } = require('../payment');
+const { Paywall } = require('../paywall');
+const { CookieStorage, IndexedDBStorage } = require('../storage');
+const { sendSilentLoginResponse } = require('../callback');
 
-module.exports = { Identity, Monetization, Payment };
+module.exports = { Identity, Monetization, Payment, Paywall, CookieStorage, IndexedDBStorage, sendSilentLoginResponse };
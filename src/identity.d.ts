@@ -10,33 +10,106 @@ export class Identity extends TinyEmitter {
      * @param {string} options.sessionDomain - Example: "https://id.site.com"
      * @param {string} options.redirectUri - Example: "https://site.com"
      * @param {string} [options.env=PRE] - Schibsted account environment: `PRE`, `PRO`, `PRO_NO`, `PRO_FI` or `PRO_DK`
-     * @param {function} [options.log] - A function that receives debug log information. If not set,
-     * no logging will be done
+     * @param {function|StructuredLogger} [options.log] - A function that receives log messages, or an
+     * object with `debug`, `info`, `warn` and `error` functions that receives {@link LogEvent}s. If
+     * not set, no logging will be done
+     * @param {string} [options.logLevel=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact from the
+     * logs, on top of the personal data and secrets that are always redacted
      * @param {object} [options.window] - window object
      * @param {function} [options.callbackBeforeRedirect] - callback triggered before session refresh redirect happen
+     * @param {boolean} [options.pkce=false] - Public client mode: {@link Identity#login} uses PKCE and the
+     * authorization code is exchanged for tokens in the browser by {@link Identity#handleRedirectCallback}
+     * @param {boolean} [options.autoState=false] - Generate and store the login `state` when it's not
+     * given to {@link Identity#login}, so it can be checked with {@link Identity#verifyState}
+     * @param {boolean} [options.syncTabs=false] - Propagate login, logout, user change and cache
+     * invalidation to the other tabs of this site, so they emit the same events. The tabs also
+     * take turns to fetch the session, so when many of them ask at once only one of them does
+     * @param {StorageAdapter} [options.storage] - Where to cache session data, instead of Web
+     * Storage. See {@link IndexedDBStorage} and {@link CookieStorage}. With an adapter that returns
+     * promises, wait for {@link Identity#ready} before calling {@link Identity#verifyState}
+     * @param {number} [options.requestTimeout=0] - Milliseconds before requests to Schibsted account
+     * are aborted with an `SDKError` with code `request_timeout`. 0 means no timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network or server errors. When all retries fail, the `SDKError` has code `retries_exhausted`
+     * @param {string|SessionCachePolicy} [options.sessionCache=ttl] - How to cache
+     * {@link Identity#hasSession} results: `off`, `ttl` or `stale-while-revalidate`, or a
+     * {@link SessionCachePolicy} with TTL overrides
+     * @param {boolean|SessionExpiryOptions} [options.sessionExpiry=false] - Emit
+     * {@link Identity#event:sessionExpiring} and {@link Identity#event:sessionExpired} when the
+     * session from {@link Identity#hasSession} is about to expire, and optionally refresh it
+     * @param {SessionVerifier} [options.sessionVerifier] - Also check sessions read from the cache
+     * with this, on top of comparing them with their signed `sig` payload
+     * @param {string} [options.redirectStrategy=auto] - What {@link Identity#hasSession} does when
+     * the Session Service can only refresh the session with a redirect. `auto` redirects the page,
+     * `manual` emits {@link Identity#event:sessionRedirectRequired} and leaves it to you, and
+     * `popup` and `iframe` do the redirect in a popup or hidden iframe. The page at `redirectUri`
+     * must call {@link sendSilentLoginResponse} for `iframe` to work
      * @throws {SDKError} - If any of options are invalid
      */
-    constructor({ clientId, redirectUri, sessionDomain, env, log, window, callbackBeforeRedirect }: {
+    constructor({ clientId, redirectUri, sessionDomain, env, log, logLevel, redactFields, window, callbackBeforeRedirect, pkce, autoState, syncTabs, storage, requestTimeout, retry, sessionCache, sessionExpiry, sessionVerifier, redirectStrategy }: {
         clientId: string;
         sessionDomain: string;
         redirectUri: string;
         env?: string;
-        log?: Function;
+        log?: Function | StructuredLogger;
+        logLevel?: LogLevel;
+        redactFields?: string[];
         window?: any;
         callbackBeforeRedirect?: Function;
+        pkce?: boolean;
+        autoState?: boolean;
+        syncTabs?: boolean;
+        storage?: StorageAdapter;
+        requestTimeout?: number;
+        retry?: number | RetryPolicy;
+        sessionCache?: SessionCacheMode | SessionCachePolicy;
+        sessionExpiry?: boolean | SessionExpiryOptions;
+        sessionVerifier?: SessionVerifier;
+        redirectStrategy?: RedirectStrategy;
     });
     _sessionInitiatedSent: boolean;
+    _clock: Clock;
     window: any;
     clientId: string;
     sessionStorageCache: any;
     localStorageCache: any;
+    /**
+     * Resolves when the cache has been loaded from storage. Only async storage adapters take
+     * time to load, and the methods that read the cache wait for this themselves
+     * @type {Promise<void>}
+     */
+    ready: Promise<void>;
     redirectUri: string;
     env: string;
-    log: Function;
+    log: Function | StructuredLogger;
+    _logger: Logger;
     callbackBeforeRedirect: Function;
+    pkce: boolean;
+    autoState: boolean;
+    requestTimeout: number;
+    retry: number | RetryPolicy;
+    _interceptors: Interceptor[];
     _sessionDomain: string;
+    _sessionCachePolicy: SessionCachePolicy;
     _enableSessionCaching: boolean;
+    _sessionRevalidation: Promise<void> | null;
+    _sessionExpiry: false | SessionExpiryOptions;
+    _sessionExpiryTimers: ReturnType<typeof setTimeout>[];
+    _refreshedSessionEnd: number | null;
+    _sessionVerifier: SessionVerifier;
+    redirectStrategy: RedirectStrategy;
     _session: {};
+    _tabSync: TabSync;
+    _tabLock: TabLock;
+    _sharedSession: {
+        session?: HasSessionSuccessResponse;
+        error?: any;
+        receivedAt: number;
+    } | null;
+    _oidcConfiguration: Promise<any> | null;
+    _jwks: Promise<any> | null;
 
     /**
      * Read tabId from session storage
@@ -44,6 +117,21 @@ export class Identity extends TinyEmitter {
      * @private
      */
     private _getTabId;
+    /**
+     * Tell the other tabs about a session change, if tab syncing is enabled
+     * @private
+     * @param {string} type - `session`, `logout` or `invalidate`
+     * @param {object} [data]
+     * @returns {void}
+     */
+    private _broadcast;
+    /**
+     * Handle a session change that happened in another tab
+     * @private
+     * @param {object} message
+     * @returns {void}
+     */
+    private _onTabMessage;
     /**
      * Checks if getting session is blocked
      * @private
@@ -105,6 +193,14 @@ export class Identity extends TinyEmitter {
      */
     private _setGlobalSessionServiceUrl;
     _globalSessionService: RESTClient;
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor: Interceptor): () => void;
     /**
      * Emits the relevant events based on the previous and new reply from hassession
      * @private
@@ -166,7 +262,9 @@ export class Identity extends TinyEmitter {
      * @description When we send a request to this endpoint, cookies sent along with the request
      * determines the status of the user.
      * @throws {SDKError} - If the call to the hasSession service fails in any way (this will happen
-     * if, say, the user is not logged in)
+     * if, say, the user is not logged in). When the session can only be refreshed with a redirect,
+     * the `SDKError` has code `session_redirect` if the page (or, with `syncTabs`, another tab) is
+     * being redirected, and `session_redirect_required` if the `redirectStrategy` is `manual`
      * @fires Identity#login
      * @fires Identity#logout
      * @fires Identity#userChange
@@ -174,11 +272,87 @@ export class Identity extends TinyEmitter {
      * @fires Identity#notLoggedin
      * @fires Identity#sessionInit
      * @fires Identity#statusChange
+     * @fires Identity#sessionRedirectRequired
      * @fires Identity#error
      * @return {Promise<HasSessionSuccessResponse|HasSessionFailureResponse>}
      */
     hasSession(): Promise<HasSessionSuccessResponse | HasSessionFailureResponse>;
     _hasSessionInProgress: boolean | Promise<any>;
+    /**
+     * Load the url the Session Service redirects to for refreshing the session in a popup or a
+     * hidden iframe, according to the redirect strategy, and wait for it to come back
+     * @private
+     * @param {string} url
+     * @throws {SDKError} - With `code` set to `session_refresh_timeout` if it takes too long,
+     * `popup_blocked` or `popup_closed` for a popup, the `error` of an error response, or the
+     * error the popup or iframe failed with
+     * @return {Promise<void>}
+     */
+    private _refreshSessionInWindow;
+    /**
+     * Check that a cached session hasn't been changed since it was fetched. If it has, the session
+     * cache is cleared and an `SDKError` with code `invalid_session` is emitted
+     * @private
+     * @param {HasSessionSuccessResponse|{error: object}} sessionData
+     * @fires Identity#error
+     * @return {Promise<boolean>}
+     */
+    private _verifyCachedSession;
+    /**
+     * Cache a session according to the session cache policy
+     * @private
+     * @param {HasSessionSuccessResponse} sessionData
+     * @return {void}
+     */
+    private _cacheSession;
+    /**
+     * Cache a "not logged in" response according to the session cache policy, replacing any stale
+     * session
+     * @private
+     * @param {SDKError|object} err
+     * @return {void}
+     */
+    private _cacheNoSession;
+    /**
+     * Milliseconds to cache a "not logged in" response for
+     * @private
+     * @param {SDKError} err
+     * @return {number}
+     */
+    private _negativeSessionCacheTtl;
+    /**
+     * Use the clock offset learned on an earlier page, if any
+     * @private
+     * @return {void}
+     */
+    private _restoreClockOffset;
+    /**
+     * Set timers for the expiry events (and the refresh) of a session, replacing any earlier ones
+     * @private
+     * @param {HasSessionSuccessResponse} session
+     * @return {void}
+     */
+    private _scheduleSessionExpiry;
+    /**
+     * Stop the timers set by {@link Identity#_scheduleSessionExpiry}
+     * @private
+     * @return {void}
+     */
+    private _clearSessionExpiryTimers;
+    /**
+     * Remove the cached session, including any stale copy
+     * @private
+     * @return {void}
+     */
+    private _clearSessionCache;
+    /**
+     * @summary The current time according to Schibsted account
+     * @description The offset from the local clock is learned from {@link Identity#hasSession}
+     * responses (and the `Date` header of responses that expose it), so this is right even if the
+     * user's clock isn't. Until then it is the local time
+     * @return {number} - Milliseconds since the Unix Epoch
+     */
+    getServerTime(): number;
     /**
      * @async
      * @summary Allows the client app to check if the user is logged in to Schibsted account
@@ -192,6 +366,57 @@ export class Identity extends TinyEmitter {
      * @returns {void}
      */
     clearCachedUserSession(): void;
+    /**
+     * Removes everything the SDK has cached for this client: the user session, pending logins
+     * and internal flags. Data cached by other clients on the same site is left alone
+     * @returns {void}
+     */
+    clearAllCachedData(): void;
+    /**
+     * @summary Keep the session up to date on long-lived pages
+     * @description Re-validates the session with the Session Service in the background, so that
+     * `logout`, `userChange` and the other session events fire even if the page never calls
+     * {@link Identity#hasSession} itself. Checks are paused while the page is hidden and done
+     * right away when it becomes visible, gets focus or comes back online. A session that expires
+     * before the next check is re-validated when it expires
+     * @param {object} [options]
+     * @param {number} [options.interval=300000] - Milliseconds between checks
+     * @returns {void}
+     */
+    startSessionMonitor({ interval }?: {
+        interval?: number;
+    }): void;
+    _sessionMonitor: {
+        interval: number;
+        timer: any;
+        check: () => Promise<void>;
+        onVisibilityChange: () => void;
+    };
+    /**
+     * Stop the background session checks started by {@link Identity#startSessionMonitor}
+     * @returns {void}
+     */
+    stopSessionMonitor(): void;
+    /**
+     * Stop everything the instance does in the background: the session monitor, the session
+     * expiry timers and, with `syncTabs`, the channel to the other tabs and the lock shared with
+     * them. Call it when the instance is no longer used, like when a single-page app tears it down
+     * @returns {void}
+     */
+    destroy(): void;
+    /**
+     * Whether the page is currently hidden from the user
+     * @private
+     * @returns {boolean}
+     */
+    private _isPageHidden;
+    /**
+     * Do one background session check and schedule the next one. While the page is hidden nothing
+     * is scheduled; the `visibilitychange` listener picks up again
+     * @private
+     * @returns {Promise<void>}
+     */
+    private _monitorSession;
     /**
      * @async
      * @summary Allows the caller to check if the current user is connected to the client_id in
@@ -304,9 +529,60 @@ export class Identity extends TinyEmitter {
      * @param {string} [options.locale]
      * @param {boolean} [options.oneStepLogin=false]
      * @param {string} [options.prompt=select_account]
-     * @return {Window|null} - Reference to popup window if created (or `null` otherwise)
+     * @param {*} [options.statePayload]
+     * @param {string} [options.nonce]
+     * @return {Window|null} - Reference to popup window if created (or `null` otherwise). In PKCE
+     * mode the navigation happens asynchronously, once the code challenge has been calculated
      */
-    login({ state, acrValues, scope, redirectUri, preferPopup, loginHint, tag, teaser, maxAge, locale, oneStepLogin, prompt }: LoginOptions): Window | null;
+    login({ state, acrValues, scope, redirectUri, preferPopup, loginHint, tag, teaser, maxAge, locale, oneStepLogin, prompt, statePayload, nonce, }: LoginOptions): Window | null;
+    /**
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked. Unlike {@link Identity#login} there is no fallback to a full-page
+     * redirect
+     * @async
+     * @summary Perform a login in a popup and wait for it to come back to `redirectUri`
+     * @param {LoginOptions} options - Same as for {@link Identity#login}
+     * @param {number} [options.timeout=600000] - Milliseconds to wait for the user to log in
+     * @param {boolean} [options.refreshSession=false] - Resolve with the result of
+     * {@link Identity#hasSession} instead of the authorization response
+     * @throws {SDKError} - With `code` set to `popup_blocked`, `popup_closed` or `popup_timeout`,
+     * or to the OAuth error code if the login failed
+     * @return {Promise<PopupLoginResult|HasSessionSuccessResponse>}
+     */
+    loginWithPopup(options?: LoginOptions & {
+        timeout?: number;
+        refreshSession?: boolean;
+    }): Promise<PopupLoginResult | HasSessionSuccessResponse>;
+    /**
+     * Perform a PKCE login. The popup (if any) must be opened synchronously to not be blocked, so it
+     * starts out blank and is navigated when the login url is ready
+     * @private
+     * @param {LoginOptions} options
+     * @param {boolean} preferPopup
+     * @return {Window|null}
+     */
+    private _pkceLogin;
+    /**
+     * Tries to log the user in without any interaction, by loading the authorization endpoint with
+     * `prompt=none` in a hidden iframe. The page at `redirectUri` must call
+     * {@link sendSilentLoginResponse} to pass the response back to this page. If third-party
+     * cookies or framing of the login pages are blocked by the browser, this fails with
+     * `login_required` or `silent_login_timeout`, and you should fall back to
+     * {@link Identity#login}
+     * @async
+     * @summary Perform a login without user interaction in a hidden iframe
+     * @param {LoginOptions} [options] - Same as for {@link Identity#login}, except `prompt`, which
+     * is always `none`
+     * @param {number} [options.timeout=10000] - Milliseconds to wait for a response
+     * @throws {SDKError} - With `code` set to `login_required` or `interaction_required` (or
+     * another OAuth error code) if the user has to log in, `state_mismatch` if the response is not
+     * for this login, or `silent_login_timeout` if there was no response in time
+     * @return {Promise<PopupLoginResult>} - In PKCE mode, pass the `url` on to
+     * {@link Identity#handleRedirectCallback}
+     */
+    trySilentLogin(options?: Partial<LoginOptions> & {
+        timeout?: number;
+    }): Promise<PopupLoginResult>;
     /**
      * @async
      * @summary Retrieve the sp_id (Varnish ID)
@@ -336,9 +612,183 @@ export class Identity extends TinyEmitter {
      * @param {string} [options.locale]
      * @param {boolean} [options.oneStepLogin=false]
      * @param {string} [options.prompt=select_account]
+     * @param {*} [options.statePayload]
+     * @param {string} [options.nonce]
      * @return {string} - The url
      */
-    loginUrl({ state, acrValues, scope, redirectUri, loginHint, tag, teaser, maxAge, locale, oneStepLogin, prompt, }: LoginOptions, ...args: any[]): string;
+    loginUrl({ state, acrValues, scope, redirectUri, loginHint, tag, teaser, maxAge, locale, oneStepLogin, prompt, statePayload, nonce, }: LoginOptions, ...args: any[]): string;
+    /**
+     * @async
+     * @summary Generates a login url for the PKCE flow {@link https://tools.ietf.org/html/rfc7636}
+     * @description A code verifier is created and kept in session storage under the `state`, until
+     * {@link Identity#handleRedirectCallback} uses it to exchange the authorization code for
+     * tokens
+     * @param {LoginOptions} options - Same as for {@link Identity#loginUrl}, but `state` is
+     * optional. A random one is generated if omitted
+     * @return {Promise<string>} - The url
+     */
+    pkceLoginUrl(options?: Partial<LoginOptions>): Promise<string>;
+    /**
+     * Parses the authorization response that the login flow redirects back to `redirectUri` with
+     * @summary Read the `code` and `state` (or the error) after a login
+     * @param {string} [url=window.location.href] - The url the user was redirected back to
+     * @param {object} [options]
+     * @param {boolean} [options.cleanUrl=false] - Remove the response parameters from the address
+     * bar with `history.replaceState`, so they don't end up in bookmarks or get reused on reload.
+     * Only done when `url` is the current page
+     * @param {boolean} [options.clearSessionCache=true] - Clear the cached {@link Identity#hasSession}
+     * result after a successful login, so that the next call reflects it
+     * @throws {SDKError} - With `code` set to the OAuth error code if the login failed, or to
+     * `invalid_request` if the url has no authorization response
+     * @return {AuthorizationResponse}
+     */
+    parseRedirectResponse(url?: string, { cleanUrl, clearSessionCache }?: {
+        cleanUrl?: boolean;
+        clearSessionCache?: boolean;
+    }): AuthorizationResponse;
+    /**
+     * Replace the current history entry with `url` minus the authorization response parameters
+     * @private
+     * @param {string} url
+     * @return {void}
+     */
+    private _removeRedirectResponseParams;
+    /**
+     * @async
+     * @summary Completes a PKCE login by exchanging the authorization code for tokens
+     * @description Validates that the `state` in the redirect matches the one stored by
+     * {@link Identity#pkceLoginUrl} for this tab, and exchanges the code using the stored code
+     * verifier. The stored verifier can only be used once
+     * @param {string} [url=window.location.href] - The url the user was redirected back to
+     * @throws {SDKError} - With `code` set to `state_mismatch` if there is no matching login in
+     * progress, to the OAuth error code if the authorization failed, or if the token request fails
+     * @return {Promise<TokenResponse>}
+     */
+    handleRedirectCallback(url?: string): Promise<TokenResponse>;
+    /**
+     * Generates a random login `state` and remembers it (and the payload) for this tab, so that
+     * {@link Identity#verifyState} can check it when the user returns from the login flow
+     * {@link https://tools.ietf.org/html/rfc6749#section-10.12}
+     * @param {*} [payload] - Any JSON serializable value, e.g. the path to return the user to
+     * @return {string} - The state to pass to {@link Identity#login}
+     */
+    createState(payload?: any): string;
+    /**
+     * Checks a `state` returned from the login flow against the ones created by
+     * {@link Identity#createState}. Each state can only be verified once
+     * @param {string} [state] - Defaults to the `state` query parameter of the current url
+     * @throws {SDKError} - With `code` set to `state_replayed` if the state has already been
+     * verified, or `state_mismatch` if it's unknown or expired. With an async storage adapter, the
+     * `code` is `storage_not_ready` if called before {@link Identity#ready} has resolved
+     * @return {*} - The payload given when the state was created
+     */
+    verifyState(state?: string): any;
+    /**
+     * Generates a random `nonce` and remembers it for this tab, so that
+     * {@link Identity#validateIdToken} can check that an ID token belongs to a login started here
+     * @private
+     * @return {string}
+     */
+    private _createNonce;
+    /**
+     * Add a generated `nonce` to the options of a login that is starting, unless one is given or
+     * the scope doesn't include `openid`
+     * @private
+     * @param {LoginOptions} options
+     * @return {LoginOptions}
+     */
+    private _withNonce;
+    /**
+     * Fetch the OpenID Connect discovery document (once)
+     * {@link https://openid.net/specs/openid-connect-discovery-1_0.html}
+     * @private
+     * @return {Promise<object>}
+     */
+    private _getOidcConfiguration;
+    /**
+     * Fetch the JSON Web Key Set with the keys ID tokens are signed with
+     * @private
+     * @param {boolean} [refresh=false] - Fetch it again even if we have it
+     * @return {Promise<object>}
+     */
+    private _getJwks;
+    /**
+     * Find the key an ID token was signed with. A JWKS we already had is fetched again if the key
+     * isn't in it, in case the keys have been rotated
+     * @private
+     * @param {object} header - The JWT header
+     * @throws {SDKError} - With `code` set to `invalid_token` if there is no such key
+     * @return {Promise<object>} - The JWK
+     */
+    private _getSigningKey;
+    /**
+     * @async
+     * @summary Verifies the signature and validates the claims of an ID token
+     * @description The signing keys and issuer are read from the OpenID Connect discovery document
+     * of the Schibsted account environment. Checks `iss`, `aud`, `exp`, `iat` and `nonce`, and
+     * optionally `acr`, `amr` and `auth_time`. Use `amr` to make sure the user really did the 2FA
+     * you asked for with `acrValues` when logging in. Unless `nonce` is given, the nonce must be one
+     * generated by {@link Identity#loginUrl} in this tab, and it can only be used once
+     * @param {string} idToken - For example the `id_token` returned by
+     * {@link Identity#handleRedirectCallback}
+     * @param {object} [options]
+     * @param {string} [options.nonce] - The nonce the token must contain
+     * @param {string|string[]} [options.acrValues] - The `acr` claim must be one of these
+     * @param {string|string[]} [options.amr] - The `amr` claim must contain all of these, e.g. `otp`
+     * @param {number} [options.maxAge] - Max seconds since the user authenticated
+     * @param {number} [options.leeway=60] - Seconds of clock skew to allow
+     * @throws {SDKError} - With `code` set to `invalid_token` if the token is malformed, its
+     * signature is wrong or any claim is invalid
+     * @return {Promise<IdTokenClaims>}
+     */
+    validateIdToken(idToken: string, { nonce, acrValues, amr, maxAge, leeway }?: {
+        nonce?: string;
+        acrValues?: string | string[];
+        amr?: string | string[];
+        maxAge?: number;
+        leeway?: number;
+    }): Promise<IdTokenClaims>;
+    /**
+     * Check if ID token claims meet an authentication requirement for the current user
+     * @private
+     * @param {IdTokenClaims|null} claims
+     * @param {object} session - The last {@link Identity#hasSession} response
+     * @param {string[]} methods - Each must be in the `amr` claim (or be the `acr`)
+     * @param {number} [maxAge] - Max seconds since the user authenticated
+     * @return {boolean}
+     */
+    private _meetsAuthLevel;
+    /**
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked
+     * @async
+     * @summary Makes sure the user has authenticated strongly enough, and recently enough, asking
+     * them to log in again only if needed
+     * @description The requirement is checked against the session from {@link Identity#hasSession}
+     * and the claims of the last ID token that {@link Identity#validateIdToken} accepted in this
+     * tab. If it isn't met, the user logs in again in a popup with `acr_values` and `max_age` set,
+     * and the new ID token is validated and checked against the requirement. In PKCE mode the SDK
+     * gets the ID token itself; otherwise `exchangeCode` has your backend get it. If the popup is
+     * blocked, or `preferPopup` is false, the browser is redirected instead and the promise
+     * resolves with `null`
+     * @param {LoginOptions} options - Same as for {@link Identity#login}, plus:
+     * @param {string|string[]} [options.acr] - Authentication methods the user must have used, like
+     * `sms`, `otp` or `eid`. See `acrValues` in {@link LoginOptions}
+     * @param {number} [options.maxAge] - Max seconds since the user last authenticated
+     * @param {boolean} [options.preferPopup=true]
+     * @param {function(PopupLoginResult): Promise<string>} [options.exchangeCode] - Required without
+     * PKCE. Exchanges the code of the step-up login for tokens, usually on your backend, and
+     * resolves with the ID token
+     * @throws {SDKError} - If the options are invalid or the step-up login fails. The `code` is
+     * `auth_level_not_met` if the user logged in, but not in the required way
+     * @return {Promise<AuthLevelResult|null>}
+     */
+    requireAuthLevel(options?: LoginOptions & {
+        acr?: string | string[];
+        maxAge?: number;
+        preferPopup?: boolean;
+        exchangeCode?: (authorization: PopupLoginResult) => Promise<string>;
+    }): Promise<AuthLevelResult | null>;
     /**
      * The url for logging the user out
      * @param {string} [redirectUri=this.redirectUri]
@@ -374,16 +824,18 @@ export default Identity;
 export type LoginOptions = {
     /**
      * - An opaque value used by the client to maintain state between
-     * the request and callback. It's also recommended to prevent CSRF {@link https://tools.ietf.org/html/rfc6749#section-10.12}
+     * the request and callback. It's also recommended to prevent CSRF {@link https://tools.ietf.org/html/rfc6749#section-10.12}.
+     * May be omitted when the `autoState` option is set
      */
-    state: string;
+    state?: string;
     /**
      * - Authentication Context Class Reference Values. If
      * omitted, the user will be asked to authenticate using username+password.
      * For 2FA (Two-Factor Authentication) possible values are `sms`, `otp` (one time password),
      * `password` (will force password confirmation, even if user is already logged in), `eid`. Those values might
      * be mixed as space-separated string. To make sure that user has authenticated with 2FA you need
-     * to verify AMR (Authentication Methods References) claim in ID token.
+     * to verify AMR (Authentication Methods References) claim in ID token, for example with
+     * {@link Identity#validateIdToken}.
      * Might also be used to ensure additional acr (sms, otp, eid) for already logged in users.
      * Supported value is also 'otp-email' means one time password using email.
      */
@@ -439,6 +891,18 @@ export type LoginOptions = {
      * End-User for reauthentication or confirm account screen. Supported values: `select_account` or `login`
      */
     prompt?: string;
+    /**
+     * - Only used when `state` is omitted and the `autoState` option is
+     * set. Any JSON serializable value (e.g. a return path) that {@link Identity#verifyState} gives
+     * back when the user returns
+     */
+    statePayload?: any;
+    /**
+     * - Value to bind the ID token to this login. When the scope includes
+     * `openid` and it's omitted, one is generated and remembered for {@link Identity#validateIdToken}
+     * as the login starts. {@link Identity#loginUrl} doesn't start a login, so it only adds a given one
+     */
+    nonce?: string;
 };
 export type SimplifiedLoginWidgetLoginOptions = {
     /**
@@ -619,6 +1083,120 @@ export type HasSessionFailureResponse = {
         serverTime: number;
     };
 };
+export type TokenResponse = {
+    access_token: string;
+    /**
+     * - Example: 'Bearer'
+     */
+    token_type: string;
+    /**
+     * - Lifetime of the access token in seconds
+     */
+    expires_in: number;
+    refresh_token?: string;
+    /**
+     * - Only present if the `openid` scope was requested
+     */
+    id_token?: string;
+    scope?: string;
+};
+export type SessionCacheMode = 'off' | 'ttl' | 'stale-while-revalidate';
+/**
+ * How {@link Identity#hasSession} caches the Session Service response in session storage
+ */
+export type SessionCachePolicy = {
+    /**
+     * - `off` to always ask the Session Service, `ttl` to cache the
+     * response for as long as the Session Service says, or `stale-while-revalidate` to also resolve
+     * with an expired session right away while it's refreshed in the background
+     */
+    mode?: SessionCacheMode;
+    /**
+     * - Seconds to cache a session, instead of the `expiresIn` of the response
+     */
+    ttl?: number;
+    /**
+     * - Cache a session for at least this many seconds
+     */
+    minTtl?: number;
+    /**
+     * - Cache a session for at most this many seconds
+     */
+    maxTtl?: number;
+    /**
+     * - Seconds to cache a "not logged in" (400) response. Defaults to
+     * the `expiresIn` of the response. 0 turns it off
+     */
+    negativeTtl?: number;
+    /**
+     * - In `stale-while-revalidate` mode, for how many seconds after
+     * it expired a session can still be used
+     */
+    maxStale?: number;
+};
+/**
+ * When to warn about and refresh an expiring session
+ */
+export type SessionExpiryOptions = {
+    /**
+     * - Seconds before the session expires to emit
+     * {@link Identity#event:sessionExpiring}
+     */
+    leadTime?: number;
+    /**
+     * - Call {@link Identity#hasSession} just before the
+     * session expires, so the Session Service can extend it
+     */
+    autoRefresh?: boolean;
+    /**
+     * - Seconds before the session expires to refresh it
+     */
+    refreshBefore?: number;
+};
+/**
+ * Checks a cached session with a server that knows the client secret, like one that checks the
+ * HMAC SHA-256 signature of `sig` {@link http://techdocs.spid.no/sdks/js/response-signature-and-validation/}
+ */
+export type RedirectStrategy = 'auto' | 'manual' | 'popup' | 'iframe';
+export type SessionVerifier = (sig: string, sessionData: HasSessionSuccessResponse) => boolean | Promise<boolean>;
+export type AuthorizationResponse = {
+    /**
+     * - The authorization code
+     */
+    code: string;
+    state: string | null;
+    /**
+     * - The full url the response was parsed from
+     */
+    url: string;
+};
+export type PopupLoginResult = {
+    /**
+     * - The authorization code
+     */
+    code: string;
+    state: string;
+    /**
+     * - The full url the popup was redirected to. Can be passed on to
+     * {@link Identity#handleRedirectCallback} in PKCE mode
+     */
+    url: string;
+};
+export type AuthLevelResult = {
+    /**
+     * - Whether the user had to log in again
+     */
+    steppedUp: boolean;
+    /**
+     * - ID token claims that show the requirement is met
+     */
+    claims: IdTokenClaims;
+    session: HasSessionSuccessResponse;
+    /**
+     * - The result of the step-up login, if any
+     */
+    authorization: PopupLoginResult | null;
+};
 export type SimplifiedLoginData = {
     /**
      * - Deprecated: User UUID, to be be used as `loginHint` for {@link Identity#login}
@@ -646,3 +1224,10 @@ export type SimplifiedLoginWidgetOptions = {
 };
 import RESTClient from "./RESTClient.js";
 import SDKError from "./SDKError.js";
+import TabLock from "./tabLock.js";
+import TabSync from "./tabSync.js";
+import { StorageAdapter } from "./cache.js";
+import Clock from "./clock.js";
+import { Interceptor, RetryPolicy } from "./RESTClient.js";
+import { Logger, LogLevel, StructuredLogger } from "./logger.js";
+import { IdTokenClaims } from "./oidc.js";
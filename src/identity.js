@@ -4,28 +4,38 @@
 
 'use strict';
 
-import { assert, isStr, isNonEmptyString, isObject, isUrl, isStrIn } from './validate.js';
+import { assert, isFunction, isStr, isNonEmptyString, isObject, isUrl, isStrIn } from './validate.js';
 import { cloneDeep } from './object.js';
+import { Logger } from './logger.js';
+import { decodeJwt, findJwk, validateIdTokenClaims, verifyJwtSignature } from './oidc.js';
+import { createCodeChallenge, createCodeVerifier, randomString } from './crypto.js';
 import { urlMapper } from './url.js';
 import { ENDPOINTS, NAMESPACE } from './config.js';
 import EventEmitter from 'tiny-emitter';
-import Cache from './cache.js';
+import Cache, { cacheNamespace, isStorageAdapter } from './cache.js';
+import Clock from './clock.js';
 import * as popup from './popup.js';
-import RESTClient from './RESTClient.js';
+import { waitForSilentLoginResponse } from './callback.js';
+import { matchesSessionSig } from './sessionSig.js';
+import RESTClient, { addInterceptor } from './RESTClient.js';
 import SDKError from './SDKError.js';
 import * as spidTalk from './spidTalk.js';
+import TabLock from './tabLock.js';
+import TabSync from './tabSync.js';
 import version from './version.js';
 
 /**
  * @typedef {object} LoginOptions
- * @property {string} state - An opaque value used by the client to maintain state between
- * the request and callback. It's also recommended to prevent CSRF {@link https://tools.ietf.org/html/rfc6749#section-10.12}
+ * @property {string} [state] - An opaque value used by the client to maintain state between
+ * the request and callback. It's also recommended to prevent CSRF {@link https://tools.ietf.org/html/rfc6749#section-10.12}.
+ * May be omitted when the `autoState` option is set
  * @property {string} [acrValues] - Authentication Context Class Reference Values. If
  * omitted, the user will be asked to authenticate using username+password.
  * For 2FA (Two-Factor Authentication) possible values are `sms`, `otp` (one time password),
  * `password` (will force password confirmation, even if user is already logged in), `eid`. Those values might
  * be mixed as space-separated string. To make sure that user has authenticated with 2FA you need
- * to verify AMR (Authentication Methods References) claim in ID token.
+ * to verify AMR (Authentication Methods References) claim in ID token, for example with
+ * {@link Identity#validateIdToken}.
  * Might also be used to ensure additional acr (sms, otp) for already logged in users.
  * Supported value is also 'otp-email' means one time password using email.
  * @property {string} [scope] - The OAuth scopes for the tokens. This is a list of
@@ -49,6 +59,12 @@ import version from './version.js';
  * @property {boolean} [oneStepLogin] - display username and password on one screen
  * @property {string} [prompt] - String that specifies whether the Authorization Server prompts the
  * End-User for reauthentication or confirm account screen. Supported values: `select_account` or `login`
+ * @property {*} [statePayload] - Only used when `state` is omitted and the `autoState` option is
+ * set. Any JSON serializable value (e.g. a return path) that {@link Identity#verifyState} gives
+ * back when the user returns
+ * @property {string} [nonce] - Value to bind the ID token to this login. When the scope includes
+ * `openid` and it's omitted, one is generated and remembered for {@link Identity#validateIdToken}
+ * as the login starts. {@link Identity#loginUrl} doesn't start a login, so it only adds a given one
  */
 /**
  * @typedef {object} SimplifiedLoginWidgetLoginOptions
@@ -139,21 +155,166 @@ import version from './version.js';
  * @property {string} client_name - Client name
  */
 
+/**
+ * @typedef {object} TokenResponse
+ * @property {string} access_token
+ * @property {string} token_type - Example: 'Bearer'
+ * @property {number} expires_in - Lifetime of the access token in seconds
+ * @property {string} [refresh_token]
+ * @property {string} [id_token] - Only present if the `openid` scope was requested
+ * @property {string} [scope]
+ */
+
+/**
+ * @typedef {object} PopupLoginResult
+ * @property {string} code - The authorization code
+ * @property {string} state
+ * @property {string} url - The full url the popup was redirected to. Can be passed on to
+ * {@link Identity#handleRedirectCallback} in PKCE mode
+ */
+
+/**
+ * How {@link Identity#hasSession} caches the Session Service response in session storage
+ * @typedef {object} SessionCachePolicy
+ * @property {string} [mode=ttl] - `off` to always ask the Session Service, `ttl` to cache the
+ * response for as long as the Session Service says, or `stale-while-revalidate` to also resolve
+ * with an expired session right away while it's refreshed in the background
+ * @property {number} [ttl] - Seconds to cache a session, instead of the `expiresIn` of the response
+ * @property {number} [minTtl] - Cache a session for at least this many seconds
+ * @property {number} [maxTtl] - Cache a session for at most this many seconds
+ * @property {number} [negativeTtl] - Seconds to cache a "not logged in" (400) response. Defaults to
+ * the `expiresIn` of the response. 0 turns it off
+ * @property {number} [maxStale=3600] - In `stale-while-revalidate` mode, for how many seconds after
+ * it expired a session can still be used
+ */
+
+/**
+ * When to warn about and refresh an expiring session
+ * @typedef {object} SessionExpiryOptions
+ * @property {number} [leadTime=60] - Seconds before the session expires to emit
+ * {@link Identity#event:sessionExpiring}
+ * @property {boolean} [autoRefresh=false] - Call {@link Identity#hasSession} just before the
+ * session expires, so the Session Service can extend it
+ * @property {number} [refreshBefore=30] - Seconds before the session expires to refresh it
+ */
+
+/**
+ * Checks a cached session with a server that knows the client secret, like one that checks the
+ * HMAC SHA-256 signature of `sig` {@link http://techdocs.spid.no/sdks/js/response-signature-and-validation/}
+ * @callback SessionVerifier
+ * @param {string} sig - The `sig` field of the session
+ * @param {HasSessionSuccessResponse} sessionData - The cached session
+ * @returns {boolean|Promise<boolean>} - false if the session has been tampered with
+ */
+
+/**
+ * @typedef {object} AuthorizationResponse
+ * @property {string} code - The authorization code
+ * @property {string|null} state
+ * @property {string} url - The full url the response was parsed from
+ */
+
+/**
+ * @typedef {object} AuthLevelResult
+ * @property {boolean} steppedUp - Whether the user had to log in again
+ * @property {IdTokenClaims} claims - ID token claims that show the requirement is met
+ * @property {HasSessionSuccessResponse} session
+ * @property {PopupLoginResult|null} authorization - The result of the step-up login, if any
+ */
+
 /**
  * @typedef {object} SimplifiedLoginWidgetOptions
  * @property {string} encoding - expected encoding of simplified login widget. Could be utf-8 (default), iso-8859-1 or iso-8859-15
  */
 
 const HAS_SESSION_CACHE_KEY = 'hasSession-cache';
+const STALE_SESSION_CACHE_KEY = 'hasSession-stale-cache';
+const SESSION_CACHE_MODES = ['off', 'ttl', 'stale-while-revalidate'];
+const SESSION_CACHE_TTL = 300;
+const SESSION_CACHE_MAX_STALE = 60 * 60;
 const SESSION_CALL_BLOCKED_CACHE_KEY = 'sessionCallBlocked-cache';
+const REDIRECT_STRATEGIES = ['auto', 'manual', 'popup', 'iframe'];
+const SESSION_REFRESH_TIMEOUT = 1000 * 30;
 const SESSION_CALL_BLOCKED_TTL = 1000 * 60 * 5;
 
+const STATE_CACHE_KEY_PREFIX = 'login-state-';
+const USED_STATE_CACHE_KEY_PREFIX = 'login-state-used-';
+const STATE_TTL = 1000 * 60 * 30;
+
+const NONCE_CACHE_KEY_PREFIX = 'oidc-nonce-';
+const NONCE_TTL = 1000 * 60 * 30;
+const ID_TOKEN_LEEWAY = 60;
+
+const AUTH_CLAIMS_CACHE_KEY = 'auth-claims';
+const AUTH_CLAIMS_TTL = 1000 * 60 * 60 * 24;
+
+const REDIRECT_RESPONSE_PARAMS = ['code', 'state', 'error', 'error_description', 'error_uri'];
+
+// Followed by the state, since a storage adapter may be shared by all tabs
+const PKCE_CACHE_KEY_PREFIX = 'pkce-cache:';
+const PKCE_TTL = 1000 * 60 * 10;
+
+const SILENT_LOGIN_TIMEOUT = 1000 * 10;
+
+const CLOCK_OFFSET_CACHE_KEY = 'clock-offset';
+const CLOCK_OFFSET_TTL = 1000 * 60 * 60 * 24;
+const SESSION_EXPIRING_LEAD_TIME = 60;
+const SESSION_REFRESH_LEAD_TIME = 30;
+
+const SESSION_MONITOR_INTERVAL = 1000 * 60 * 5;
+const SESSION_MONITOR_EVENTS = ['focus', 'online'];
+
 const TAB_ID_KEY = 'tab-id-cache';
 const TAB_ID = Math.floor(Math.random() * 100000)
 const TAB_ID_TTL = 1000 * 60 * 60 * 24 * 30;
+// How old a session fetched by another tab may be for this one to use it instead of fetching
+const SHARED_SESSION_MAX_AGE = 1000 * 5;
+
+// Keys that SDK versions without cache namespaces stored as they are
+const LEGACY_CACHE_KEYS = [HAS_SESSION_CACHE_KEY, SESSION_CALL_BLOCKED_CACHE_KEY, TAB_ID_KEY];
 
 const globalWindow = () => window;
 
+/**
+ * Fill in the defaults of a session cache policy and check it
+ * @private
+ * @param {string|SessionCachePolicy} sessionCache - A policy, or just the mode
+ * @throws {SDKError} - If the policy is invalid
+ * @return {SessionCachePolicy}
+ */
+function sessionCachePolicy(sessionCache) {
+    assert(isStr(sessionCache) || isObject(sessionCache),
+        'sessionCache must be a mode or a SessionCachePolicy object');
+    const policy = Object.assign({ mode: 'ttl', maxStale: SESSION_CACHE_MAX_STALE },
+        isStr(sessionCache) ? { mode: sessionCache } : sessionCache);
+    assert(SESSION_CACHE_MODES.includes(policy.mode),
+        `sessionCache mode must be one of ${SESSION_CACHE_MODES.join(', ')} but it is ${policy.mode}`);
+    ['ttl', 'minTtl', 'maxTtl', 'negativeTtl', 'maxStale'].forEach((name) => {
+        const value = policy[name];
+        assert(typeof value === 'undefined' || (Number.isFinite(value) && value >= 0),
+            `sessionCache.${name} must be a number of seconds but it is ${value}`);
+    });
+    return policy;
+}
+
+/**
+ * Check if a session from the Session Service differs from another one in more than the fields
+ * that change on every call
+ * @private
+ * @param {object} previous
+ * @param {object} current
+ * @return {boolean}
+ */
+function sessionChanged(previous, current) {
+    const comparable = (session) => {
+        const copy = Object.assign({}, session);
+        delete copy.serverTime;
+        delete copy.expiresIn;
+        return JSON.stringify(copy);
+    };
+    return comparable(previous) !== comparable(current);
+}
+
 /**
  * Provides Identity functionalty to a web page
  */
@@ -164,10 +325,42 @@ export class Identity extends EventEmitter {
      * @param {string} options.sessionDomain - Example: "https://id.site.com"
      * @param {string} options.redirectUri - Example: "https://site.com"
      * @param {string} [options.env=PRE] - Schibsted account environment: `PRE`, `PRO`, `PRO_NO`, `PRO_FI` or `PRO_DK`
-     * @param {function} [options.log] - A function that receives debug log information. If not set,
-     * no logging will be done
+     * @param {function|StructuredLogger} [options.log] - A function that receives log messages, or an
+     * object with `debug`, `info`, `warn` and `error` functions that receives {@link LogEvent}s. If
+     * not set, no logging will be done
+     * @param {string} [options.logLevel=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact from the
+     * logs, on top of the personal data and secrets that are always redacted
      * @param {object} [options.window] - window object
      * @param {function} [options.callbackBeforeRedirect] - callback triggered before session refresh redirect happen
+     * @param {boolean} [options.pkce=false] - Public client mode: {@link Identity#login} uses PKCE and the
+     * authorization code is exchanged for tokens in the browser by {@link Identity#handleRedirectCallback}
+     * @param {boolean} [options.autoState=false] - Generate and store the login `state` when it's not
+     * given to {@link Identity#login}, so it can be checked with {@link Identity#verifyState}
+     * @param {boolean} [options.syncTabs=false] - Propagate login, logout, user change and cache
+     * invalidation to the other tabs of this site, so they emit the same events. The tabs also
+     * take turns to fetch the session, so when many of them ask at once only one of them does
+     * @param {StorageAdapter} [options.storage] - Where to cache session data, instead of Web
+     * Storage. See {@link IndexedDBStorage} and {@link CookieStorage}. With an adapter that returns
+     * promises, wait for {@link Identity#ready} before calling {@link Identity#verifyState}
+     * @param {number} [options.requestTimeout=0] - Milliseconds before requests to Schibsted account
+     * are aborted with an `SDKError` with code `request_timeout`. 0 means no timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network or server errors. When all retries fail, the `SDKError` has code `retries_exhausted`
+     * @param {string|SessionCachePolicy} [options.sessionCache=ttl] - How to cache
+     * {@link Identity#hasSession} results: `off`, `ttl` or `stale-while-revalidate`, or a
+     * {@link SessionCachePolicy} with TTL overrides
+     * @param {boolean|SessionExpiryOptions} [options.sessionExpiry=false] - Emit
+     * {@link Identity#event:sessionExpiring} and {@link Identity#event:sessionExpired} when the
+     * session from {@link Identity#hasSession} is about to expire, and optionally refresh it
+     * @param {SessionVerifier} [options.sessionVerifier] - Also check sessions read from the cache
+     * with this, on top of comparing them with their signed `sig` payload
+     * @param {string} [options.redirectStrategy=auto] - What {@link Identity#hasSession} does when
+     * the Session Service can only refresh the session with a redirect. `auto` redirects the page,
+     * `manual` emits {@link Identity#event:sessionRedirectRequired} and leaves it to you, and
+     * `popup` and `iframe` do the redirect in a popup or hidden iframe. The page at `redirectUri`
+     * must call {@link sendSilentLoginResponse} for `iframe` to work
      * @throws {SDKError} - If any of options are invalid
      */
     constructor({
@@ -176,29 +369,85 @@ export class Identity extends EventEmitter {
         sessionDomain,
         env = 'PRE',
         log,
+        logLevel = 'debug',
+        redactFields = [],
         window = globalWindow(),
-        callbackBeforeRedirect = ()=>{}
+        callbackBeforeRedirect = ()=>{},
+        pkce = false,
+        autoState = false,
+        syncTabs = false,
+        storage,
+        requestTimeout = 0,
+        retry = 0,
+        sessionCache = 'ttl',
+        sessionExpiry = false,
+        sessionVerifier,
+        redirectStrategy = 'auto'
     }) {
         super();
         assert(isNonEmptyString(clientId), 'clientId parameter is required');
         assert(isObject(window), 'The reference to window is missing');
         assert(!redirectUri || isUrl(redirectUri), 'redirectUri parameter is invalid');
         assert(sessionDomain && isUrl(sessionDomain), 'sessionDomain parameter is not a valid URL');
+        assert(!storage || isStorageAdapter(storage), 'storage parameter is not a valid storage adapter');
+        assert(typeof sessionExpiry === 'boolean' || isObject(sessionExpiry),
+            'sessionExpiry must be a boolean or a SessionExpiryOptions object');
+        assert(!sessionVerifier || isFunction(sessionVerifier), 'sessionVerifier must be a function');
+        assert(REDIRECT_STRATEGIES.includes(redirectStrategy),
+            `redirectStrategy must be one of ${REDIRECT_STRATEGIES.join(', ')} but it is ${redirectStrategy}`);
+        assert(['auto', 'manual'].includes(redirectStrategy) || redirectUri,
+            `redirectUri is required for the ${redirectStrategy} redirectStrategy`);
 
         spidTalk.emulate(window);
         this._sessionInitiatedSent = false;
         this.window = window;
         this.clientId = clientId;
-        this.sessionStorageCache = new Cache(() => this.window && this.window.sessionStorage);
-        this.localStorageCache = new Cache(() => this.window && this.window.localStorage);
+        const cacheOptions = {
+            namespace: cacheNamespace(env, clientId),
+            isLegacyKey: key => LEGACY_CACHE_KEYS.includes(key),
+        };
+        this.sessionStorageCache = new Cache(storage || (() => this.window && this.window.sessionStorage), cacheOptions);
+        this.localStorageCache = new Cache(storage || (() => this.window && this.window.localStorage), cacheOptions);
+        /**
+         * Resolves when the cache has been loaded from storage. Only async storage adapters take
+         * time to load, and the methods that read the cache wait for this themselves
+         * @type {Promise<void>}
+         */
+        this.ready = Promise.all([this.sessionStorageCache.ready, this.localStorageCache.ready]).then(() => {});
+        this._clock = new Clock({
+            onChange: offset => this.sessionStorageCache.set(CLOCK_OFFSET_CACHE_KEY, offset, CLOCK_OFFSET_TTL),
+        });
+        this._restoreClockOffset();
         this.redirectUri = redirectUri;
         this.env = env;
         this.log = log;
+        this._logger = new Logger({ log, level: logLevel, redactFields });
         this.callbackBeforeRedirect = callbackBeforeRedirect;
+        this.pkce = pkce;
+        this.autoState = autoState;
+        this.requestTimeout = requestTimeout;
+        this.retry = retry;
+        this._interceptors = [];
+        this._oidcConfiguration = null;
+        this._jwks = null;
         this._sessionDomain = sessionDomain;
 
-        // Internal hack: set to false to always refresh from hassession
-        this._enableSessionCaching = true;
+        this._sessionCachePolicy = sessionCachePolicy(sessionCache);
+        // Set to false to always refresh from hassession. Kept for backward compatibility, use the
+        // sessionCache option instead
+        this._enableSessionCaching = this._sessionCachePolicy.mode !== 'off';
+        this._sessionRevalidation = null;
+        this._sharedSession = null;
+        this._sessionExpiry = sessionExpiry && Object.assign({
+            leadTime: SESSION_EXPIRING_LEAD_TIME,
+            autoRefresh: false,
+            refreshBefore: SESSION_REFRESH_LEAD_TIME,
+        }, sessionExpiry);
+        this._sessionExpiryTimers = [];
+        // When the session that was last refreshed by sessionExpiry.autoRefresh expired
+        this._refreshedSessionEnd = null;
+        this._sessionVerifier = sessionVerifier;
+        this.redirectStrategy = redirectStrategy;
 
         // Old session
         this._session = {};
@@ -210,6 +459,15 @@ export class Identity extends EventEmitter {
         this._setGlobalSessionServiceUrl(env);
 
         this._unblockSessionCall();
+
+        if (syncTabs) {
+            this._tabSync = new TabSync({
+                window,
+                name: `schacc-session-${clientId}`,
+                onMessage: (message) => this._onTabMessage(message),
+            });
+            this._tabLock = new TabLock({ window, name: `schacc-session-${clientId}` });
+        }
     }
 
     /**
@@ -218,6 +476,10 @@ export class Identity extends EventEmitter {
      * @private
      */
     _getTabId() {
+        // Storage adapters are shared by all tabs, so they can't keep an id for one of them
+        if (this.sessionStorageCache.type === 'Adapter') {
+            return TAB_ID;
+        }
         if (this._enableSessionCaching) {
             const tabId = this.sessionStorageCache.get(TAB_ID_KEY);
             if (!tabId) {
@@ -229,6 +491,54 @@ export class Identity extends EventEmitter {
         }
     }
 
+    /**
+     * Tell the other tabs about a session change, if tab syncing is enabled
+     * @private
+     * @param {string} type - `session`, `logout` or `invalidate`
+     * @param {object} [data]
+     * @returns {void}
+     */
+    _broadcast(type, data) {
+        if (this._tabSync) {
+            this._tabSync.post(Object.assign({ type, tabId: this._getTabId() || TAB_ID }, data));
+        }
+    }
+
+    /**
+     * Handle a session change that happened in another tab
+     * @private
+     * @param {object} message
+     * @returns {void}
+     */
+    _onTabMessage(message) {
+        if (!isObject(message) || message.tabId === (this._getTabId() || TAB_ID)) {
+            return;
+        }
+        if (message.type === 'sessionFetched') {
+            this._sharedSession = { session: message.session, error: message.error, receivedAt: Date.now() };
+            return;
+        }
+        this._clearSessionCache();
+        if (message.type === 'session' && isObject(message.session)) {
+            this._sharedSession = { session: message.session, receivedAt: Date.now() };
+        }
+
+        const previous = this._session;
+        let current;
+        if (message.type === 'session' && isObject(message.session)) {
+            current = message.session;
+        } else if (message.type === 'logout') {
+            current = {};
+        } else {
+            return;
+        }
+        if (previous.userId !== current.userId || previous.userStatus !== current.userStatus) {
+            this._session = current;
+            this._scheduleSessionExpiry(current);
+            this._emitSessionEvent(previous, current);
+        }
+    }
+
     /**
      * Checks if getting session is blocked
      * @private
@@ -275,7 +585,11 @@ export class Identity extends EventEmitter {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._spid = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.SPiD),
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
+            clock: this._clock,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
@@ -290,7 +604,11 @@ export class Identity extends EventEmitter {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._oauthService = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.SPiD),
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
+            clock: this._clock,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
@@ -305,7 +623,11 @@ export class Identity extends EventEmitter {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._bffService = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.BFF),
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
+            clock: this._clock,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
@@ -321,7 +643,11 @@ export class Identity extends EventEmitter {
         const client_sdrn = `sdrn:${NAMESPACE[this.env]}:client:${this.clientId}`;
         this._sessionService = new RESTClient({
             serverUrl: domain,
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
+            clock: this._clock,
             defaultParams: { client_sdrn, redirect_uri: this.redirectUri, sdk_version: version },
         });
     }
@@ -337,11 +663,26 @@ export class Identity extends EventEmitter {
         const client_sdrn = `sdrn:${NAMESPACE[this.env]}:client:${this.clientId}`;
         this._globalSessionService = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.SESSION_SERVICE),
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
+            clock: this._clock,
             defaultParams: { client_sdrn, sdk_version: version },
         });
     }
 
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor) {
+        return addInterceptor(this._interceptors, interceptor);
+    }
+
     /**
      * Emits the relevant events based on the previous and new reply from hassession
      * @private
@@ -459,15 +800,17 @@ export class Identity extends EventEmitter {
         if (!this.setVarnishCookie) {
             return;
         }
-        const date = new Date();
-        const validExpires = this.varnishExpiresIn
-            || typeof sessionData.expiresIn === 'number' && sessionData.expiresIn > 0;
-        if (validExpires) {
-            const expires = this.varnishExpiresIn || sessionData.expiresIn;
-            date.setTime(date.getTime() + (expires * 1000));
-        } else {
-            date.setTime(0);
+        let expires = this.varnishExpiresIn;
+        if (!expires && typeof sessionData.expiresIn === 'number' && sessionData.expiresIn > 0) {
+            expires = sessionData.expiresIn;
+            if (Number.isFinite(sessionData.serverTime)) {
+                // A cached session has less time left than when it was fetched
+                const expiresOn = 1000 * (sessionData.serverTime + sessionData.expiresIn);
+                expires = Math.min(expires, Math.floor((expiresOn - this._clock.now()) / 1000));
+            }
         }
+        // The browser compares `expires` with the local clock
+        const date = new Date(expires > 0 ? Date.now() + (expires * 1000) : 0);
 
         // If the domain is missing or of the wrong type, we'll use document.domain
         let domain = this.varnishCookieDomain ||
@@ -523,7 +866,9 @@ export class Identity extends EventEmitter {
             throw new SDKError('You have to provide log method in constructor');
         }
 
-        const log = this.log || console.log;
+        const logger = this.log
+            ? this._logger
+            : new Logger({ log: console.log, level: this._logger.level, redactFields: this._logger.redactFields });
 
         const settings = {
             clientId: this.clientId,
@@ -533,7 +878,7 @@ export class Identity extends EventEmitter {
             sdkVersion: version
         }
 
-        log(`Schibsted account SDK for browsers settings: \n${JSON.stringify(settings, null, 2)}`);
+        logger.info('settings', 'Schibsted account SDK for browsers settings', settings);
     }
 
     /**
@@ -541,7 +886,9 @@ export class Identity extends EventEmitter {
      * @description When we send a request to this endpoint, cookies sent along with the request
      * determines the status of the user.
      * @throws {SDKError} - If the call to the hasSession service fails in any way (this will happen
-     * if, say, the user is not logged in)
+     * if, say, the user is not logged in). When the session can only be refreshed with a redirect,
+     * the `SDKError` has code `session_redirect` if the page (or, with `syncTabs`, another tab) is
+     * being redirected, and `session_redirect_required` if the `redirectStrategy` is `manual`
      * @fires Identity#login
      * @fires Identity#logout
      * @fires Identity#userChange
@@ -549,10 +896,14 @@ export class Identity extends EventEmitter {
      * @fires Identity#notLoggedin
      * @fires Identity#sessionInit
      * @fires Identity#statusChange
+     * @fires Identity#sessionRedirectRequired
      * @fires Identity#error
      * @return {Promise<HasSessionSuccessResponse|HasSessionFailureResponse>}
      */
     hasSession() {
+        if (!this.sessionStorageCache.loaded || !this.localStorageCache.loaded) {
+            return this.ready.then(() => this.hasSession());
+        }
         const isSessionCallBlocked = this._isSessionCallBlocked()
         if (isSessionCallBlocked) {
             return this._session;
@@ -567,8 +918,13 @@ export class Identity extends EventEmitter {
                 throw new SDKError('HasSession failed', sessionData.error);
             }
             this._maybeSetVarnishCookie(sessionData);
-            this._emitSessionEvent(this._session, sessionData);
+            const previous = this._session;
+            this._emitSessionEvent(previous, sessionData);
             this._session = sessionData;
+            this._scheduleSessionExpiry(sessionData);
+            if (previous.userId !== sessionData.userId || previous.userStatus !== sessionData.userStatus) {
+                this._broadcast('session', { session: sessionData });
+            }
             return sessionData;
         };
 
@@ -579,42 +935,158 @@ export class Identity extends EventEmitter {
                 sessionDataKeys[0] === 'redirectURL';
         }
 
-        const _getSession = async () => {
-            if (this._enableSessionCaching) {
-                // Try to resolve from cache (it has a TTL)
-                let cachedSession = this.sessionStorageCache.get(HAS_SESSION_CACHE_KEY);
-                if (cachedSession) {
-                    return _postProcess(cachedSession);
-                }
-            }
+        const _fetchSession = async (refreshed = false, background = false) => {
             let sessionData = null;
             try {
                 sessionData = await this._sessionService.get('/v2/session', {tabId: this._getTabId()});
+                if (isObject(sessionData) && Number.isFinite(sessionData.serverTime)) {
+                    this._clock.update(1000 * sessionData.serverTime);
+                }
             } catch (err) {
                 if (err && err.code === 400 && this._enableSessionCaching) {
-                    const expiresIn = 1000 * (err.expiresIn || 300);
-                    this.sessionStorageCache.set(HAS_SESSION_CACHE_KEY, { error: err }, expiresIn);
+                    this._cacheNoSession(err);
                 }
                 throw err;
             }
 
             if (sessionData){
-                // for expiring session and safari browser do full page redirect to gain new session
+                // for expiring session and safari browser a redirect is needed to gain new session
                 if(_checkRedirectionNeed(sessionData)){
+                    const url = this._sessionService.makeUrl(sessionData.redirectURL, {tabId: this._getTabId()});
+                    if (refreshed) {
+                        throw new SDKError('The session could not be refreshed', { code: 'session_refresh_failed', url });
+                    }
+                    if (this.redirectStrategy === 'popup' || this.redirectStrategy === 'iframe') {
+                        await this._refreshSessionInWindow(url);
+                        return _fetchSession(true, background);
+                    }
+                    if (this.redirectStrategy === 'manual') {
+                        /**
+                         * Emitted when the session can only be refreshed by sending the user to
+                         * `url`, if `redirectStrategy` is `manual`
+                         * @event Identity#sessionRedirectRequired
+                         * @type {object}
+                         * @property {string} url
+                         */
+                        this.emit('sessionRedirectRequired', { url });
+                        throw new SDKError('The session must be refreshed with a redirect', { code: 'session_redirect_required', url });
+                    }
+                    if (background) {
+                        // Redirecting the page out of the blue would surprise the user, so leave it
+                        // to the next call in the foreground
+                        return url;
+                    }
                     this._blockSessionCall();
 
                     await this.callbackBeforeRedirect();
 
-                    return this._sessionService.makeUrl(sessionData.redirectURL, {tabId: this._getTabId()});
+                    return url;
                 }
 
                 if (this._enableSessionCaching) {
-                    const expiresIn = 1000 * (sessionData.expiresIn || 300);
-                    this.sessionStorageCache.set(HAS_SESSION_CACHE_KEY, sessionData, expiresIn);
+                    this._cacheSession(sessionData);
+                }
+            }
+
+            return sessionData;
+        };
+
+        // With tab syncing, only one tab at a time fetches the session. The others wait for it and
+        // use what it fetched, or skip fetching if it's about to do the redirect to refresh the session
+        const _fetchSharedSession = (background = false) => {
+            if (!this._tabLock) {
+                return _fetchSession(false, background);
+            }
+            const startedAt = Date.now();
+            return this._tabLock.run(async () => {
+                if (this._isSessionCallBlocked()) {
+                    return null;
+                }
+                const shared = this._sharedSession;
+                const maxAge = this._enableSessionCaching ? SHARED_SESSION_MAX_AGE : 0;
+                if (shared && shared.receivedAt >= startedAt - maxAge) {
+                    return _useSharedSession(shared);
+                }
+                try {
+                    const sessionData = await _fetchSession(false, background);
+                    if (isObject(sessionData)) {
+                        this._broadcast('sessionFetched', { session: sessionData });
+                    }
+                    return sessionData;
+                } catch (err) {
+                    if (err && err.code === 400) {
+                        this._broadcast('sessionFetched', { error: Object.assign({ message: err.message }, err) });
+                    }
+                    throw err;
+                }
+            });
+        };
+
+        const _useSharedSession = ({ session, error }) => {
+            if (error) {
+                if (this._enableSessionCaching) {
+                    this._cacheNoSession(error);
                 }
+                throw new SDKError(error.message, error);
             }
+            if (this._enableSessionCaching) {
+                this._cacheSession(session);
+            }
+            return session;
+        };
 
-            return _postProcess(sessionData);
+        const _revalidate = () => {
+            this._sessionRevalidation = _fetchSharedSession(true)
+                .then((sessionData) => {
+                    this._sessionRevalidation = null;
+                    if (isUrl(sessionData)) {
+                        // the session can only be refreshed with a redirect
+                        this.sessionStorageCache.delete(STALE_SESSION_CACHE_KEY);
+                    } else if (!isObject(sessionData)) {
+                        return;
+                    } else if (sessionChanged(this._session, sessionData)) {
+                        _postProcess(sessionData);
+                    } else {
+                        this._maybeSetVarnishCookie(sessionData);
+                        this._session = sessionData;
+                        this._scheduleSessionExpiry(sessionData);
+                    }
+                }, (err) => {
+                    this._sessionRevalidation = null;
+                    if (err && err.code === 'session_redirect_required') {
+                        this.sessionStorageCache.delete(STALE_SESSION_CACHE_KEY);
+                    }
+                    this.emit('error', err);
+                    if (err && err.code === 400 && this._session.userId) {
+                        _postProcess({});
+                    }
+                });
+        };
+
+        const _getSession = async () => {
+            if (this._enableSessionCaching) {
+                await this.sessionStorageCache.ready;
+                this._restoreClockOffset();
+                // Try to resolve from cache (it has a TTL)
+                let cachedSession = this.sessionStorageCache.get(HAS_SESSION_CACHE_KEY);
+                if (cachedSession && await this._verifyCachedSession(cachedSession)) {
+                    return _postProcess(cachedSession);
+                }
+                const staleSession = this._sessionCachePolicy.mode === 'stale-while-revalidate'
+                    && this.sessionStorageCache.get(STALE_SESSION_CACHE_KEY);
+                if (staleSession && await this._verifyCachedSession(staleSession)) {
+                    // Revalidate first, so no expiry events are scheduled for the stale session
+                    if (!this._sessionRevalidation) {
+                        _revalidate();
+                    }
+                    return _postProcess(staleSession);
+                }
+            }
+            const sessionData = await _fetchSharedSession();
+            if (!sessionData) {
+                throw new SDKError('Another tab is refreshing the session with a redirect', { code: 'session_redirect' });
+            }
+            return isUrl(sessionData) ? sessionData : _postProcess(sessionData);
         };
         this._hasSessionInProgress = _getSession()
             .then(
@@ -622,7 +1094,8 @@ export class Identity extends EventEmitter {
                     this._hasSessionInProgress = false;
 
                     if (isUrl(sessionData)) {
-                        return this.window.location.href = sessionData;
+                        this.window.location.href = sessionData;
+                        throw new SDKError('The session is being refreshed with a redirect', { code: 'session_redirect', url: sessionData });
                     }
 
                     return sessionData;
@@ -637,6 +1110,220 @@ export class Identity extends EventEmitter {
         return this._hasSessionInProgress;
     }
 
+    /**
+     * Load the url the Session Service redirects to for refreshing the session in a popup or a
+     * hidden iframe, according to the redirect strategy, and wait for it to come back
+     * @private
+     * @param {string} url
+     * @throws {SDKError} - With `code` set to `session_refresh_timeout` if it takes too long,
+     * `popup_blocked` or `popup_closed` for a popup, the `error` of an error response, or the
+     * error the popup or iframe failed with
+     * @return {Promise<void>}
+     */
+    async _refreshSessionInWindow(url) {
+        let responseUrl;
+        if (this.redirectStrategy === 'iframe') {
+            try {
+                responseUrl = await waitForSilentLoginResponse(this.window, url, this.redirectUri, { timeout: SESSION_REFRESH_TIMEOUT });
+            } catch (err) {
+                if (err && err.code === 'silent_login_timeout') {
+                    throw new SDKError('Timed out refreshing the session in an iframe. Third-party cookies '
+                        + 'may be blocked', { code: 'session_refresh_timeout', url });
+                }
+                throw err;
+            }
+        } else {
+            const refreshWindow = popup.open(this.window, url, 'Schibsted account', { width: 360, height: 570 });
+            if (!refreshWindow) {
+                throw new SDKError('The session refresh popup was blocked', { code: 'popup_blocked', url });
+            }
+            try {
+                responseUrl = await popup.waitForRedirect(refreshWindow, this.redirectUri, { timeout: SESSION_REFRESH_TIMEOUT });
+            } catch (err) {
+                if (err && err.code === 'popup_timeout') {
+                    throw new SDKError('Timed out refreshing the session in a popup', { code: 'session_refresh_timeout', url });
+                }
+                throw err;
+            } finally {
+                refreshWindow.close();
+            }
+        }
+        const params = new URL(responseUrl).searchParams;
+        const error = params.get('error');
+        if (error) {
+            throw new SDKError(params.get('error_description') || error, { code: error, url });
+        }
+    }
+
+    /**
+     * Check that a cached session hasn't been changed since it was fetched. If it has, the session
+     * cache is cleared and an `SDKError` with code `invalid_session` is emitted
+     * @private
+     * @param {HasSessionSuccessResponse|{error: object}} sessionData
+     * @fires Identity#error
+     * @return {Promise<boolean>}
+     */
+    async _verifyCachedSession(sessionData) {
+        if (sessionData.error) {
+            return true;
+        }
+        let error = null;
+        try {
+            if (!matchesSessionSig(sessionData)) {
+                error = new SDKError('The cached session does not match its sig', { code: 'invalid_session' });
+            } else if (this._sessionVerifier && !(await this._sessionVerifier(sessionData.sig, sessionData))) {
+                error = new SDKError('The cached session was rejected by the session verifier', { code: 'invalid_session' });
+            }
+        } catch (err) {
+            error = new SDKError('The cached session could not be verified', { code: 'invalid_session', cause: err });
+        }
+        if (!error) {
+            return true;
+        }
+        this._clearSessionCache();
+        this.emit('error', error);
+        return false;
+    }
+
+    /**
+     * Cache a session according to the session cache policy
+     * @private
+     * @param {HasSessionSuccessResponse} sessionData
+     * @return {void}
+     */
+    _cacheSession(sessionData) {
+        const { ttl, minTtl, maxTtl, mode, maxStale } = this._sessionCachePolicy;
+        let seconds = typeof ttl === 'undefined' ? (sessionData.expiresIn || SESSION_CACHE_TTL) : ttl;
+        if (typeof maxTtl !== 'undefined') {
+            seconds = Math.min(seconds, maxTtl);
+        }
+        if (typeof minTtl !== 'undefined') {
+            seconds = Math.max(seconds, minTtl);
+        }
+        this.sessionStorageCache.set(HAS_SESSION_CACHE_KEY, sessionData, 1000 * seconds);
+        if (mode === 'stale-while-revalidate') {
+            this.sessionStorageCache.set(STALE_SESSION_CACHE_KEY, sessionData, 1000 * (seconds + maxStale));
+        }
+    }
+
+    /**
+     * Cache a "not logged in" response according to the session cache policy, replacing any stale
+     * session
+     * @private
+     * @param {SDKError|object} err
+     * @return {void}
+     */
+    _cacheNoSession(err) {
+        this.sessionStorageCache.delete(STALE_SESSION_CACHE_KEY);
+        this.sessionStorageCache.set(HAS_SESSION_CACHE_KEY, { error: err }, this._negativeSessionCacheTtl(err));
+    }
+
+    /**
+     * Milliseconds to cache a "not logged in" response for
+     * @private
+     * @param {SDKError} err
+     * @return {number}
+     */
+    _negativeSessionCacheTtl(err) {
+        const { negativeTtl } = this._sessionCachePolicy;
+        return 1000 * (typeof negativeTtl === 'undefined' ? (err.expiresIn || SESSION_CACHE_TTL) : negativeTtl);
+    }
+
+    /**
+     * Use the clock offset learned on an earlier page, if any
+     * @private
+     * @return {void}
+     */
+    _restoreClockOffset() {
+        const offset = this.sessionStorageCache.get(CLOCK_OFFSET_CACHE_KEY);
+        if (Number.isFinite(offset)) {
+            this._clock.offset = offset;
+        }
+    }
+
+    /**
+     * Set timers for the expiry events (and the refresh) of a session, replacing any earlier ones
+     * @private
+     * @param {HasSessionSuccessResponse} session
+     * @return {void}
+     */
+    _scheduleSessionExpiry(session) {
+        this._clearSessionExpiryTimers();
+        const options = this._sessionExpiry;
+        if (!options || this._sessionRevalidation || !session.userId
+            || !Number.isFinite(session.serverTime) || !Number.isFinite(session.expiresIn)) {
+            return;
+        }
+        const timeLeft = 1000 * (session.serverTime + session.expiresIn) - this._clock.now();
+        const expiresAt = Date.now() + timeLeft;
+        const schedule = (secondsBefore, callback) => {
+            this._sessionExpiryTimers.push(setTimeout(callback, Math.max(0, timeLeft - 1000 * secondsBefore)));
+        };
+
+        /**
+         * Emitted `leadTime` seconds before the session expires, if `sessionExpiry` is enabled
+         * @event Identity#sessionExpiring
+         * @type {object}
+         * @property {HasSessionSuccessResponse} session
+         * @property {number} expiresAt - When the session expires, in local milliseconds since the
+         * Unix Epoch
+         */
+        schedule(options.leadTime, () => this.emit('sessionExpiring', { session, expiresAt }));
+        /**
+         * Emitted when the session has expired, if `sessionExpiry` is enabled and it wasn't
+         * refreshed in time
+         * @event Identity#sessionExpired
+         * @type {object}
+         * @property {HasSessionSuccessResponse} session
+         * @property {number} expiresAt
+         */
+        schedule(0, () => this.emit('sessionExpired', { session, expiresAt }));
+        // A refresh that didn't move the expiry by at least refreshBefore is not tried again, or a
+        // session that is about to expire would be refreshed over and over
+        const sessionEnd = session.serverTime + session.expiresIn;
+        const refreshedEnd = this._refreshedSessionEnd;
+        if (options.autoRefresh && (refreshedEnd === null || sessionEnd >= refreshedEnd + options.refreshBefore)) {
+            schedule(options.refreshBefore, () => {
+                this._refreshedSessionEnd = sessionEnd;
+                this._clearSessionCache();
+                // Failures are emitted as 'error' events by hasSession()
+                Promise.resolve().then(() => this.hasSession()).catch(() => {});
+            });
+        }
+    }
+
+    /**
+     * Stop the timers set by {@link Identity#_scheduleSessionExpiry}
+     * @private
+     * @return {void}
+     */
+    _clearSessionExpiryTimers() {
+        this._sessionExpiryTimers.forEach(timer => clearTimeout(timer));
+        this._sessionExpiryTimers = [];
+    }
+
+    /**
+     * Remove the cached session, including any stale copy
+     * @private
+     * @return {void}
+     */
+    _clearSessionCache() {
+        this._sharedSession = null;
+        this.sessionStorageCache.delete(HAS_SESSION_CACHE_KEY);
+        this.sessionStorageCache.delete(STALE_SESSION_CACHE_KEY);
+    }
+
+    /**
+     * @summary The current time according to Schibsted account
+     * @description The offset from the local clock is learned from {@link Identity#hasSession}
+     * responses (and the `Date` header of responses that expose it), so this is right even if the
+     * user's clock isn't. Until then it is the local time
+     * @return {number} - Milliseconds since the Unix Epoch
+     */
+    getServerTime() {
+        return this._clock.now();
+    }
+
     /**
      * @async
      * @summary Allows the client app to check if the user is logged in to Schibsted account
@@ -658,7 +1345,139 @@ export class Identity extends EventEmitter {
      * @returns {void}
      */
     clearCachedUserSession() {
-        this.sessionStorageCache.delete(HAS_SESSION_CACHE_KEY);
+        this._clearSessionCache();
+        this._broadcast('invalidate');
+    }
+
+    /**
+     * Removes everything the SDK has cached for this client: the user session, pending logins
+     * and internal flags. Data cached by other clients on the same site is left alone
+     * @returns {void}
+     */
+    clearAllCachedData() {
+        this.sessionStorageCache.clear();
+        this.localStorageCache.clear();
+    }
+
+    /**
+     * @summary Keep the session up to date on long-lived pages
+     * @description Re-validates the session with the Session Service in the background, so that
+     * `logout`, `userChange` and the other session events fire even if the page never calls
+     * {@link Identity#hasSession} itself. Checks are paused while the page is hidden and done
+     * right away when it becomes visible, gets focus or comes back online. A session that expires
+     * before the next check is re-validated when it expires
+     * @param {object} [options]
+     * @param {number} [options.interval=300000] - Milliseconds between checks
+     * @returns {void}
+     */
+    startSessionMonitor({ interval = SESSION_MONITOR_INTERVAL } = {}) {
+        assert(Number.isInteger(interval) && interval > 0, 'interval must be a positive integer');
+        this.stopSessionMonitor();
+
+        const check = () => this._monitorSession();
+        const onVisibilityChange = () => {
+            if (!this._isPageHidden()) {
+                check();
+            }
+        };
+        const monitor = { interval, timer: null, check, onVisibilityChange };
+        this._sessionMonitor = monitor;
+
+        if (this.window.addEventListener) {
+            SESSION_MONITOR_EVENTS.forEach(event => this.window.addEventListener(event, check));
+        }
+        const document = this.window.document;
+        if (document && document.addEventListener) {
+            document.addEventListener('visibilitychange', onVisibilityChange);
+        }
+        monitor.timer = setTimeout(check, interval);
+    }
+
+    /**
+     * Stop the background session checks started by {@link Identity#startSessionMonitor}
+     * @returns {void}
+     */
+    stopSessionMonitor() {
+        const monitor = this._sessionMonitor;
+        if (!monitor) {
+            return;
+        }
+        clearTimeout(monitor.timer);
+        if (this.window.removeEventListener) {
+            SESSION_MONITOR_EVENTS.forEach(event => this.window.removeEventListener(event, monitor.check));
+        }
+        const document = this.window.document;
+        if (document && document.removeEventListener) {
+            document.removeEventListener('visibilitychange', monitor.onVisibilityChange);
+        }
+        this._sessionMonitor = null;
+    }
+
+    /**
+     * Stop everything the instance does in the background: the session monitor, the session
+     * expiry timers and, with `syncTabs`, the channel to the other tabs and the lock shared with
+     * them. Call it when the instance is no longer used, like when a single-page app tears it down
+     * @returns {void}
+     */
+    destroy() {
+        this.stopSessionMonitor();
+        this._clearSessionExpiryTimers();
+        if (this._tabSync) {
+            this._tabSync.close();
+            this._tabSync = null;
+        }
+        if (this._tabLock) {
+            this._tabLock.close();
+            this._tabLock = null;
+        }
+    }
+
+    /**
+     * Whether the page is currently hidden from the user
+     * @private
+     * @returns {boolean}
+     */
+    _isPageHidden() {
+        const document = this.window.document;
+        return !!document && document.visibilityState === 'hidden';
+    }
+
+    /**
+     * Do one background session check and schedule the next one. While the page is hidden nothing
+     * is scheduled; the `visibilitychange` listener picks up again
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _monitorSession() {
+        const monitor = this._sessionMonitor;
+        if (!monitor) {
+            return;
+        }
+        clearTimeout(monitor.timer);
+        monitor.timer = null;
+        if (this._isPageHidden()) {
+            return;
+        }
+
+        let nextCheck = monitor.interval;
+        if (!this._isSessionCallBlocked()) {
+            if (!this._hasSessionInProgress) {
+                // Skip the cache, we want to know what the Session Service thinks
+                this._clearSessionCache();
+            }
+            try {
+                const session = await this.hasSession();
+                if (isObject(session) && session.expiresIn > 0) {
+                    nextCheck = Math.min(nextCheck, 1000 * session.expiresIn);
+                }
+            } catch (_) {
+                // Already emitted as an 'error' event by hasSession()
+            }
+        }
+
+        if (this._sessionMonitor === monitor && !monitor.timer) {
+            monitor.timer = setTimeout(monitor.check, nextCheck);
+        }
     }
 
     /**
@@ -852,7 +1671,10 @@ export class Identity extends EventEmitter {
      * @param {string} [options.locale]
      * @param {boolean} [options.oneStepLogin=false]
      * @param {string} [options.prompt=select_account]
-     * @return {Window|null} - Reference to popup window if created (or `null` otherwise)
+     * @param {*} [options.statePayload]
+     * @param {string} [options.nonce]
+     * @return {Window|null} - Reference to popup window if created (or `null` otherwise). In PKCE
+     * mode the navigation happens asynchronously, once the code challenge has been calculated
      */
     login({
         state,
@@ -866,11 +1688,13 @@ export class Identity extends EventEmitter {
         maxAge = '',
         locale = '',
         oneStepLogin = false,
-        prompt = 'select_account'
+        prompt = 'select_account',
+        statePayload,
+        nonce,
     }) {
         this._closePopup();
-        this.sessionStorageCache.delete(HAS_SESSION_CACHE_KEY);
-        const url = this.loginUrl({
+        this._clearSessionCache();
+        const loginOptions = {
             state,
             acrValues,
             scope,
@@ -881,8 +1705,14 @@ export class Identity extends EventEmitter {
             maxAge,
             locale,
             oneStepLogin,
-            prompt
-        });
+            prompt,
+            statePayload,
+            nonce,
+        };
+        if (this.pkce) {
+            return this._pkceLogin(loginOptions, preferPopup);
+        }
+        const url = this.loginUrl(this._withNonce(loginOptions));
 
         if (preferPopup) {
             this.popup =
@@ -895,6 +1725,118 @@ export class Identity extends EventEmitter {
         return null;
     }
 
+    /**
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked. Unlike {@link Identity#login} there is no fallback to a full-page
+     * redirect
+     * @async
+     * @summary Perform a login in a popup and wait for it to come back to `redirectUri`
+     * @param {LoginOptions} options - Same as for {@link Identity#login}
+     * @param {number} [options.timeout=600000] - Milliseconds to wait for the user to log in
+     * @param {boolean} [options.refreshSession=false] - Resolve with the result of
+     * {@link Identity#hasSession} instead of the authorization response
+     * @throws {SDKError} - With `code` set to `popup_blocked`, `popup_closed` or `popup_timeout`,
+     * or to the OAuth error code if the login failed
+     * @return {Promise<PopupLoginResult|HasSessionSuccessResponse>}
+     */
+    async loginWithPopup(options = {}) {
+        const { timeout, refreshSession = false } = options;
+        const redirectUri = options.redirectUri || this.redirectUri;
+        this._closePopup();
+        this._clearSessionCache();
+
+        // Nothing asynchronous can happen before the popup is opened
+        const url = this.pkce ? 'about:blank' : this.loginUrl(this._withNonce(options));
+        this.popup = popup.open(this.window, url, 'Schibsted account', { width: 360, height: 570 });
+        const loginWindow = this.popup;
+        if (!loginWindow) {
+            throw new SDKError('The login popup was blocked', { code: 'popup_blocked' });
+        }
+
+        let responseUrl;
+        try {
+            if (this.pkce) {
+                loginWindow.location.href = await this.pkceLoginUrl(options);
+            }
+            responseUrl = await popup.waitForRedirect(loginWindow, redirectUri, { timeout });
+        } finally {
+            this._closePopup();
+        }
+
+        const response = this.parseRedirectResponse(responseUrl);
+        if (refreshSession) {
+            return this.hasSession();
+        }
+        return response;
+    }
+
+    /**
+     * Perform a PKCE login. The popup (if any) must be opened synchronously to not be blocked, so it
+     * starts out blank and is navigated when the login url is ready
+     * @private
+     * @param {LoginOptions} options
+     * @param {boolean} preferPopup
+     * @return {Window|null}
+     */
+    _pkceLogin(options, preferPopup) {
+        if (preferPopup) {
+            this.popup =
+                popup.open(this.window, 'about:blank', 'Schibsted account', { width: 360, height: 570 });
+        }
+        const loginWindow = this.popup;
+        this.pkceLoginUrl(options)
+            .then((url) => {
+                if (loginWindow) {
+                    loginWindow.location.href = url;
+                } else {
+                    this.window.location.href = url;
+                }
+            })
+            .catch((err) => {
+                this._closePopup();
+                this.emit('error', err);
+            });
+        return loginWindow || null;
+    }
+
+    /**
+     * Tries to log the user in without any interaction, by loading the authorization endpoint with
+     * `prompt=none` in a hidden iframe. The page at `redirectUri` must call
+     * {@link sendSilentLoginResponse} to pass the response back to this page. If third-party
+     * cookies or framing of the login pages are blocked by the browser, this fails with
+     * `login_required` or `silent_login_timeout`, and you should fall back to
+     * {@link Identity#login}
+     * @async
+     * @summary Perform a login without user interaction in a hidden iframe
+     * @param {LoginOptions} [options] - Same as for {@link Identity#login}, except `prompt`, which
+     * is always `none`
+     * @param {number} [options.timeout=10000] - Milliseconds to wait for a response
+     * @throws {SDKError} - With `code` set to `login_required` or `interaction_required` (or
+     * another OAuth error code) if the user has to log in, `state_mismatch` if the response is not
+     * for this login, or `silent_login_timeout` if there was no response in time
+     * @return {Promise<PopupLoginResult>} - In PKCE mode, pass the `url` on to
+     * {@link Identity#handleRedirectCallback}
+     */
+    async trySilentLogin(options = {}) {
+        const { timeout = SILENT_LOGIN_TIMEOUT } = options;
+        const redirectUri = options.redirectUri || this.redirectUri;
+        const state = options.state
+            || (this.autoState ? this.createState(options.statePayload) : randomString());
+        const loginOptions = Object.assign({}, options, { state, redirectUri });
+        const url = new URL(this.pkce
+            ? await this.pkceLoginUrl(loginOptions)
+            : this.loginUrl(this._withNonce(loginOptions)));
+        // loginUrl() drops the prompt when acrValues are given, but it must never be interactive
+        url.searchParams.set('prompt', 'none');
+
+        const responseUrl = await waitForSilentLoginResponse(this.window, url.href, redirectUri, { timeout });
+
+        if (new URL(responseUrl).searchParams.get('state') !== state) {
+            throw new SDKError('The state does not match the silent login', { code: 'state_mismatch' });
+        }
+        return this.parseRedirectResponse(responseUrl);
+    }
+
     /**
      * @async
      * @summary Retrieve the sp_id (Varnish ID)
@@ -918,9 +1860,11 @@ export class Identity extends EventEmitter {
      * @return {void}
      */
     logout(redirectUri = this.redirectUri) {
-        this.sessionStorageCache.delete(HAS_SESSION_CACHE_KEY);
+        this._clearSessionExpiryTimers();
+        this.clearAllCachedData();
         this._maybeClearVarnishCookie();
         this.emit('logout');
+        this._broadcast('logout');
         this.window.location.href = this.logoutUrl(redirectUri);
     }
 
@@ -938,6 +1882,8 @@ export class Identity extends EventEmitter {
      * @param {string} [options.locale]
      * @param {boolean} [options.oneStepLogin=false]
      * @param {string} [options.prompt=select_account]
+     * @param {*} [options.statePayload]
+     * @param {string} [options.nonce]
      * @return {string} - The url
      */
     loginUrl({
@@ -952,6 +1898,8 @@ export class Identity extends EventEmitter {
         locale = '',
         oneStepLogin = false,
         prompt = 'select_account',
+        statePayload,
+        nonce,
     }) {
         if (typeof arguments[0] !== 'object') {
             // backward compatibility
@@ -964,6 +1912,9 @@ export class Identity extends EventEmitter {
             teaser = arguments[6] || teaser;
             maxAge = isNaN(arguments[7]) ? maxAge : arguments[7];
         }
+        if (typeof state === 'undefined' && this.autoState) {
+            state = this.createState(statePayload);
+        }
         const isValidAcrValue = (acrValue) => isStrIn(acrValue, ['password', 'otp', 'sms', 'eid-dk', 'eid-no', 'eid-se', 'eid-fi', 'eid'], true);
         assert(!acrValues || isStrIn(acrValues, ['', 'otp-email'], true) || acrValues.split(' ').every(isValidAcrValue),
             `The acrValues parameter is not acceptable: ${acrValues}`);
@@ -977,6 +1928,7 @@ export class Identity extends EventEmitter {
             redirect_uri: redirectUri,
             scope,
             state,
+            nonce,
             acr_values: acrValues,
             login_hint: loginHint,
             tag,
@@ -988,6 +1940,400 @@ export class Identity extends EventEmitter {
         });
     }
 
+    /**
+     * @async
+     * @summary Generates a login url for the PKCE flow {@link https://tools.ietf.org/html/rfc7636}
+     * @description A code verifier is created and kept in session storage under the `state`, until
+     * {@link Identity#handleRedirectCallback} uses it to exchange the authorization code for
+     * tokens
+     * @param {LoginOptions} options - Same as for {@link Identity#loginUrl}, but `state` is
+     * optional. A random one is generated if omitted
+     * @return {Promise<string>} - The url
+     */
+    async pkceLoginUrl(options = {}) {
+        const state = options.state
+            || (this.autoState ? this.createState(options.statePayload) : randomString());
+        const redirectUri = options.redirectUri || this.redirectUri;
+        const url = new URL(this.loginUrl(this._withNonce(Object.assign({}, options, { state, redirectUri }))));
+
+        const codeVerifier = createCodeVerifier();
+        url.searchParams.set('code_challenge', await createCodeChallenge(codeVerifier));
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        this.sessionStorageCache.set(PKCE_CACHE_KEY_PREFIX + state, { state, codeVerifier, redirectUri }, PKCE_TTL);
+        return url.href;
+    }
+
+    /**
+     * Parses the authorization response that the login flow redirects back to `redirectUri` with
+     * @summary Read the `code` and `state` (or the error) after a login
+     * @param {string} [url=window.location.href] - The url the user was redirected back to
+     * @param {object} [options]
+     * @param {boolean} [options.cleanUrl=false] - Remove the response parameters from the address
+     * bar with `history.replaceState`, so they don't end up in bookmarks or get reused on reload.
+     * Only done when `url` is the current page
+     * @param {boolean} [options.clearSessionCache=true] - Clear the cached {@link Identity#hasSession}
+     * result after a successful login, so that the next call reflects it
+     * @throws {SDKError} - With `code` set to the OAuth error code if the login failed, or to
+     * `invalid_request` if the url has no authorization response
+     * @return {AuthorizationResponse}
+     */
+    parseRedirectResponse(url = this.window.location.href, { cleanUrl = false, clearSessionCache = true } = {}) {
+        assert(isUrl(url), `parseRedirectResponse(): url must be a valid url but is ${url}`);
+        const params = new URL(url).searchParams;
+        if (cleanUrl && url === this.window.location.href) {
+            this._removeRedirectResponseParams(url);
+        }
+
+        const error = params.get('error');
+        if (error) {
+            throw new SDKError(params.get('error_description') || error, { code: error });
+        }
+        const code = params.get('code');
+        if (!code) {
+            throw new SDKError('The url has no authorization response', { code: 'invalid_request' });
+        }
+        if (clearSessionCache) {
+            this._clearSessionCache();
+        }
+        return { code, state: params.get('state'), url };
+    }
+
+    /**
+     * Replace the current history entry with `url` minus the authorization response parameters
+     * @private
+     * @param {string} url
+     * @return {void}
+     */
+    _removeRedirectResponseParams(url) {
+        const history = this.window.history;
+        if (!isObject(history) || !isFunction(history.replaceState)) {
+            return;
+        }
+        const cleaned = new URL(url);
+        REDIRECT_RESPONSE_PARAMS.forEach(param => cleaned.searchParams.delete(param));
+        history.replaceState(history.state, '', cleaned.href);
+    }
+
+    /**
+     * @async
+     * @summary Completes a PKCE login by exchanging the authorization code for tokens
+     * @description Validates that the `state` in the redirect matches the one stored by
+     * {@link Identity#pkceLoginUrl} for this tab, and exchanges the code using the stored code
+     * verifier. The stored verifier can only be used once
+     * @param {string} [url=window.location.href] - The url the user was redirected back to
+     * @throws {SDKError} - With `code` set to `state_mismatch` if there is no matching login in
+     * progress, to the OAuth error code if the authorization failed, or if the token request fails
+     * @return {Promise<TokenResponse>}
+     */
+    async handleRedirectCallback(url = this.window.location.href) {
+        await this.ready;
+        const params = new URL(url).searchParams;
+        const pkceKey = PKCE_CACHE_KEY_PREFIX + params.get('state');
+        const pending = this.sessionStorageCache.get(pkceKey);
+        this.sessionStorageCache.delete(pkceKey);
+
+        if (!pending || pending.state !== params.get('state')) {
+            throw new SDKError('The state does not match any login in progress', { code: 'state_mismatch' });
+        }
+        const { code } = this.parseRedirectResponse(url, { clearSessionCache: false });
+
+        const tokens = await this._oauthService.post('oauth/token', {
+            grant_type: 'authorization_code',
+            code,
+            code_verifier: pending.codeVerifier,
+            redirect_uri: pending.redirectUri,
+        });
+        this._clearSessionCache();
+        return tokens;
+    }
+
+    /**
+     * Generates a random login `state` and remembers it (and the payload) for this tab, so that
+     * {@link Identity#verifyState} can check it when the user returns from the login flow
+     * {@link https://tools.ietf.org/html/rfc6749#section-10.12}
+     * @param {*} [payload] - Any JSON serializable value, e.g. the path to return the user to
+     * @return {string} - The state to pass to {@link Identity#login}
+     */
+    createState(payload) {
+        const state = randomString();
+        this.sessionStorageCache.set(STATE_CACHE_KEY_PREFIX + state, { payload }, STATE_TTL);
+        return state;
+    }
+
+    /**
+     * Checks a `state` returned from the login flow against the ones created by
+     * {@link Identity#createState}. Each state can only be verified once
+     * @param {string} [state] - Defaults to the `state` query parameter of the current url
+     * @throws {SDKError} - With `code` set to `state_replayed` if the state has already been
+     * verified, or `state_mismatch` if it's unknown or expired. With an async storage adapter, the
+     * `code` is `storage_not_ready` if called before {@link Identity#ready} has resolved
+     * @return {*} - The payload given when the state was created
+     */
+    verifyState(state = new URL(this.window.location.href).searchParams.get('state')) {
+        if (!this.sessionStorageCache.loaded) {
+            throw new SDKError('The storage has not been loaded yet, wait for identity.ready',
+                { code: 'storage_not_ready' });
+        }
+        if (isNonEmptyString(state)) {
+            const entry = this.sessionStorageCache.get(STATE_CACHE_KEY_PREFIX + state);
+            if (entry) {
+                this.sessionStorageCache.delete(STATE_CACHE_KEY_PREFIX + state);
+                this.sessionStorageCache.set(USED_STATE_CACHE_KEY_PREFIX + state, true, STATE_TTL);
+                return entry.payload;
+            }
+            if (this.sessionStorageCache.get(USED_STATE_CACHE_KEY_PREFIX + state)) {
+                throw new SDKError('The state has already been used', { code: 'state_replayed' });
+            }
+        }
+        throw new SDKError('The state does not match any login in progress', { code: 'state_mismatch' });
+    }
+
+    /**
+     * Generates a random `nonce` and remembers it for this tab, so that
+     * {@link Identity#validateIdToken} can check that an ID token belongs to a login started here
+     * @private
+     * @return {string}
+     */
+    _createNonce() {
+        const nonce = randomString();
+        this.sessionStorageCache.set(NONCE_CACHE_KEY_PREFIX + nonce, true, NONCE_TTL);
+        return nonce;
+    }
+
+    /**
+     * Add a generated `nonce` to the options of a login that is starting, unless one is given or
+     * the scope doesn't include `openid`
+     * @private
+     * @param {LoginOptions} options
+     * @return {LoginOptions}
+     */
+    _withNonce(options) {
+        const { scope = 'openid', nonce } = options;
+        if (typeof nonce !== 'undefined' || !isStr(scope) || !scope.split(' ').includes('openid')) {
+            return options;
+        }
+        return Object.assign({}, options, { nonce: this._createNonce() });
+    }
+
+    /**
+     * Fetch the OpenID Connect discovery document (once)
+     * {@link https://openid.net/specs/openid-connect-discovery-1_0.html}
+     * @private
+     * @return {Promise<object>}
+     */
+    _getOidcConfiguration() {
+        if (!this._oidcConfiguration) {
+            this._oidcConfiguration = this._oauthService.go({
+                method: 'get',
+                pathname: '.well-known/openid-configuration',
+                useDefaultParams: false,
+                fetchOptions: { method: 'get' },
+            }).catch((err) => {
+                this._oidcConfiguration = null;
+                throw err;
+            });
+        }
+        return this._oidcConfiguration;
+    }
+
+    /**
+     * Fetch the JSON Web Key Set with the keys ID tokens are signed with
+     * @private
+     * @param {boolean} [refresh=false] - Fetch it again even if we have it
+     * @return {Promise<object>}
+     */
+    _getJwks(refresh = false) {
+        if (refresh || !this._jwks) {
+            this._jwks = this._getOidcConfiguration()
+                .then(({ jwks_uri }) => this._oauthService.go({
+                    method: 'get',
+                    pathname: jwks_uri,
+                    useDefaultParams: false,
+                    fetchOptions: { method: 'get' },
+                }))
+                .catch((err) => {
+                    this._jwks = null;
+                    throw err;
+                });
+        }
+        return this._jwks;
+    }
+
+    /**
+     * Find the key an ID token was signed with. A JWKS we already had is fetched again if the key
+     * isn't in it, in case the keys have been rotated
+     * @private
+     * @param {object} header - The JWT header
+     * @throws {SDKError} - With `code` set to `invalid_token` if there is no such key
+     * @return {Promise<object>} - The JWK
+     */
+    async _getSigningKey(header) {
+        const hadJwks = !!this._jwks;
+        let jwk = findJwk(await this._getJwks(), header);
+        if (!jwk && hadJwks) {
+            jwk = findJwk(await this._getJwks(true), header);
+        }
+        if (!jwk) {
+            throw new SDKError('No key found for the ID token signature', { code: 'invalid_token' });
+        }
+        return jwk;
+    }
+
+    /**
+     * @async
+     * @summary Verifies the signature and validates the claims of an ID token
+     * @description The signing keys and issuer are read from the OpenID Connect discovery document
+     * of the Schibsted account environment. Checks `iss`, `aud`, `exp`, `iat` and `nonce`, and
+     * optionally `acr`, `amr` and `auth_time`. Use `amr` to make sure the user really did the 2FA
+     * you asked for with `acrValues` when logging in. Unless `nonce` is given, the nonce must be one
+     * generated by {@link Identity#loginUrl} in this tab, and it can only be used once
+     * @param {string} idToken - For example the `id_token` returned by
+     * {@link Identity#handleRedirectCallback}
+     * @param {object} [options]
+     * @param {string} [options.nonce] - The nonce the token must contain
+     * @param {string|string[]} [options.acrValues] - The `acr` claim must be one of these
+     * @param {string|string[]} [options.amr] - The `amr` claim must contain all of these, e.g. `otp`
+     * @param {number} [options.maxAge] - Max seconds since the user authenticated
+     * @param {number} [options.leeway=60] - Seconds of clock skew to allow
+     * @throws {SDKError} - With `code` set to `invalid_token` if the token is malformed, its
+     * signature is wrong or any claim is invalid
+     * @return {Promise<IdTokenClaims>}
+     */
+    async validateIdToken(idToken, { nonce, acrValues, amr, maxAge, leeway = ID_TOKEN_LEEWAY } = {}) {
+        const jwt = decodeJwt(idToken);
+        const { issuer } = await this._getOidcConfiguration();
+        const jwk = await this._getSigningKey(jwt.header);
+        if (!(await verifyJwtSignature(jwt, jwk))) {
+            throw new SDKError('The ID token signature is invalid', { code: 'invalid_token' });
+        }
+
+        const claims = jwt.payload;
+        await this.ready;
+        const nonceKey = NONCE_CACHE_KEY_PREFIX + claims.nonce;
+        const tracked = isNonEmptyString(claims.nonce) && this.sessionStorageCache.get(nonceKey);
+        const toList = value => (isStr(value) ? value.split(' ') : value);
+        validateIdTokenClaims(claims, {
+            issuer,
+            clientId: this.clientId,
+            now: this._clock.now() / 1000,
+            leeway,
+            nonce: isNonEmptyString(nonce) ? nonce : (tracked ? claims.nonce : null),
+            acrValues: toList(acrValues),
+            amr: toList(amr),
+            maxAge,
+        });
+        this.sessionStorageCache.delete(nonceKey);
+        this.sessionStorageCache.set(AUTH_CLAIMS_CACHE_KEY, claims, AUTH_CLAIMS_TTL);
+        return claims;
+    }
+
+    /**
+     * Check if ID token claims meet an authentication requirement for the current user
+     * @private
+     * @param {IdTokenClaims|null} claims
+     * @param {object} session - The last {@link Identity#hasSession} response
+     * @param {string[]} methods - Each must be in the `amr` claim (or be the `acr`)
+     * @param {number} [maxAge] - Max seconds since the user authenticated
+     * @return {boolean}
+     */
+    _meetsAuthLevel(claims, session, methods, maxAge) {
+        if (!isObject(claims) || !session.userId || (session.uuid && claims.sub !== session.uuid)) {
+            return false;
+        }
+        const amr = Array.isArray(claims.amr) ? claims.amr : [];
+        const hasMethod = method => claims.acr === method
+            || amr.includes(method)
+            || (method === 'eid' && amr.some(m => m.startsWith('eid-')));
+        if (!methods.every(hasMethod)) {
+            return false;
+        }
+        return typeof maxAge === 'undefined' || claims.auth_time + maxAge >= this._clock.now() / 1000;
+    }
+
+    /**
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked
+     * @async
+     * @summary Makes sure the user has authenticated strongly enough, and recently enough, asking
+     * them to log in again only if needed
+     * @description The requirement is checked against the session from {@link Identity#hasSession}
+     * and the claims of the last ID token that {@link Identity#validateIdToken} accepted in this
+     * tab. If it isn't met, the user logs in again in a popup with `acr_values` and `max_age` set,
+     * and the new ID token is validated and checked against the requirement. In PKCE mode the SDK
+     * gets the ID token itself; otherwise `exchangeCode` has your backend get it. If the popup is
+     * blocked, or `preferPopup` is false, the browser is redirected instead and the promise
+     * resolves with `null`
+     * @param {LoginOptions} options - Same as for {@link Identity#login}, plus:
+     * @param {string|string[]} [options.acr] - Authentication methods the user must have used, like
+     * `sms`, `otp` or `eid`. See `acrValues` in {@link LoginOptions}
+     * @param {number} [options.maxAge] - Max seconds since the user last authenticated
+     * @param {boolean} [options.preferPopup=true]
+     * @param {function(PopupLoginResult): Promise<string>} [options.exchangeCode] - Required without
+     * PKCE. Exchanges the code of the step-up login for tokens, usually on your backend, and
+     * resolves with the ID token
+     * @throws {SDKError} - If the options are invalid or the step-up login fails. The `code` is
+     * `auth_level_not_met` if the user logged in, but not in the required way
+     * @return {Promise<AuthLevelResult|null>}
+     */
+    async requireAuthLevel(options = {}) {
+        const { acr, maxAge, preferPopup = true, exchangeCode } = options;
+        const methods = isStr(acr) ? acr.split(' ').filter(Boolean) : (acr || []);
+        assert(Array.isArray(methods), `acr must be a string or an array but it is ${acr}`);
+        assert(methods.length > 0 || typeof maxAge !== 'undefined', 'acr or maxAge is required');
+        assert(typeof maxAge === 'undefined' || (Number.isInteger(maxAge) && maxAge >= 0),
+            `maxAge must be a non-negative integer but it is ${maxAge}`);
+        assert(this.pkce || isFunction(exchangeCode), 'exchangeCode is required without PKCE');
+
+        let session;
+        try {
+            session = await this.hasSession();
+        } catch (err) {
+            if (err.code === 'session_redirect' || err.code === 'session_redirect_required') {
+                throw err;
+            }
+            // not logged in, so the login has to be done anyway
+            session = {};
+        }
+        const claims = this.sessionStorageCache.get(AUTH_CLAIMS_CACHE_KEY);
+        if (this._meetsAuthLevel(claims, session, methods, maxAge)) {
+            return { steppedUp: false, claims, session, authorization: null };
+        }
+
+        const loginOptions = Object.assign({}, options, {
+            acrValues: methods.join(' '),
+            maxAge: typeof maxAge === 'undefined' ? '' : maxAge,
+            prompt: methods.length ? '' : 'login',
+        });
+        delete loginOptions.acr;
+        delete loginOptions.exchangeCode;
+        if (!preferPopup) {
+            this.login(Object.assign(loginOptions, { preferPopup: false }));
+            return null;
+        }
+
+        let authorization;
+        try {
+            authorization = await this.loginWithPopup(loginOptions);
+        } catch (err) {
+            if (err.code !== 'popup_blocked') {
+                throw err;
+            }
+            this.login(Object.assign(loginOptions, { preferPopup: false }));
+            return null;
+        }
+
+        const idToken = this.pkce
+            ? (await this.handleRedirectCallback(authorization.url)).id_token
+            : await exchangeCode(authorization);
+        const stepUpClaims = await this.validateIdToken(idToken);
+        const stepUpSession = await this.hasSession();
+        if (!this._meetsAuthLevel(stepUpClaims, stepUpSession, methods, maxAge)) {
+            throw new SDKError('The login did not meet the required authentication level', { code: 'auth_level_not_met' });
+        }
+        return { steppedUp: true, claims: stepUpClaims, session: stepUpSession, authorization };
+    }
+
     /**
      * The url for logging the user out
      * @param {string} [redirectUri=this.redirectUri]
@@ -0,0 +1,130 @@
+/**
+ * Make a copy of a value where sensitive fields, and sensitive parameters in urls and form
+ * encoded strings, are replaced with `[REDACTED]`
+ * @memberof core
+ * @param {*} value
+ * @param {string[]} [fields=DEFAULT_REDACT_FIELDS] - Field names to redact (case insensitive)
+ * @returns {*}
+ */
+export function redact(value: any, fields?: string[]): any;
+/**
+ * Log levels, from most to least verbose. `silent` turns logging off
+ * @private
+ * @type {string[]}
+ */
+export const LOG_LEVELS: string[];
+/**
+ * What redacted values are replaced with
+ * @private
+ * @type {string}
+ */
+export const REDACTED: string;
+/**
+ * Fields and query parameters that are always redacted (case insensitive). These cover the
+ * personal data and secrets in session-service and OAuth responses
+ * @private
+ * @type {string[]}
+ */
+export const DEFAULT_REDACT_FIELDS: string[];
+/**
+ * Writes log events to either a plain log function or a {@link StructuredLogger}, filtered by
+ * level and with sensitive data redacted
+ * @memberof core
+ * @private
+ */
+export class Logger {
+    /**
+     * @param {object} [options]
+     * @param {function|StructuredLogger} [options.log] - A function that is called with one string
+     * per log event, or an object that gets the {@link LogEvent}s themselves. Nothing is logged
+     * if it's not set
+     * @param {string} [options.level=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact on top
+     * of the default ones
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ log, level, redactFields }?: {
+        log?: Function | StructuredLogger;
+        level?: LogLevel;
+        redactFields?: string[];
+    });
+    log: Function | StructuredLogger;
+    level: LogLevel;
+    redactFields: string[];
+    /**
+     * Check if events of a level would be written
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isEnabled(level: string): boolean;
+    /**
+     * Write a log event
+     * @private
+     * @param {string} level
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data={}]
+     * @returns {void}
+     */
+    private _write;
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    debug(event: string, message: string, data?: any): void;
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    info(event: string, message: string, data?: any): void;
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    warn(event: string, message: string, data?: any): void;
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    error(event: string, message: string, data?: any): void;
+}
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+/**
+ * A structured log entry
+ */
+export type LogEvent = {
+    /**
+     * - `debug`, `info`, `warn` or `error`
+     */
+    level: string;
+    /**
+     * - Machine readable name of what happened, like `request`
+     */
+    event: string;
+    /**
+     * - Human readable description
+     */
+    message: string;
+    /**
+     * - Details, with sensitive fields redacted
+     */
+    data: any;
+};
+/**
+ * An object that receives {@link LogEvent}s, like `console`
+ */
+export type StructuredLogger = {
+    debug: (event: LogEvent) => void;
+    info: (event: LogEvent) => void;
+    warn: (event: LogEvent) => void;
+    error: (event: LogEvent) => void;
+};
@@ -0,0 +1,229 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isFunction, isNonEmptyString, isObject, isStr } from './validate.js';
+
+/**
+ * Log levels, from most to least verbose. `silent` turns logging off
+ * @private
+ * @type {string[]}
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * What redacted values are replaced with
+ * @private
+ * @type {string}
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Fields and query parameters that are always redacted (case insensitive). These cover the
+ * personal data and secrets in session-service and OAuth responses
+ * @private
+ * @type {string[]}
+ */
+export const DEFAULT_REDACT_FIELDS = [
+    'access_token', 'authorization', 'birthday', 'code', 'code_verifier', 'cookie', 'displayName',
+    'email', 'familyName', 'gender', 'givenName', 'id_token', 'nonce', 'pairId', 'password',
+    'phoneNumber', 'photo', 'refresh_token', 'sig', 'sp_id', 'state', 'userId', 'user_id', 'uuid',
+];
+
+/**
+ * A structured log entry
+ * @typedef {object} LogEvent
+ * @property {string} level - `debug`, `info`, `warn` or `error`
+ * @property {string} event - Machine readable name of what happened, like `request`
+ * @property {string} message - Human readable description
+ * @property {object} data - Details, with sensitive fields redacted
+ */
+
+/**
+ * An object that receives {@link LogEvent}s, like `console`
+ * @typedef {object} StructuredLogger
+ * @property {function(LogEvent): void} debug
+ * @property {function(LogEvent): void} info
+ * @property {function(LogEvent): void} warn
+ * @property {function(LogEvent): void} error
+ */
+
+/**
+ * Check if something can receive structured log events
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStructuredLogger(value) {
+    return isObject(value) && ['debug', 'info', 'warn', 'error'].every(level => isFunction(value[level]));
+}
+
+/**
+ * Redact the sensitive parameters of a query string, fragment or form encoded body
+ * @private
+ * @param {string} query
+ * @param {function(string): boolean} isSensitive
+ * @returns {string}
+ */
+function redactParams(query, isSensitive) {
+    return query.replace(/([^?#&=]+)=([^&#]*)/g, (param, name) => {
+        let key = name;
+        try {
+            key = decodeURIComponent(name.replace(/\+/g, ' '));
+        } catch (e) {
+            // malformed, compare it as is
+        }
+        return isSensitive(key) ? `${name}=${REDACTED}` : param;
+    });
+}
+
+/**
+ * Redact the sensitive parameters of strings that are urls or form encoded bodies
+ * @private
+ * @param {string} value
+ * @param {function(string): boolean} isSensitive
+ * @returns {string}
+ */
+function redactString(value, isSensitive) {
+    if (/^https?:\/\//i.test(value)) {
+        const start = value.search(/[?#]/);
+        return start === -1 ? value : value.slice(0, start) + redactParams(value.slice(start), isSensitive);
+    }
+    if (/^[^\s?#&=]+=\S*$/.test(value)) {
+        return redactParams(value, isSensitive);
+    }
+    return value;
+}
+
+/**
+ * Make a copy of a value where sensitive fields, and sensitive parameters in urls and form
+ * encoded strings, are replaced with `[REDACTED]`
+ * @memberof core
+ * @param {*} value
+ * @param {string[]} [fields=DEFAULT_REDACT_FIELDS] - Field names to redact (case insensitive)
+ * @returns {*}
+ */
+export function redact(value, fields = DEFAULT_REDACT_FIELDS) {
+    const names = fields.map(field => field.toLowerCase());
+    const isSensitive = key => names.includes(key.toLowerCase());
+    const copy = (v) => {
+        if (isStr(v)) {
+            return redactString(v, isSensitive);
+        }
+        if (Array.isArray(v)) {
+            return v.map(copy);
+        }
+        if (isObject(v)) {
+            const result = {};
+            Object.keys(v).forEach(key => {
+                result[key] = isSensitive(key) && v[key] !== null ? REDACTED : copy(v[key]);
+            });
+            return result;
+        }
+        return v;
+    };
+    return copy(value);
+}
+
+/**
+ * Writes log events to either a plain log function or a {@link StructuredLogger}, filtered by
+ * level and with sensitive data redacted
+ * @memberof core
+ * @private
+ */
+export class Logger {
+    /**
+     * @param {object} [options]
+     * @param {function|StructuredLogger} [options.log] - A function that is called with one string
+     * per log event, or an object that gets the {@link LogEvent}s themselves. Nothing is logged
+     * if it's not set
+     * @param {string} [options.level=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact on top
+     * of the default ones
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ log, level = 'debug', redactFields = [] } = {}) {
+        assert(!log || isFunction(log) || isStructuredLogger(log),
+            'log must be a function or an object with debug, info, warn and error functions');
+        assert(LOG_LEVELS.includes(level), `logLevel must be one of ${LOG_LEVELS.join(', ')} but it is ${level}`);
+        assert(Array.isArray(redactFields) && redactFields.every(isNonEmptyString),
+            'redactFields must be an array of field names');
+
+        this.log = log;
+        this.level = level;
+        this.redactFields = DEFAULT_REDACT_FIELDS.concat(redactFields);
+    }
+
+    /**
+     * Check if events of a level would be written
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return !!this.log && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write a log event
+     * @private
+     * @param {string} level
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data={}]
+     * @returns {void}
+     */
+    _write(level, event, message, data = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = { level, event, message, data: redact(data, this.redactFields) };
+        if (isFunction(this.log)) {
+            this.log(`${message}: \n${JSON.stringify(entry.data, null, 2)}`);
+        } else {
+            this.log[level](entry);
+        }
+    }
+
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    debug(event, message, data) {
+        this._write('debug', event, message, data);
+    }
+
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    info(event, message, data) {
+        this._write('info', event, message, data);
+    }
+
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    warn(event, message, data) {
+        this._write('warn', event, message, data);
+    }
+
+    /**
+     * @param {string} event
+     * @param {string} message
+     * @param {object} [data]
+     * @returns {void}
+     */
+    error(event, message, data) {
+        this._write('error', event, message, data);
+    }
+}
@@ -1,7 +1,9 @@
+import type { TinyEmitter } from 'tiny-emitter';
+
 /**
  * Provides features related to monetization
  */
-export class Monetization {
+export class Monetization extends TinyEmitter {
     /**
      * @param {object} options
      * @param {string} options.clientId - Mandatory client id
@@ -9,19 +11,76 @@ export class Monetization {
      * @param {string} options.sessionDomain - Example: "https://id.site.com"
      * @param {string} [options.env=PRE] - Schibsted account environment: `PRE`, `PRO` or `PRO_NO`
      * @param {object} [options.window]
+     * @param {function|StructuredLogger} [options.log] - A function that receives log messages, or an
+     * object with `debug`, `info`, `warn` and `error` functions that receives {@link LogEvent}s. If
+     * not set, no logging will be done
+     * @param {string} [options.logLevel=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact from the
+     * logs, on top of the personal data and secrets that are always redacted
+     * @param {StorageAdapter} [options.storage] - Where to cache access results, instead of
+     * `sessionStorage`. See {@link IndexedDBStorage} and {@link CookieStorage}
+     * @param {number} [options.requestTimeout=0] - Milliseconds before requests to Schibsted account
+     * are aborted with an `SDKError` with code `request_timeout`. 0 means no timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network or server errors. When all retries fail, the `SDKError` has code `retries_exhausted`
+     * @param {Identity} [options.identity] - Take the user from the session of this instance when
+     * no `userId` is given, and forget the cached access results when the user logs out or changes
+     * @param {number} [options.gracePeriod=0] - Milliseconds to keep the last positive access
+     * result of a user in `localStorage` (or `storage`), to answer {@link Monetization#hasAccess}
+     * with when the session-service can't be reached. 0 turns the grace mode off
      * @throws {SDKError} - If any of options are invalid
      */
-    constructor({ clientId, redirectUri, env, sessionDomain, window }: {
+    constructor({ clientId, redirectUri, env, sessionDomain, window, log, logLevel, redactFields, storage, requestTimeout, retry, identity, gracePeriod }: {
         clientId: string;
         redirectUri: string;
         sessionDomain: string;
         env?: string;
         window?: any;
+        log?: Function | StructuredLogger;
+        logLevel?: LogLevel;
+        redactFields?: string[];
+        storage?: StorageAdapter;
+        requestTimeout?: number;
+        retry?: number | RetryPolicy;
+        identity?: Identity;
+        gracePeriod?: number;
     });
     cache: any;
+    _graceCache: any;
+    _cacheReady: Promise<any[]>;
+    gracePeriod: number;
     clientId: string;
     env: string;
     redirectUri: string;
+    requestTimeout: number;
+    retry: number | RetryPolicy;
+    _logger: Logger;
+    _interceptors: Interceptor[];
+    _accessResults: {
+        [cacheKey: string]: {
+            entitled: boolean;
+            expiresAt: number;
+        };
+    };
+    _pendingChecks: {
+        [key: string]: {
+            method: 'hasAccess' | 'hasAccessBatch';
+            ids: string[];
+        };
+    };
+    _staleChecks: {
+        [cacheKey: string]: {
+            ids: string[];
+            userId: number;
+        };
+    };
+    _staleRefreshTimer: any;
+    _identity: Identity | null;
+    _window: any;
+    _onOnline: () => void;
+    _onSessionEnd: () => void;
+    _onLogin: () => void;
     /**
      * Set SPiD server URL
      * @private
@@ -38,16 +97,73 @@ export class Monetization {
      */
     private _setSessionServiceUrl;
     _sessionService: RESTClient;
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor: Interceptor): () => void;
     /**
      * Checks if the user has access to a set of products or features.
      * @param {array} productIds - which products/features to check
-     * @param {number} userId - id of currently logged in user
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to use the user of its session
      * @throws {SDKError} - If the input is incorrect, or a network call fails in any way
      * (this will happen if, say, the user is not logged in)
      * @returns {Object|null} The data object returned from Schibsted account (or `null` if the user
-     * doesn't have access to any of the given products/features)
+     * doesn't have access to any of the given products/features). With the `gracePeriod` option, a
+     * network call that fails is answered with the last positive result, with `stale` set to `true`
      */
-    hasAccess(productIds: any[], userId: number): any;
+    hasAccess(productIds: any[], userId?: number): any;
+    /**
+     * @summary Keep checking if the user has access to a set of products or features
+     * @description Checks right away, then again whenever the result runs out of the cache, and
+     * when a purchase flow of `payment` comes back to the page. Listen to
+     * {@link Monetization#event:accessGranted}, {@link Monetization#event:accessRevoked} and
+     * {@link Monetization#event:accessExpired} for the changes. Failed checks are emitted as
+     * `error` and tried again later
+     * @param {string[]} productIds - which products/features to check
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to check the user of its session each time
+     * @param {object} [options]
+     * @param {Payment} [options.payment] - Check again when its purchase flows come back, also
+     * to this page load after {@link Payment#redirectToPurchase}
+     * @fires Monetization#accessGranted
+     * @fires Monetization#accessRevoked
+     * @fires Monetization#accessExpired
+     * @fires Monetization#error
+     * @throws {SDKError} - If the input is incorrect
+     * @returns {function} - Call it to stop watching
+     */
+    watchAccess(productIds: string[], userId?: number, { payment }?: {
+        payment?: Payment;
+    }): () => void;
+    /**
+     * Checks which of a set of products or features the user has access to. Products that were
+     * checked before are answered from the cache, and the rest are checked in one request. If the
+     * response doesn't tell which of them are allowed, they are checked one at a time. Each
+     * product is cached on its own, for the `ttl` of the response it came in
+     * @param {string[]} productIds - which products/features to check
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to use the user of its session
+     * @throws {SDKError} - If the input is incorrect, or a network call fails in any way
+     * (this will happen if, say, the user is not logged in)
+     * @returns {Promise<Object<string, boolean>>} Whether the user has access, by product id
+     */
+    hasAccessBatch(productIds: string[], userId?: number): Promise<{
+        [productId: string]: boolean;
+    }>;
+    /**
+     * Get the cached access to one product, as cached by {@link Monetization#hasAccessBatch} or
+     * {@link Monetization#hasAccess}
+     * @private
+     * @param {string} productId
+     * @param {number} userId
+     * @returns {boolean|null} - null if it's not cached
+     */
+    private _cachedProductAccess;
     /**
      * Removes the cached access result.
      * @param {array} productIds - which products/features to check
@@ -55,6 +171,67 @@ export class Monetization {
      * @returns {void}
      */
     clearCachedAccessResult(productIds: any[], userId: number): void;
+    /**
+     * Removes the cached access results of all products and users, including the ones kept for
+     * the grace mode. Done automatically on logout and when the user changes if the `identity`
+     * option is set
+     * @returns {void}
+     */
+    clearAllCachedAccessResults(): void;
+    /**
+     * Keep a positive result for the grace mode, or forget the kept one if the user no longer has
+     * access
+     * @private
+     * @param {string} cacheKey
+     * @param {object} data - The response from Schibsted account
+     * @returns {void}
+     */
+    private _keepForGracePeriod;
+    /**
+     * Answer a failed check with the result kept for the grace mode, and check again later
+     * @private
+     * @param {string} cacheKey
+     * @param {string[]} ids
+     * @param {number} userId
+     * @param {*} err - Why the check failed
+     * @throws {*} - `err`, if the grace mode can't answer
+     * @returns {object} - The kept result, with `stale` set to `true`
+     */
+    private _staleAccessResult;
+    /**
+     * Run the checks that were answered by the grace mode again. Changes are emitted as
+     * `accessGranted` and `accessRevoked` events, and failures as `error` events
+     * @private
+     * @fires Monetization#accessGranted
+     * @fires Monetization#accessRevoked
+     * @fires Monetization#error
+     * @returns {void}
+     */
+    private _refreshStaleAccess;
+    /**
+     * Stop listening to the browser and the `identity` option, and stop checking the results of
+     * the grace mode again. Call it when the instance is no longer used
+     * @returns {void}
+     */
+    destroy(): void;
+    /**
+     * Get the id of the user logged in to the session of `identity`. If nobody is logged in, the
+     * check is run again on the next login
+     * @private
+     * @param {string} method - `hasAccess` or `hasAccessBatch`
+     * @param {string[]} productIds
+     * @throws {SDKError} - With `code` set to `not_logged_in` if there is no user in the session,
+     * or the error of {@link Identity#hasSession}
+     * @returns {Promise<number>}
+     */
+    private _sessionUserId;
+    /**
+     * Run the checks that failed because nobody was logged in again. Their results are emitted as
+     * `hasAccess` events, and failures as `error` events
+     * @private
+     * @returns {void}
+     */
+    private _rerunPendingChecks;
     /**
      * Compute "has access" cache key for the given product ids and user id.
      * @param {array} productIds - which products/features to check
@@ -63,6 +240,15 @@ export class Monetization {
      * @private
      */
     private _accessCacheKey;
+    /**
+     * Compute the cache key of the access to one product, as cached by
+     * {@link Monetization#hasAccessBatch}
+     * @param {string} productId
+     * @param {number} userId - id of currently logged in user
+     * @returns {string}
+     * @private
+     */
+    private _productAccessCacheKey;
     /**
      * Get the url for the end user to review the subscriptions
      * @param {string} [redirectUri=this.redirectUri]
@@ -78,3 +264,8 @@ export class Monetization {
 }
 export default Monetization;
 import RESTClient from "./RESTClient.js";
+import { StorageAdapter } from "./cache.js";
+import { Interceptor, RetryPolicy } from "./RESTClient.js";
+import { Logger, LogLevel, StructuredLogger } from "./logger.js";
+import Payment from "./payment.js";
+import Identity from "./identity.js";
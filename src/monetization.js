@@ -4,18 +4,38 @@
 
 'use strict';
 
-import { assert, isStr, isNonEmptyString, isUrl } from './validate.js';
+import { assert, isFunction, isObject, isStr, isNonEmptyString, isUrl } from './validate.js';
 import { urlMapper } from './url.js';
 import { ENDPOINTS, NAMESPACE } from './config.js';
+import { Logger } from './logger.js';
 import EventEmitter from 'tiny-emitter';
-import RESTClient from './RESTClient.js';
-import Cache from './cache.js';
+import RESTClient, { addInterceptor } from './RESTClient.js';
+import Cache, { cacheNamespace, isStorageAdapter } from './cache.js';
 import * as spidTalk from './spidTalk.js';
 import SDKError from './SDKError.js';
 import version from './version.js';
 
 const globalWindow = () => window;
 
+// When watchAccess() checks again after a result that isn't cached, or a failed check, and when
+// stale results of the grace mode are checked again
+const ACCESS_RETRY_INTERVAL = 1000 * 30;
+
+/**
+ * Whether a failed access check might work later, so that the grace mode may answer it meanwhile.
+ * Errors that the session-service answered with, like for a user that isn't logged in, are final
+ * @private
+ * @param {*} err - What {@link RESTClient#go} threw
+ * @returns {boolean}
+ */
+function isTransientFailure(err) {
+    if (!isObject(err)) {
+        return true;
+    }
+    const status = Number.isInteger(err.code) ? err.code : err.status;
+    return !(status >= 400 && status < 500) || status === 408 || status === 429;
+}
+
 /**
  * Provides features related to monetization
  */
@@ -27,20 +47,98 @@ export class Monetization extends EventEmitter {
      * @param {string} options.sessionDomain - Example: "https://id.site.com"
      * @param {string} [options.env=PRE] - Schibsted account environment: `PRE`, `PRO` or `PRO_NO`
      * @param {object} [options.window]
+     * @param {function|StructuredLogger} [options.log] - A function that receives log messages, or an
+     * object with `debug`, `info`, `warn` and `error` functions that receives {@link LogEvent}s. If
+     * not set, no logging will be done
+     * @param {string} [options.logLevel=debug] - Least severe level to log: `debug`, `info`, `warn`,
+     * `error` or `silent`
+     * @param {string[]} [options.redactFields=[]] - Field and query parameter names to redact from the
+     * logs, on top of the personal data and secrets that are always redacted
+     * @param {StorageAdapter} [options.storage] - Where to cache access results, instead of
+     * `sessionStorage`. See {@link IndexedDBStorage} and {@link CookieStorage}
+     * @param {number} [options.requestTimeout=0] - Milliseconds before requests to Schibsted account
+     * are aborted with an `SDKError` with code `request_timeout`. 0 means no timeout
+     * @param {number|RetryPolicy} [options.retry=0] - How to retry requests that fail because of
+     * network or server errors. When all retries fail, the `SDKError` has code `retries_exhausted`
+     * @param {Identity} [options.identity] - Take the user from the session of this instance when
+     * no `userId` is given, and forget the cached access results when the user logs out or changes
+     * @param {number} [options.gracePeriod=0] - Milliseconds to keep the last positive access
+     * result of a user in `localStorage` (or `storage`), to answer {@link Monetization#hasAccess}
+     * with when the session-service can't be reached. 0 turns the grace mode off
      * @throws {SDKError} - If any of options are invalid
      */
-    constructor({ clientId, redirectUri, env = 'PRE', sessionDomain, window = globalWindow() }) {
+    constructor({
+        clientId,
+        redirectUri,
+        env = 'PRE',
+        sessionDomain,
+        window = globalWindow(),
+        log,
+        logLevel = 'debug',
+        redactFields = [],
+        storage,
+        requestTimeout = 0,
+        retry = 0,
+        identity,
+        gracePeriod = 0
+    }) {
         super();
         spidTalk.emulate(window);
         // validate options
         assert(isNonEmptyString(clientId), 'clientId parameter is required');
+        assert(!storage || isStorageAdapter(storage), 'storage parameter is not a valid storage adapter');
+        assert(!identity || (isFunction(identity.hasSession) && isFunction(identity.on)),
+            'identity parameter is not a valid Identity instance');
+        assert(Number.isFinite(gracePeriod) && gracePeriod >= 0,
+            `gracePeriod must be a non-negative number but it is ${gracePeriod}`);
 
-        this.cache = new Cache(() => window && window.sessionStorage);
+        // Identity uses the namespace of the client, so clearing this cache mustn't touch that
+        const namespace = `${cacheNamespace(env, clientId)}:monetization`;
+        this.cache = new Cache(storage || (() => window && window.sessionStorage), {
+            namespace,
+            isLegacyKey: key => key.startsWith('prd_'),
+        });
+        // The last positive results, kept for the grace mode beyond their ttl
+        this._graceCache = gracePeriod > 0
+            ? new Cache(storage || (() => window && window.localStorage), {
+                namespace: `${namespace}:grace`,
+            })
+            : null;
+        // Resolves once both caches are loaded, which with an async storage adapter takes a while
+        this._cacheReady = Promise.all([this.cache.ready, this._graceCache && this._graceCache.ready]);
+        this.gracePeriod = gracePeriod;
         this.clientId = clientId;
         this.env = env;
         this.redirectUri = redirectUri;
+        this.requestTimeout = requestTimeout;
+        this.retry = retry;
+        this._logger = new Logger({ log, level: logLevel, redactFields });
+        this._interceptors = [];
+        // The latest result for each product set, to tell when access changes
+        this._accessResults = {};
+        // Checks that failed because nobody was logged in, to run again on login
+        this._pendingChecks = {};
+        // Checks answered by the grace mode, to run again once the session-service can be reached
+        this._staleChecks = {};
+        this._staleRefreshTimer = null;
+        this._identity = identity || null;
+        this._window = window;
         this._setSpidServerUrl(env);
 
+        // Kept to be removed again by destroy()
+        this._onOnline = () => this._refreshStaleAccess();
+        this._onSessionEnd = () => this.clearAllCachedAccessResults();
+        this._onLogin = () => this._rerunPendingChecks();
+        if (this._graceCache && window && isFunction(window.addEventListener)) {
+            window.addEventListener('online', this._onOnline);
+        }
+
+        if (identity) {
+            identity.on('logout', this._onSessionEnd);
+            identity.on('userChange', this._onSessionEnd);
+            identity.on('login', this._onLogin);
+        }
+
         if (sessionDomain) {
             assert(isUrl(sessionDomain), 'sessionDomain parameter is not a valid URL');
             this._setSessionServiceUrl(sessionDomain);
@@ -57,6 +155,10 @@ export class Monetization extends EventEmitter {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._spid = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.SPiD),
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
@@ -72,38 +174,102 @@ export class Monetization extends EventEmitter {
         const client_sdrn = `sdrn:${NAMESPACE[this.env]}:client:${this.clientId}`;
         this._sessionService = new RESTClient({
             serverUrl: domain,
-            log: this.log,
+            log: this._logger,
+            timeout: this.requestTimeout,
+            retry: this.retry,
+            interceptors: this._interceptors,
             defaultParams: { client_sdrn, redirect_uri: this.redirectUri, sdk_version: version  },
         });
     }
 
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor) {
+        return addInterceptor(this._interceptors, interceptor);
+    }
+
     /**
      * Checks if the user has access to a set of products or features.
      * @param {array} productIds - which products/features to check
-     * @param {number} userId - id of currently logged in user
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to use the user of its session
      * @throws {SDKError} - If the input is incorrect, or a network call fails in any way
      * (this will happen if, say, the user is not logged in)
      * @returns {Object|null} The data object returned from Schibsted account (or `null` if the user
-     * doesn't have access to any of the given products/features)
+     * doesn't have access to any of the given products/features). With the `gracePeriod` option, a
+     * network call that fails is answered with the last positive result, with `stale` set to `true`
      */
     async hasAccess(productIds, userId) {
         if (!this._sessionService) {
             throw new SDKError(`hasAccess can only be called if 'sessionDomain' is configured`);
         }
-        if (!userId) {
+        if (!userId && !this._identity) {
             throw new SDKError(`'userId' must be specified`);
         }
         if (!Array.isArray(productIds)) {
             throw new SDKError(`'productIds' must be an array`);
         }
+        if (!userId) {
+            userId = await this._sessionUserId('hasAccess', productIds);
+        }
 
         const sortedIds = productIds.sort();
         const cacheKey = this._accessCacheKey(productIds, userId);
+        await this._cacheReady;
+        const previous = this._accessResults[cacheKey];
         let data = this.cache.get(cacheKey);
         if (!data) {
-            data = await this._sessionService.get(`/hasAccess/${sortedIds.join(',')}`);
-            const expiresSeconds = data.ttl;
-            this.cache.set(cacheKey, data, expiresSeconds * 1000);
+            if (previous && previous.entitled && previous.expiresAt <= Date.now()) {
+                /**
+                 * Emitted when a result that said the user has access has run out of the cache. It
+                 * is emitted by the {@link Monetization#hasAccess} call that checks it again
+                 * @event Monetization#accessExpired
+                 * @type {object}
+                 * @property {string[]} ids - The product ids
+                 */
+                this.emit('accessExpired', { ids: sortedIds });
+            }
+            try {
+                data = await this._sessionService.get(`/hasAccess/${sortedIds.join(',')}`);
+            } catch (err) {
+                data = this._staleAccessResult(cacheKey, sortedIds, userId, err);
+            }
+            if (!data.stale) {
+                const expiresSeconds = data.ttl;
+                this.cache.set(cacheKey, data, expiresSeconds * 1000);
+                this._accessResults[cacheKey] = { entitled: !!data.entitled, expiresAt: Date.now() + expiresSeconds * 1000 };
+                this._keepForGracePeriod(cacheKey, data);
+            }
+        } else if (!previous) {
+            // cached on an earlier page, so this is when it expires at the latest
+            this._accessResults[cacheKey] = { entitled: !!data.entitled, expiresAt: Date.now() + data.ttl * 1000 };
+        }
+
+        if (previous && !previous.entitled && data.entitled) {
+            /**
+             * Emitted when the user gets access to a product set they didn't have access to at the
+             * last check, like after a purchase
+             * @event Monetization#accessGranted
+             * @type {object}
+             * @property {string[]} ids - The product ids
+             * @property {object} data - The response from Schibsted account
+             */
+            this.emit('accessGranted', { ids: sortedIds, data });
+        } else if (previous && previous.entitled && !data.entitled) {
+            /**
+             * Emitted when the user has lost access to a product set they had access to at the
+             * last check
+             * @event Monetization#accessRevoked
+             * @type {object}
+             * @property {string[]} ids - The product ids
+             * @property {object} data - The response from Schibsted account
+             */
+            this.emit('accessRevoked', { ids: sortedIds, data });
         }
 
         if (!data.entitled) {
@@ -113,6 +279,170 @@ export class Monetization extends EventEmitter {
         return data;
     }
 
+    /**
+     * @summary Keep checking if the user has access to a set of products or features
+     * @description Checks right away, then again whenever the result runs out of the cache, and
+     * when a purchase flow of `payment` comes back to the page. Listen to
+     * {@link Monetization#event:accessGranted}, {@link Monetization#event:accessRevoked} and
+     * {@link Monetization#event:accessExpired} for the changes. Failed checks are emitted as
+     * `error` and tried again later
+     * @param {string[]} productIds - which products/features to check
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to check the user of its session each time
+     * @param {object} [options]
+     * @param {Payment} [options.payment] - Check again when its purchase flows come back, also
+     * to this page load after {@link Payment#redirectToPurchase}
+     * @fires Monetization#accessGranted
+     * @fires Monetization#accessRevoked
+     * @fires Monetization#accessExpired
+     * @fires Monetization#error
+     * @throws {SDKError} - If the input is incorrect
+     * @returns {function} - Call it to stop watching
+     */
+    watchAccess(productIds, userId, { payment } = {}) {
+        assert(this._sessionService, `watchAccess can only be called if 'sessionDomain' is configured`);
+        assert(userId || this._identity, `'userId' must be specified`);
+        assert(Array.isArray(productIds) && productIds.length > 0, `'productIds' must be a non empty array`);
+        assert(!payment || isFunction(payment.on), 'payment must be a Payment instance');
+
+        const ids = productIds.slice().sort();
+        // without a userId, the user of the session, as of the last check
+        let checkedUserId = userId || null;
+        let timer = null;
+        let stopped = false;
+
+        const check = async () => {
+            clearTimeout(timer);
+            try {
+                if (!userId) {
+                    checkedUserId = null;
+                    checkedUserId = await this._sessionUserId('hasAccess', ids);
+                }
+                await this.hasAccess(ids.slice(), checkedUserId);
+            } catch (err) {
+                /**
+                 * Emitted when a check in the background fails: one by
+                 * {@link Monetization#watchAccess}, a check of a stale result of the grace mode, or
+                 * a check that is run again on login
+                 * @event Monetization#error
+                 */
+                this.emit('error', err);
+            }
+            if (stopped) {
+                return;
+            }
+            const result = checkedUserId && this._accessResults[this._accessCacheKey(ids, checkedUserId)];
+            const expiresIn = result ? result.expiresAt - Date.now() : 0;
+            // a purchase may have started another check while this one was running
+            clearTimeout(timer);
+            timer = setTimeout(check, expiresIn > 0 ? expiresIn : ACCESS_RETRY_INTERVAL);
+        };
+        const onPurchaseReturn = () => {
+            if (checkedUserId) {
+                this.clearCachedAccessResult(ids.slice(), checkedUserId);
+            }
+            check();
+        };
+
+        if (payment) {
+            payment.on('purchaseReturn', onPurchaseReturn);
+        }
+        // A purchase flow that redirected the page comes back to a new page load, and then the
+        // purchase return checks
+        if (!payment || !isFunction(payment.detectPurchaseReturn) || !payment.detectPurchaseReturn()) {
+            check();
+        }
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            if (payment) {
+                payment.off('purchaseReturn', onPurchaseReturn);
+            }
+        };
+    }
+
+    /**
+     * Checks which of a set of products or features the user has access to. Products that were
+     * checked before are answered from the cache, and the rest are checked in one request. If the
+     * response doesn't tell which of them are allowed, they are checked one at a time. Each
+     * product is cached on its own, for the `ttl` of the response it came in
+     * @param {string[]} productIds - which products/features to check
+     * @param {number} [userId] - id of currently logged in user. Can be left out if the `identity`
+     * option is set, to use the user of its session
+     * @throws {SDKError} - If the input is incorrect, or a network call fails in any way
+     * (this will happen if, say, the user is not logged in)
+     * @returns {Promise<Object<string, boolean>>} Whether the user has access, by product id
+     */
+    async hasAccessBatch(productIds, userId) {
+        if (!this._sessionService) {
+            throw new SDKError(`hasAccessBatch can only be called if 'sessionDomain' is configured`);
+        }
+        if (!userId && !this._identity) {
+            throw new SDKError(`'userId' must be specified`);
+        }
+        if (!Array.isArray(productIds) || !productIds.every(isNonEmptyString)) {
+            throw new SDKError(`'productIds' must be an array of product ids`);
+        }
+        if (!userId) {
+            userId = await this._sessionUserId('hasAccessBatch', productIds);
+        }
+
+        await this._cacheReady;
+        const result = {};
+        const missing = [];
+        productIds.forEach((productId) => {
+            const entitled = this._cachedProductAccess(productId, userId);
+            if (typeof entitled === 'boolean') {
+                result[productId] = entitled;
+            } else if (!missing.includes(productId)) {
+                missing.push(productId);
+            }
+        });
+        if (missing.length === 0) {
+            return result;
+        }
+
+        const sortedIds = missing.sort();
+        const data = await this._sessionService.get(`/hasAccess/${sortedIds.join(',')}`);
+        if (data.entitled && !Array.isArray(data.allowedFeatures) && sortedIds.length > 1) {
+            // without the list of allowed features it can't be told which of the products the
+            // user has access to, so check them one at a time
+            const results = await Promise.all(sortedIds.map(productId => this.hasAccessBatch([productId], userId)));
+            return Object.assign(result, ...results);
+        }
+        // a single product may be answered without the list of allowed features
+        const isAllowed = Array.isArray(data.allowedFeatures)
+            ? productId => data.allowedFeatures.includes(productId)
+            : () => true;
+        sortedIds.forEach((productId) => {
+            result[productId] = !!data.entitled && isAllowed(productId);
+            this.cache.set(this._productAccessCacheKey(productId, userId), result[productId], data.ttl * 1000);
+        });
+
+        if (data.entitled) {
+            this.emit('hasAccess', { ids: sortedIds, data });
+        }
+        return result;
+    }
+
+    /**
+     * Get the cached access to one product, as cached by {@link Monetization#hasAccessBatch} or
+     * {@link Monetization#hasAccess}
+     * @private
+     * @param {string} productId
+     * @param {number} userId
+     * @returns {boolean|null} - null if it's not cached
+     */
+    _cachedProductAccess(productId, userId) {
+        const entitled = this.cache.get(this._productAccessCacheKey(productId, userId));
+        if (typeof entitled === 'boolean') {
+            return entitled;
+        }
+        const data = this.cache.get(this._accessCacheKey([productId], userId));
+        return data ? !!data.entitled : null;
+    }
+
     /**
      * Removes the cached access result.
      * @param {array} productIds - which products/features to check
@@ -121,6 +451,150 @@ export class Monetization extends EventEmitter {
      */
     clearCachedAccessResult(productIds, userId) {
         this.cache.delete(this._accessCacheKey(productIds, userId));
+        productIds.forEach(productId => this.cache.delete(this._productAccessCacheKey(productId, userId)));
+    }
+
+    /**
+     * Removes the cached access results of all products and users, including the ones kept for
+     * the grace mode. Done automatically on logout and when the user changes if the `identity`
+     * option is set
+     * @returns {void}
+     */
+    clearAllCachedAccessResults() {
+        this._accessResults = {};
+        this._staleChecks = {};
+        this.cache.clear();
+        if (this._graceCache) {
+            this._graceCache.clear();
+        }
+    }
+
+    /**
+     * Keep a positive result for the grace mode, or forget the kept one if the user no longer has
+     * access
+     * @private
+     * @param {string} cacheKey
+     * @param {object} data - The response from Schibsted account
+     * @returns {void}
+     */
+    _keepForGracePeriod(cacheKey, data) {
+        if (!this._graceCache) {
+            return;
+        }
+        if (data.entitled) {
+            this._graceCache.set(cacheKey, { data, checkedAt: Date.now() }, this.gracePeriod);
+        } else {
+            this._graceCache.delete(cacheKey);
+        }
+    }
+
+    /**
+     * Answer a failed check with the result kept for the grace mode, and check again later
+     * @private
+     * @param {string} cacheKey
+     * @param {string[]} ids
+     * @param {number} userId
+     * @param {*} err - Why the check failed
+     * @throws {*} - `err`, if the grace mode can't answer
+     * @returns {object} - The kept result, with `stale` set to `true`
+     */
+    _staleAccessResult(cacheKey, ids, userId, err) {
+        const kept = this._graceCache && isTransientFailure(err) ? this._graceCache.get(cacheKey) : null;
+        if (!kept) {
+            throw err;
+        }
+        this._logger.warn('access_stale', 'Serving an access result from the grace period', {
+            ids,
+            checkedAt: kept.checkedAt,
+        });
+        if (!this._accessResults[cacheKey]) {
+            // it ran out of the cache when its ttl was up
+            this._accessResults[cacheKey] = { entitled: true, expiresAt: kept.checkedAt + kept.data.ttl * 1000 };
+        }
+        this._staleChecks[cacheKey] = { ids: ids.slice(), userId };
+        if (!this._staleRefreshTimer) {
+            this._staleRefreshTimer = setTimeout(() => this._refreshStaleAccess(), ACCESS_RETRY_INTERVAL);
+        }
+        return Object.assign({}, kept.data, { stale: true });
+    }
+
+    /**
+     * Run the checks that were answered by the grace mode again. Changes are emitted as
+     * `accessGranted` and `accessRevoked` events, and failures as `error` events
+     * @private
+     * @fires Monetization#accessGranted
+     * @fires Monetization#accessRevoked
+     * @fires Monetization#error
+     * @returns {void}
+     */
+    _refreshStaleAccess() {
+        clearTimeout(this._staleRefreshTimer);
+        this._staleRefreshTimer = null;
+        const checks = Object.keys(this._staleChecks).map(key => this._staleChecks[key]);
+        this._staleChecks = {};
+        checks.forEach(({ ids, userId }) => {
+            this.hasAccess(ids.slice(), userId).catch(err => this.emit('error', err));
+        });
+    }
+
+    /**
+     * Stop listening to the browser and the `identity` option, and stop checking the results of
+     * the grace mode again. Call it when the instance is no longer used
+     * @returns {void}
+     */
+    destroy() {
+        clearTimeout(this._staleRefreshTimer);
+        this._staleRefreshTimer = null;
+        this._staleChecks = {};
+        const window = this._window;
+        if (window && isFunction(window.removeEventListener)) {
+            window.removeEventListener('online', this._onOnline);
+        }
+        if (this._identity) {
+            this._identity.off('logout', this._onSessionEnd);
+            this._identity.off('userChange', this._onSessionEnd);
+            this._identity.off('login', this._onLogin);
+        }
+    }
+
+    /**
+     * Get the id of the user logged in to the session of `identity`. If nobody is logged in, the
+     * check is run again on the next login
+     * @private
+     * @param {string} method - `hasAccess` or `hasAccessBatch`
+     * @param {string[]} productIds
+     * @throws {SDKError} - With `code` set to `not_logged_in` if there is no user in the session,
+     * or the error of {@link Identity#hasSession}
+     * @returns {Promise<number>}
+     */
+    async _sessionUserId(method, productIds) {
+        const ids = productIds.slice().sort();
+        let session;
+        try {
+            session = await this._identity.hasSession();
+        } catch (err) {
+            this._pendingChecks[`${method}:${ids}`] = { method, ids };
+            throw err;
+        }
+        if (!session || !session.userId) {
+            this._pendingChecks[`${method}:${ids}`] = { method, ids };
+            throw new SDKError('The user is not logged in', { code: 'not_logged_in' });
+        }
+        return session.userId;
+    }
+
+    /**
+     * Run the checks that failed because nobody was logged in again. Their results are emitted as
+     * `hasAccess` events, and failures as `error` events
+     * @private
+     * @returns {void}
+     */
+    _rerunPendingChecks() {
+        const checks = Object.keys(this._pendingChecks).map(key => this._pendingChecks[key]);
+        this._pendingChecks = {};
+        checks.forEach(({ method, ids }) => {
+            this[method](ids.slice()).catch(err => this.emit('error', err));
+        });
     }
 
     /**
@@ -134,6 +608,18 @@ export class Monetization extends EventEmitter {
         return `prd_${productIds.sort()}_${userId}`;
     }
 
+    /**
+     * Compute the cache key of the access to one product, as cached by
+     * {@link Monetization#hasAccessBatch}
+     * @param {string} productId
+     * @param {number} userId - id of currently logged in user
+     * @returns {string}
+     * @private
+     */
+    _productAccessCacheKey(productId, userId) {
+        return `prd-batch_${productId}_${userId}`;
+    }
+
     /**
      * Get the url for the end user to review the subscriptions
      * @param {string} [redirectUri=this.redirectUri]
@@ -0,0 +1,99 @@
+/**
+ * Decode a JWT without verifying it
+ * @memberof core
+ * @param {string} token
+ * @throws {SDKError} - With `code` set to `invalid_token` if it's not a JWT
+ * @returns {{header: object, payload: object, signingInput: string, signature: Uint8Array}}
+ */
+export function decodeJwt(token: string): {
+    header: any;
+    payload: any;
+    signingInput: string;
+    signature: Uint8Array;
+};
+/**
+ * Find the key in a JWKS that a JWT was signed with
+ * @memberof core
+ * @param {object} jwks - JSON Web Key Set {@link https://tools.ietf.org/html/rfc7517#section-5}
+ * @param {object} header - The JWT header
+ * @returns {object|null} - The JWK
+ */
+export function findJwk(jwks: any, header: any): any | null;
+/**
+ * Verify the signature of a decoded JWT with WebCrypto
+ * @memberof core
+ * @param {object} jwt - As returned by {@link decodeJwt}
+ * @param {object} jwk - The public key
+ * @throws {SDKError} - With `code` set to `invalid_token` if the algorithm isn't supported
+ * @returns {Promise<boolean>}
+ */
+export function verifyJwtSignature(jwt: any, jwk: any): Promise<boolean>;
+/**
+ * Validate the claims of an ID token
+ * {@link https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation}
+ * @memberof core
+ * @param {IdTokenClaims} claims
+ * @param {object} options
+ * @param {string} options.issuer - The `issuer` from the discovery document
+ * @param {string} options.clientId
+ * @param {number} options.now - Current time in seconds since the Unix Epoch
+ * @param {number} options.leeway - Seconds of clock skew to allow
+ * @param {string|null} [options.nonce] - Expected nonce. Not checked if undefined
+ * @param {string[]} [options.acrValues] - The `acr` claim must be one of these
+ * @param {string[]} [options.amr] - The `amr` claim must contain all of these
+ * @param {number} [options.maxAge] - Max seconds since the user authenticated
+ * @throws {SDKError} - With `code` set to `invalid_token` if any claim is invalid
+ * @returns {void}
+ */
+export function validateIdTokenClaims(claims: IdTokenClaims, { issuer, clientId, now, leeway, nonce, acrValues, amr, maxAge }: {
+    issuer: string;
+    clientId: string;
+    now: number;
+    leeway: number;
+    nonce?: string | null;
+    acrValues?: string[];
+    amr?: string[];
+    maxAge?: number;
+}): void;
+/**
+ * Claims of a validated ID token
+ */
+export type IdTokenClaims = {
+    /**
+     * - Issuer
+     */
+    iss: string;
+    /**
+     * - The user's id
+     */
+    sub: string;
+    /**
+     * - Audience, which includes your client id
+     */
+    aud: string | string[];
+    /**
+     * - Expiry time, in seconds since the Unix Epoch
+     */
+    exp: number;
+    /**
+     * - Issue time, in seconds since the Unix Epoch
+     */
+    iat: number;
+    /**
+     * - When the user last authenticated, in seconds since the Unix Epoch
+     */
+    auth_time?: number;
+    nonce?: string;
+    /**
+     * - Authentication Context Class Reference
+     */
+    acr?: string;
+    /**
+     * - Authentication Methods References, like `password`, `otp` or `sms`
+     */
+    amr?: string[];
+    /**
+     * - Authorized party
+     */
+    azp?: string;
+};
@@ -0,0 +1,160 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+/**
+ * @summary Decoding and validation of OpenID Connect ID tokens
+ * {@link https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation}
+ * @private
+ */
+
+import SDKError from './SDKError.js';
+import { base64UrlDecode } from './crypto.js';
+import { cloneDefined } from './object.js';
+import { isNonEmptyString, isObject, isStr } from './validate.js';
+
+/**
+ * WebCrypto parameters for the JWS algorithms we accept. Symmetric algorithms and `none` are
+ * deliberately missing
+ * @private
+ */
+const ALGORITHMS = {
+    RS256: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+    RS384: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+    RS512: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+    ES256: { importParams: { name: 'ECDSA', namedCurve: 'P-256' }, verifyParams: { name: 'ECDSA', hash: 'SHA-256' } },
+    ES384: { importParams: { name: 'ECDSA', namedCurve: 'P-384' }, verifyParams: { name: 'ECDSA', hash: 'SHA-384' } },
+    ES512: { importParams: { name: 'ECDSA', namedCurve: 'P-521' }, verifyParams: { name: 'ECDSA', hash: 'SHA-512' } },
+};
+
+/**
+ * Claims of a validated ID token
+ * @typedef {object} IdTokenClaims
+ * @property {string} iss - Issuer
+ * @property {string} sub - The user's id
+ * @property {string|string[]} aud - Audience, which includes your client id
+ * @property {number} exp - Expiry time, in seconds since the Unix Epoch
+ * @property {number} iat - Issue time, in seconds since the Unix Epoch
+ * @property {number} [auth_time] - When the user last authenticated, in seconds since the Unix Epoch
+ * @property {string} [nonce]
+ * @property {string} [acr] - Authentication Context Class Reference
+ * @property {string[]} [amr] - Authentication Methods References, like `password`, `otp` or `sms`
+ * @property {string} [azp] - Authorized party
+ */
+
+/**
+ * Create the error thrown for an invalid token
+ * @private
+ * @param {string} message
+ * @returns {SDKError}
+ */
+const invalidToken = (message) => new SDKError(message, { code: 'invalid_token' });
+
+/**
+ * Decode a JWT without verifying it
+ * @memberof core
+ * @param {string} token
+ * @throws {SDKError} - With `code` set to `invalid_token` if it's not a JWT
+ * @returns {{header: object, payload: object, signingInput: string, signature: Uint8Array}}
+ */
+export function decodeJwt(token) {
+    const parts = isStr(token) ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw invalidToken('The token is not a JWT');
+    }
+    try {
+        const decode = part => JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+        return {
+            header: decode(parts[0]),
+            payload: decode(parts[1]),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: base64UrlDecode(parts[2]),
+        };
+    } catch (e) {
+        throw invalidToken('The token is not a JWT');
+    }
+}
+
+/**
+ * Find the key in a JWKS that a JWT was signed with
+ * @memberof core
+ * @param {object} jwks - JSON Web Key Set {@link https://tools.ietf.org/html/rfc7517#section-5}
+ * @param {object} header - The JWT header
+ * @returns {object|null} - The JWK
+ */
+export function findJwk(jwks, header) {
+    const keys = isObject(jwks) && Array.isArray(jwks.keys) ? jwks.keys : [];
+    return keys.find(key => isObject(key)
+        && (!header.kid || key.kid === header.kid)
+        && (!key.use || key.use === 'sig')
+        && (!key.alg || key.alg === header.alg)) || null;
+}
+
+/**
+ * Verify the signature of a decoded JWT with WebCrypto
+ * @memberof core
+ * @param {object} jwt - As returned by {@link decodeJwt}
+ * @param {object} jwk - The public key
+ * @throws {SDKError} - With `code` set to `invalid_token` if the algorithm isn't supported
+ * @returns {Promise<boolean>}
+ */
+export async function verifyJwtSignature(jwt, jwk) {
+    const algorithm = ALGORITHMS[jwt.header.alg];
+    if (!algorithm) {
+        throw invalidToken(`Unsupported signing algorithm: ${jwt.header.alg}`);
+    }
+    // only the key material, so that other members (like key_ops) can't make the import fail
+    const { kty, n, e, crv, x, y } = jwk;
+    const key = await crypto.subtle.importKey('jwk', cloneDefined({ kty, n, e, crv, x, y }),
+        algorithm.importParams, false, ['verify']);
+    return crypto.subtle.verify(algorithm.verifyParams, key, jwt.signature,
+        new TextEncoder().encode(jwt.signingInput));
+}
+
+/**
+ * Validate the claims of an ID token
+ * {@link https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation}
+ * @memberof core
+ * @param {IdTokenClaims} claims
+ * @param {object} options
+ * @param {string} options.issuer - The `issuer` from the discovery document
+ * @param {string} options.clientId
+ * @param {number} options.now - Current time in seconds since the Unix Epoch
+ * @param {number} options.leeway - Seconds of clock skew to allow
+ * @param {string|null} [options.nonce] - Expected nonce. Not checked if undefined
+ * @param {string[]} [options.acrValues] - The `acr` claim must be one of these
+ * @param {string[]} [options.amr] - The `amr` claim must contain all of these
+ * @param {number} [options.maxAge] - Max seconds since the user authenticated
+ * @throws {SDKError} - With `code` set to `invalid_token` if any claim is invalid
+ * @returns {void}
+ */
+export function validateIdTokenClaims(claims, { issuer, clientId, now, leeway, nonce, acrValues, amr, maxAge }) {
+    if (!isObject(claims) || claims.iss !== issuer) {
+        throw invalidToken(`The ID token was not issued by ${issuer}`);
+    }
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audience.includes(clientId) || (audience.length > 1 && claims.azp !== clientId)) {
+        throw invalidToken('The ID token was not issued to this client');
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp + leeway < now) {
+        throw invalidToken('The ID token has expired');
+    }
+    if (Number.isFinite(claims.iat) && claims.iat - leeway > now) {
+        throw invalidToken('The ID token was issued in the future');
+    }
+    if (typeof nonce !== 'undefined' && (!isNonEmptyString(claims.nonce) || claims.nonce !== nonce)) {
+        throw invalidToken('The ID token nonce does not match any login in progress');
+    }
+    if (acrValues && !acrValues.includes(claims.acr)) {
+        throw invalidToken(`The ID token acr is not one of: ${acrValues.join(' ')}`);
+    }
+    const methods = Array.isArray(claims.amr) ? claims.amr : [];
+    if (amr && !amr.every(method => methods.includes(method))) {
+        throw invalidToken(`The ID token amr does not include: ${amr.join(' ')}`);
+    }
+    if (Number.isFinite(maxAge) && !(claims.auth_time + maxAge + leeway >= now)) {
+        throw invalidToken('The user authenticated too long ago');
+    }
+}
@@ -1,7 +1,9 @@
+import type { TinyEmitter } from 'tiny-emitter';
+
 /**
  * Provides features related to payment
  */
-export class Payment {
+export class Payment extends TinyEmitter {
     /**
      * @param {object} options
      * @param {string} options.clientId - Mandatory client id
@@ -23,6 +25,8 @@ export class Payment {
     redirectUri: string;
     window: any;
     publisher: string;
+    cache: Cache;
+    _interceptors: Interceptor[];
     /**
      * Set SPiD server URL
      * @private
@@ -39,6 +43,14 @@ export class Payment {
      */
     private _setBffServerUrl;
     _bff: RESTClient;
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor: Interceptor): () => void;
     /**
      * Close this.popup if it exists and is open
      * @private
@@ -60,6 +72,45 @@ export class Payment {
         preferPopup?: boolean;
         redirectUri?: string;
     }): Window;
+    /**
+     * @summary Send the user to a purchase flow in the current window
+     * @description Takes a url from {@link Payment#purchaseProductFlowUrl},
+     * {@link Payment#purchaseCampaignFlowUrl} or {@link Payment#purchasePaylinkUrl}, and remembers
+     * where the flow comes back to, so that {@link Payment#detectPurchaseReturn} can tell when it
+     * does
+     * @param {string} url - The url of the purchase flow
+     * @returns {void}
+     */
+    redirectToPurchase(url: string): void;
+    /**
+     * @summary Tell whether this page load is the return from a purchase flow
+     * @description A purchase flow started with {@link Payment#redirectToPurchase} comes back to
+     * a new page load, so call this once you listen to `purchaseReturn`.
+     * {@link Monetization#watchAccess} and {@link Paywall} do it for you. The return from a flow
+     * the page was sent to some other way can't be told apart from other page loads
+     * @param {string} [url=window.location.href] - The url of the page
+     * @fires Payment#purchaseReturn
+     * @returns {boolean} - true if the page is the return from a purchase flow
+     */
+    detectPurchaseReturn(url?: string): boolean;
+    /**
+     * Starts the flow for the paylink in a popup and waits for it to come back to `redirectUri`.
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked
+     * @async
+     * @param {object} options
+     * @param {string} options.paylink - The paylink
+     * @param {string} [options.redirectUri=this.redirectUri]
+     * @param {number} [options.timeout=600000] - Milliseconds to wait for the flow to finish
+     * @throws {SDKError} - With `code` set to `popup_blocked`, `popup_closed` or `popup_timeout`
+     * @fires Payment#purchaseReturn
+     * @returns {Promise<string>} - The full url the popup was redirected to
+     */
+    payWithPaylinkPopup({ paylink, redirectUri, timeout }: {
+        paylink: string;
+        redirectUri?: string;
+        timeout?: number;
+    }): Promise<string>;
     /**
      * Get the url for the end user to review the purchase history
      * @param {string} [redirectUri=this.redirectUri]
@@ -113,3 +164,5 @@ export class Payment {
 }
 export default Payment;
 import RESTClient from "./RESTClient.js";
+import { Interceptor } from "./RESTClient.js";
+import Cache from "./cache.js";
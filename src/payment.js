@@ -7,16 +7,23 @@
 import { assert, isNonEmptyString, isUrl, isStr } from './validate.js';
 import { urlMapper } from './url.js';
 import { ENDPOINTS } from './config.js';
+import EventEmitter from 'tiny-emitter';
+import Cache, { cacheNamespace } from './cache.js';
 import * as popup from './popup.js';
-import RESTClient from './RESTClient.js';
+import RESTClient, { addInterceptor } from './RESTClient.js';
+import SDKError from './SDKError.js';
 import * as spidTalk from './spidTalk.js';
 
 const globalWindow = () => window;
 
+// Where a purchase flow that redirected the page will come back to, until it does
+const PENDING_PURCHASE_CACHE_KEY = 'pending-purchase';
+const PENDING_PURCHASE_TTL = 1000 * 60 * 60;
+
 /**
  * Provides features related to payment
  */
-export class Payment {
+export class Payment extends EventEmitter {
     /**
      * @param {object} options
      * @param {string} options.clientId - Mandatory client id
@@ -28,6 +35,7 @@ export class Payment {
      * @throws {SDKError} - If any of options are invalid
      */
     constructor({ clientId, redirectUri, env = 'PRE', publisher, window = globalWindow() }) {
+        super();
         spidTalk.emulate(window);
         assert(isNonEmptyString(clientId), 'clientId parameter is required');
 
@@ -35,6 +43,10 @@ export class Payment {
         this.redirectUri = redirectUri;
         this.window = window;
         this.publisher = publisher;
+        this.cache = new Cache(() => window && window.sessionStorage, {
+            namespace: `${cacheNamespace(env, clientId)}:payment`,
+        });
+        this._interceptors = [];
         this._setSpidServerUrl(env);
         this._setBffServerUrl(env);
     }
@@ -49,6 +61,7 @@ export class Payment {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._spid = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.SPiD),
+            interceptors: this._interceptors,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
@@ -63,10 +76,22 @@ export class Payment {
         assert(isStr(url), `url parameter is invalid: ${url}`);
         this._bff = new RESTClient({
             serverUrl: urlMapper(url, ENDPOINTS.BFF),
+            interceptors: this._interceptors,
             defaultParams: { client_id: this.clientId, redirect_uri: this.redirectUri },
         });
     }
 
+    /**
+     * @summary Add an interceptor to all requests this instance makes to Schibsted account
+     * @description Use it to add tracing headers, measure latency or rewrite urls. See
+     * {@link Interceptor} for the hooks
+     * @param {Interceptor} interceptor
+     * @returns {function} - Call it to remove the interceptor again
+     */
+    useInterceptor(interceptor) {
+        return addInterceptor(this._interceptors, interceptor);
+    }
+
     /**
      * Close this.popup if it exists and is open
      * @private
@@ -101,10 +126,87 @@ export class Payment {
                 return this.popup;
             }
         }
-        this.window.location.href = url;
+        this.redirectToPurchase(url);
         return null;
     }
 
+    /**
+     * @summary Send the user to a purchase flow in the current window
+     * @description Takes a url from {@link Payment#purchaseProductFlowUrl},
+     * {@link Payment#purchaseCampaignFlowUrl} or {@link Payment#purchasePaylinkUrl}, and remembers
+     * where the flow comes back to, so that {@link Payment#detectPurchaseReturn} can tell when it
+     * does
+     * @param {string} url - The url of the purchase flow
+     * @returns {void}
+     */
+    redirectToPurchase(url) {
+        assert(isUrl(url), `redirectToPurchase(): url is invalid`);
+        const redirectUri = new URL(url).searchParams.get('redirect_uri') || this.redirectUri;
+        if (isUrl(redirectUri)) {
+            this.cache.set(PENDING_PURCHASE_CACHE_KEY, { redirectUri }, PENDING_PURCHASE_TTL);
+        }
+        this.window.location.href = url;
+    }
+
+    /**
+     * @summary Tell whether this page load is the return from a purchase flow
+     * @description A purchase flow started with {@link Payment#redirectToPurchase} comes back to
+     * a new page load, so call this once you listen to `purchaseReturn`.
+     * {@link Monetization#watchAccess} and {@link Paywall} do it for you. The return from a flow
+     * the page was sent to some other way can't be told apart from other page loads
+     * @param {string} [url=window.location.href] - The url of the page
+     * @fires Payment#purchaseReturn
+     * @returns {boolean} - true if the page is the return from a purchase flow
+     */
+    detectPurchaseReturn(url = this.window.location.href) {
+        const pending = this.cache.get(PENDING_PURCHASE_CACHE_KEY);
+        if (!pending || !isUrl(url) || !url.startsWith(pending.redirectUri)) {
+            return false;
+        }
+        this.cache.delete(PENDING_PURCHASE_CACHE_KEY);
+        this.emit('purchaseReturn', { url });
+        return true;
+    }
+
+    /**
+     * Starts the flow for the paylink in a popup and waits for it to come back to `redirectUri`.
+     * This function needs to be called in response to a user event (like click or tap), otherwise
+     * the popup will be blocked
+     * @async
+     * @param {object} options
+     * @param {string} options.paylink - The paylink
+     * @param {string} [options.redirectUri=this.redirectUri]
+     * @param {number} [options.timeout=600000] - Milliseconds to wait for the flow to finish
+     * @throws {SDKError} - With `code` set to `popup_blocked`, `popup_closed` or `popup_timeout`
+     * @fires Payment#purchaseReturn
+     * @returns {Promise<string>} - The full url the popup was redirected to
+     */
+    async payWithPaylinkPopup({ paylink, redirectUri = this.redirectUri, timeout }) {
+        assert(isUrl(redirectUri), `payWithPaylinkPopup(): redirectUri is invalid`);
+        this._closePopup();
+        const url = this.purchasePaylinkUrl(paylink, redirectUri);
+        this.popup = popup.open(this.window, url, 'Schibsted account', { width: 360, height: 570 });
+        const payWindow = this.popup;
+        if (!payWindow) {
+            throw new SDKError('The payment popup was blocked', { code: 'popup_blocked' });
+        }
+        let returnUrl;
+        try {
+            returnUrl = await popup.waitForRedirect(payWindow, redirectUri, { timeout });
+        } finally {
+            this._closePopup();
+        }
+        /**
+         * Emitted when a purchase flow has come back to `redirectUri`, in a popup or, as found by
+         * {@link Payment#detectPurchaseReturn}, in the current window
+         * @event Payment#purchaseReturn
+         * @type {object}
+         * @property {string} url - The full url the flow was redirected to
+         */
+        this.emit('purchaseReturn', { url: returnUrl });
+        return returnUrl;
+    }
+
     /**
      * Get the url for the end user to review the purchase history
      * @param {string} [redirectUri=this.redirectUri]
@@ -0,0 +1,162 @@
+import type { TinyEmitter } from 'tiny-emitter';
+
+/**
+ * Puts together the session, access and purchase checks a paywall needs: is the user logged in,
+ * do they have access to the products, and if not, where do they buy them
+ */
+export class Paywall extends TinyEmitter {
+    /**
+     * @param {object} options
+     * @param {Identity} options.identity
+     * @param {Monetization} options.monetization - Must have a `sessionDomain`
+     * @param {Payment} options.payment
+     * @param {string[]} options.productIds - The user has access if they have access to any of them
+     * @param {PurchaseConfig} [options.purchase] - What `purchase()` buys
+     * @param {LoginOptions} [options.loginOptions] - Options for `login()`. With `preferPopup`, the
+     * user logs in with {@link Identity#loginWithPopup} and the paywall is checked again right away
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ identity, monetization, payment, productIds, purchase, loginOptions }: {
+        identity: Identity;
+        monetization: Monetization;
+        payment: Payment;
+        productIds: string[];
+        purchase?: PurchaseConfig;
+        loginOptions?: LoginOptions;
+    });
+    identity: Identity;
+    monetization: Monetization;
+    payment: Payment;
+    productIds: string[];
+    purchaseConfig: PurchaseConfig;
+    loginOptions: LoginOptions;
+    state: PaywallState | null;
+    result: PaywallResult | null;
+    _userId: number | null;
+    _checkInProgress: Promise<PaywallResult> | null;
+    _checks: number;
+    _purchaseReturned: boolean;
+    _loggedIn: boolean;
+    _sessionReads: number;
+    _onLogin: () => void;
+    _onSessionEnd: (session?: object) => void;
+    _onPurchaseReturn: () => void;
+    /**
+     * @summary Find out what the paywall should show
+     * @description Checks {@link Identity#isLoggedIn}, then {@link Monetization#hasAccess}. Users
+     * that are logged in but haven't accepted the terms of the site are `anonymous`, since logging
+     * in takes them through that. The paywall is checked again by itself when the user logs in,
+     * logs out or changes, and when a checkout comes back. A check that is still running then
+     * gives the result of the new check
+     * @fires Paywall#stateChange
+     * @return {Promise<PaywallResult>} - Never rejects; failures give the `error` state
+     */
+    check(): Promise<PaywallResult>;
+    /**
+     * Start a new check, even if one is running
+     * @private
+     * @return {Promise<PaywallResult>}
+     */
+    private _recheck;
+    /**
+     * Run the checks
+     * @private
+     * @return {Promise<PaywallResult>}
+     */
+    private _check;
+    /**
+     * Create a result with the actions
+     * @private
+     * @param {string} state
+     * @param {object} [fields]
+     * @return {PaywallResult}
+     */
+    private _result;
+    /**
+     * Keep a result and emit the transition to it
+     * @private
+     * @param {PaywallResult} result
+     * @return {void}
+     */
+    private _setResult;
+    /**
+     * @summary Log the user in
+     * @description With `preferPopup` in `loginOptions`, this needs to be called in response to a
+     * user event (like click or tap), otherwise the popup will be blocked. Without it, the page is
+     * redirected to the login and the paywall is checked when the user comes back
+     * @return {Promise<PaywallResult|null>} - The result after logging in with a popup, or `null`
+     * if the page is being redirected
+     */
+    login(): Promise<PaywallResult | null>;
+    /**
+     * Get the url of the checkout for the `purchase` option
+     * @return {string}
+     */
+    purchaseUrl(): string;
+    /**
+     * @summary Send the user to the checkout for the `purchase` option
+     * @description Done with {@link Payment#redirectToPurchase}, so the paywall that is created
+     * on the page the user comes back to notices the return and checks with a clean cache
+     * @return {string} - The url of the checkout
+     */
+    purchase(): string;
+    /**
+     * Stop checking the paywall again on session and purchase events
+     * @return {void}
+     */
+    destroy(): void;
+}
+export default Paywall;
+export type PaywallState = 'anonymous' | 'loggedInNoAccess' | 'entitled' | 'error';
+export type PurchaseConfig = {
+    /**
+     * - The product to buy. Defaults to the first of the paywall's
+     * `productIds`
+     */
+    productId?: string;
+    /**
+     * - Buy the product through this campaign, with
+     * {@link Payment#purchaseCampaignFlowUrl} instead of {@link Payment#purchaseProductFlowUrl}
+     */
+    campaignId?: string;
+    /**
+     * - Voucher code for the campaign
+     */
+    voucherCode?: string;
+    /**
+     * - Where to come back to after the checkout. Defaults to the
+     * `redirectUri` of the `Payment` instance
+     */
+    redirectUri?: string;
+};
+export type PaywallResult = {
+    /**
+     * - `anonymous`, `loggedInNoAccess`, `entitled` or `error`
+     */
+    state: PaywallState;
+    /**
+     * - The products of the paywall
+     */
+    productIds: string[];
+    /**
+     * - The response of {@link Monetization#hasAccess} if `entitled`
+     */
+    data?: any;
+    /**
+     * - What went wrong if `error`
+     */
+    error?: Error;
+    /**
+     * - Log the user in. See
+     * {@link Paywall#login}
+     */
+    login: () => Promise<PaywallResult | null>;
+    /**
+     * - Go to the checkout. See {@link Paywall#purchase}
+     */
+    purchase: () => string;
+};
+import Identity from "./identity.js";
+import { LoginOptions } from "./identity.js";
+import Monetization from "./monetization.js";
+import Payment from "./payment.js";
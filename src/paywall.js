@@ -0,0 +1,285 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isFunction, isNonEmptyString, isObject } from './validate.js';
+import EventEmitter from 'tiny-emitter';
+
+/**
+ * @typedef {object} PurchaseConfig
+ * @property {string} [productId] - The product to buy. Defaults to the first of the paywall's
+ * `productIds`
+ * @property {string} [campaignId] - Buy the product through this campaign, with
+ * {@link Payment#purchaseCampaignFlowUrl} instead of {@link Payment#purchaseProductFlowUrl}
+ * @property {string} [voucherCode] - Voucher code for the campaign
+ * @property {string} [redirectUri] - Where to come back to after the checkout. Defaults to the
+ * `redirectUri` of the `Payment` instance
+ */
+
+/**
+ * @typedef {object} PaywallResult
+ * @property {string} state - `anonymous`, `loggedInNoAccess`, `entitled` or `error`
+ * @property {string[]} productIds - The products of the paywall
+ * @property {object} [data] - The response of {@link Monetization#hasAccess} if `entitled`
+ * @property {Error} [error] - What went wrong if `error`
+ * @property {function(): Promise<PaywallResult|null>} login - Log the user in. See
+ * {@link Paywall#login}
+ * @property {function(): string} purchase - Go to the checkout. See {@link Paywall#purchase}
+ */
+
+/**
+ * Puts together the session, access and purchase checks a paywall needs: is the user logged in,
+ * do they have access to the products, and if not, where do they buy them
+ */
+export class Paywall extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {Identity} options.identity
+     * @param {Monetization} options.monetization - Must have a `sessionDomain`
+     * @param {Payment} options.payment
+     * @param {string[]} options.productIds - The user has access if they have access to any of them
+     * @param {PurchaseConfig} [options.purchase] - What `purchase()` buys
+     * @param {LoginOptions} [options.loginOptions] - Options for `login()`. With `preferPopup`, the
+     * user logs in with {@link Identity#loginWithPopup} and the paywall is checked again right away
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({
+        identity,
+        monetization,
+        payment,
+        productIds,
+        purchase = {},
+        loginOptions = {},
+    }) {
+        super();
+        assert(isObject(identity) && isFunction(identity.isLoggedIn) && isFunction(identity.on),
+            'identity parameter is not a valid Identity instance');
+        assert(isObject(monetization) && isFunction(monetization.hasAccess),
+            'monetization parameter is not a valid Monetization instance');
+        assert(isObject(payment) && isFunction(payment.redirectToPurchase) && isFunction(payment.on),
+            'payment parameter is not a valid Payment instance');
+        assert(Array.isArray(productIds) && productIds.length > 0 && productIds.every(isNonEmptyString),
+            'productIds must be a non empty array of product ids');
+        assert(isObject(purchase), 'purchase must be an object');
+        assert(!purchase.productId || isNonEmptyString(purchase.productId), 'purchase.productId must be a string');
+
+        this.identity = identity;
+        this.monetization = monetization;
+        this.payment = payment;
+        this.productIds = productIds.slice();
+        this.purchaseConfig = purchase;
+        this.loginOptions = loginOptions;
+        this.state = null;
+        this.result = null;
+        this._userId = null;
+        this._checkInProgress = null;
+        // Counts the checks, so a check that a newer one was started after can tell
+        this._checks = 0;
+        this._purchaseReturned = false;
+        // Whether the last session the paywall saw had a user
+        this._loggedIn = false;
+        // Counts the session reads of the running checks
+        this._sessionReads = 0;
+
+        // Identity emits login on every hasSession() call with a user, including the ones of the
+        // checks, so only a user that wasn't logged in before is checked again. A login that a check
+        // reads the session of is already part of its result
+        this._onLogin = () => {
+            const wasLoggedIn = this._loggedIn;
+            this._loggedIn = true;
+            if (!wasLoggedIn && this._sessionReads === 0) {
+                this._recheck();
+            }
+        };
+        this._onSessionEnd = (session) => {
+            this._loggedIn = Boolean(session && session.userId);
+            this._recheck();
+        };
+        this._onPurchaseReturn = () => {
+            this._purchaseReturned = true;
+            this._recheck();
+        };
+        identity.on('login', this._onLogin);
+        identity.on('logout', this._onSessionEnd);
+        identity.on('userChange', this._onSessionEnd);
+        payment.on('purchaseReturn', this._onPurchaseReturn);
+        if (isFunction(payment.detectPurchaseReturn)) {
+            payment.detectPurchaseReturn();
+        }
+    }
+
+    /**
+     * @summary Find out what the paywall should show
+     * @description Checks {@link Identity#isLoggedIn}, then {@link Monetization#hasAccess}. Users
+     * that are logged in but haven't accepted the terms of the site are `anonymous`, since logging
+     * in takes them through that. The paywall is checked again by itself when the user logs in,
+     * logs out or changes, and when a checkout comes back. A check that is still running then
+     * gives the result of the new check
+     * @fires Paywall#stateChange
+     * @return {Promise<PaywallResult>} - Never rejects; failures give the `error` state
+     */
+    check() {
+        if (this._checkInProgress) {
+            return this._checkInProgress;
+        }
+        const check = ++this._checks;
+        this._checkInProgress = this._check()
+            .then((result) => {
+                if (check !== this._checks) {
+                    // the session or access changed during the check, so the newer check is right
+                    return this._checkInProgress || this.result;
+                }
+                this._checkInProgress = null;
+                this._setResult(result);
+                return result;
+            });
+        return this._checkInProgress;
+    }
+
+    /**
+     * Start a new check, even if one is running
+     * @private
+     * @return {Promise<PaywallResult>}
+     */
+    _recheck() {
+        this._checkInProgress = null;
+        return this.check();
+    }
+
+    /**
+     * Run the checks
+     * @private
+     * @return {Promise<PaywallResult>}
+     */
+    async _check() {
+        try {
+            let loggedIn;
+            let userId = null;
+            this._sessionReads++;
+            try {
+                loggedIn = await this.identity.isLoggedIn();
+                this._loggedIn = loggedIn;
+                if (loggedIn) {
+                    userId = await this.identity.getUserId().catch(() => null);
+                }
+            } finally {
+                this._sessionReads--;
+            }
+            this._userId = userId;
+            if (!userId) {
+                return this._result('anonymous');
+            }
+            if (this._purchaseReturned) {
+                this._purchaseReturned = false;
+                this.monetization.clearCachedAccessResult(this.productIds.slice(), userId);
+            }
+            const data = await this.monetization.hasAccess(this.productIds.slice(), userId);
+            return data ? this._result('entitled', { data }) : this._result('loggedInNoAccess');
+        } catch (error) {
+            return this._result('error', { error });
+        }
+    }
+
+    /**
+     * Create a result with the actions
+     * @private
+     * @param {string} state
+     * @param {object} [fields]
+     * @return {PaywallResult}
+     */
+    _result(state, fields = {}) {
+        return Object.assign({
+            state,
+            productIds: this.productIds.slice(),
+            login: () => this.login(),
+            purchase: () => this.purchase(),
+        }, fields);
+    }
+
+    /**
+     * Keep a result and emit the transition to it
+     * @private
+     * @param {PaywallResult} result
+     * @return {void}
+     */
+    _setResult(result) {
+        const from = this.state;
+        this.state = result.state;
+        this.result = result;
+        if (from !== result.state) {
+            /**
+             * Emitted when the paywall goes to another state, like from `anonymous` to
+             * `loggedInNoAccess` when the user logs in, or to `entitled` after a purchase. The
+             * first check is a transition from `null`
+             * @event Paywall#stateChange
+             * @type {object}
+             * @property {string|null} from - The previous state
+             * @property {string} to - The new state
+             * @property {PaywallResult} result
+             */
+            this.emit('stateChange', { from, to: result.state, result });
+        }
+    }
+
+    /**
+     * @summary Log the user in
+     * @description With `preferPopup` in `loginOptions`, this needs to be called in response to a
+     * user event (like click or tap), otherwise the popup will be blocked. Without it, the page is
+     * redirected to the login and the paywall is checked when the user comes back
+     * @return {Promise<PaywallResult|null>} - The result after logging in with a popup, or `null`
+     * if the page is being redirected
+     */
+    async login() {
+        if (this.loginOptions.preferPopup) {
+            try {
+                await this.identity.loginWithPopup(this.loginOptions);
+            } catch (error) {
+                const result = this._result('error', { error });
+                this._setResult(result);
+                return result;
+            }
+            return this._recheck();
+        }
+        this.identity.login(this.loginOptions);
+        return null;
+    }
+
+    /**
+     * Get the url of the checkout for the `purchase` option
+     * @return {string}
+     */
+    purchaseUrl() {
+        const { productId = this.productIds[0], campaignId, voucherCode, redirectUri } = this.purchaseConfig;
+        if (campaignId) {
+            return this.payment.purchaseCampaignFlowUrl(campaignId, productId, voucherCode, redirectUri);
+        }
+        return this.payment.purchaseProductFlowUrl(productId, redirectUri);
+    }
+
+    /**
+     * @summary Send the user to the checkout for the `purchase` option
+     * @description Done with {@link Payment#redirectToPurchase}, so the paywall that is created
+     * on the page the user comes back to notices the return and checks with a clean cache
+     * @return {string} - The url of the checkout
+     */
+    purchase() {
+        const url = this.purchaseUrl();
+        this.payment.redirectToPurchase(url);
+        return url;
+    }
+
+    /**
+     * Stop checking the paywall again on session and purchase events
+     * @return {void}
+     */
+    destroy() {
+        this.identity.off('login', this._onLogin);
+        this.identity.off('logout', this._onSessionEnd);
+        this.identity.off('userChange', this._onSessionEnd);
+        this.payment.off('purchaseReturn', this._onPurchaseReturn);
+    }
+}
+
+export default Paywall;
@@ -8,3 +8,20 @@
  * @private
  */
 export function open(parentWindow: Window, url: string, windowName?: string, windowFeatures?: any): Window;
+/**
+ * Waits for a popup to be redirected back to `redirectUri`. Until then the popup is on another
+ * origin, so reading its location throws and we just keep polling
+ * @param {Window} popupWindow - A reference to the popup
+ * @param {string} redirectUri - The url (origin and path) that ends the flow in the popup
+ * @param {object} [options]
+ * @param {number} [options.timeout=600000] - Milliseconds to wait before giving up
+ * @param {number} [options.interval=250] - Milliseconds between each check of the popup
+ * @returns {Promise<string>} - The full url the popup was redirected to
+ * @throws {SDKError} - With `code` set to `popup_closed` if the user closes the popup, or
+ * `popup_timeout` if the flow doesn't finish in time
+ * @private
+ */
+export function waitForRedirect(popupWindow: Window, redirectUri: string, { timeout, interval }?: {
+    timeout?: number;
+    interval?: number;
+}): Promise<string>;
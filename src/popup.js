@@ -4,6 +4,7 @@
 
 import { assert, isObject, isUrl, isFunction } from './validate.js';
 import { cloneDefined } from './object.js';
+import SDKError from './SDKError.js';
 
 /**
  * Serializes an object to string.
@@ -57,3 +58,55 @@ export function open(parentWindow, url, windowName = '', windowFeatures = {}) {
     const features = serialize(mergedFeatures);
     return parentWindow.open(url, windowName, features);
 }
+
+/**
+ * Waits for a popup to be redirected back to `redirectUri`. Until then the popup is on another
+ * origin, so reading its location throws and we just keep polling
+ * @param {Window} popupWindow - A reference to the popup
+ * @param {string} redirectUri - The url (origin and path) that ends the flow in the popup
+ * @param {object} [options]
+ * @param {number} [options.timeout=600000] - Milliseconds to wait before giving up
+ * @param {number} [options.interval=250] - Milliseconds between each check of the popup
+ * @returns {Promise<string>} - The full url the popup was redirected to
+ * @throws {SDKError} - With `code` set to `popup_closed` if the user closes the popup, or
+ * `popup_timeout` if the flow doesn't finish in time
+ * @private
+ */
+export function waitForRedirect(popupWindow, redirectUri, { timeout = 1000 * 60 * 10, interval = 250 } = {}) {
+    assert(isObject(popupWindow), `popupWindow was supposed to be an object but it is ${popupWindow}`);
+    assert(isUrl(redirectUri), 'Invalid redirectUri for popup');
+
+    const target = new URL(redirectUri);
+    const isRedirect = (href) => {
+        const url = new URL(href);
+        return url.origin === target.origin && url.pathname === target.pathname;
+    };
+
+    return new Promise((resolve, reject) => {
+        let poller;
+        let timer;
+        const done = (settle, value) => {
+            clearInterval(poller);
+            clearTimeout(timer);
+            settle(value);
+        };
+
+        poller = setInterval(() => {
+            let href;
+            try {
+                href = popupWindow.location.href;
+            } catch (_) {
+                // still on another origin
+            }
+            if (href && isUrl(href) && isRedirect(href)) {
+                return done(resolve, href);
+            }
+            if (popupWindow.closed) {
+                done(reject, new SDKError('The popup was closed before the flow finished', { code: 'popup_closed' }));
+            }
+        }, interval);
+        timer = setTimeout(() => {
+            done(reject, new SDKError('Timed out waiting for the popup', { code: 'popup_timeout' }));
+        }, timeout);
+    });
+}
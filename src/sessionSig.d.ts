@@ -0,0 +1,41 @@
+/**
+ * Decode the `sig` field of a hasSession response, without verifying the signature
+ * @memberof core
+ * @param {string} sig
+ * @throws {SDKError} - With `code` set to `invalid_session` if it can't be decoded
+ * @returns {SessionSig}
+ */
+export function decodeSessionSig(sig: string): SessionSig;
+/**
+ * Check that a hasSession response has the same user and status as its signed payload. This
+ * catches changes to a cached session, but not a forged `sig`: that takes a verifier on a server
+ * @memberof core
+ * @param {HasSessionSuccessResponse} sessionData
+ * @returns {boolean}
+ */
+export function matchesSessionSig(sessionData: HasSessionSuccessResponse): boolean;
+/**
+ * Session fields that must be the same in the signed payload, when the payload has them
+ * @private
+ * @type {string[]}
+ */
+export const SIGNED_SESSION_FIELDS: string[];
+/**
+ * The signature and signed session of a `sig` field
+ */
+export type SessionSig = {
+    /**
+     * - The base64url encoded HMAC SHA-256 signature. It can only be
+     * checked with the client secret, so on a server
+     */
+    signature: string;
+    /**
+     * - The base64url encoded session that was signed
+     */
+    payload: string;
+    /**
+     * - The decoded session
+     */
+    session: any;
+};
+import { HasSessionSuccessResponse } from "./identity.js";
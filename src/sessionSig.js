@@ -0,0 +1,83 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+/**
+ * @summary Decoding of the `sig` field of hasSession responses
+ * {@link http://techdocs.spid.no/sdks/js/response-signature-and-validation/}
+ * @private
+ */
+
+import SDKError from './SDKError.js';
+import { base64UrlDecode } from './crypto.js';
+import { isObject, isStr } from './validate.js';
+
+/**
+ * Session fields that must be the same in the signed payload, when the payload has them
+ * @private
+ * @type {string[]}
+ */
+export const SIGNED_SESSION_FIELDS = ['result', 'userId', 'uuid', 'userStatus'];
+
+/**
+ * The signature and signed session of a `sig` field
+ * @typedef {object} SessionSig
+ * @property {string} signature - The base64url encoded HMAC SHA-256 signature. It can only be
+ * checked with the client secret, so on a server
+ * @property {string} payload - The base64url encoded session that was signed
+ * @property {object} session - The decoded session
+ */
+
+/**
+ * Decode the `sig` field of a hasSession response, without verifying the signature
+ * @memberof core
+ * @param {string} sig
+ * @throws {SDKError} - With `code` set to `invalid_session` if it can't be decoded
+ * @returns {SessionSig}
+ */
+export function decodeSessionSig(sig) {
+    const parts = isStr(sig) ? sig.split('.') : [];
+    if (parts.length !== 2 || !parts[0]) {
+        throw new SDKError('The session sig is malformed', { code: 'invalid_session' });
+    }
+    let session;
+    try {
+        session = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+    } catch (e) {
+        session = null;
+    }
+    if (!isObject(session)) {
+        throw new SDKError('The session sig is malformed', { code: 'invalid_session' });
+    }
+    if (session.algorithm && session.algorithm !== 'HMAC-SHA256') {
+        throw new SDKError(`Unsupported session sig algorithm: ${session.algorithm}`, { code: 'invalid_session' });
+    }
+    return { signature: parts[0], payload: parts[1], session };
+}
+
+/**
+ * Check that a hasSession response has the same user and status as its signed payload. This
+ * catches changes to a cached session, but not a forged `sig`: that takes a verifier on a server
+ * @memberof core
+ * @param {HasSessionSuccessResponse} sessionData
+ * @returns {boolean}
+ */
+export function matchesSessionSig(sessionData) {
+    if (!isObject(sessionData)) {
+        return false;
+    }
+    if (typeof sessionData.sig === 'undefined') {
+        // only sessions without a user may be unsigned
+        return !sessionData.userId;
+    }
+    let signed;
+    try {
+        signed = decodeSessionSig(sessionData.sig).session;
+    } catch (e) {
+        return false;
+    }
+    return SIGNED_SESSION_FIELDS.every(field =>
+        !(field in signed) || JSON.stringify(signed[field]) === JSON.stringify(sessionData[field]));
+}
@@ -0,0 +1,116 @@
+/**
+ * Storage adapter that keeps the SDK cache in IndexedDB. Use it when Web Storage is not available,
+ * for example in some embedded webviews, by passing it as the `storage` option to
+ * {@link Identity} or {@link Monetization}
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.databaseName=schacc-sdk] - Name of the IndexedDB database
+     * @param {object} [options.window] - window object
+     * @throws {SDKError} - If IndexedDB is not available
+     */
+    constructor({ databaseName, window }?: {
+        databaseName?: string;
+        window?: any;
+    });
+    databaseName: string;
+    indexedDB: IDBFactory;
+    _db: Promise<IDBDatabase>;
+    /**
+     * Open the database (once), creating the object store if needed
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    private _open;
+    /**
+     * Run one request against the object store
+     * @private
+     * @param {string} mode - `readonly` or `readwrite`
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     * @returns {Promise<*>}
+     */
+    private _request;
+    /**
+     * @param {string} key
+     * @returns {Promise<string|undefined>}
+     */
+    get(key: string): Promise<string | undefined>;
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @returns {Promise<void>}
+     */
+    set(key: string, value: string): Promise<void>;
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    delete(key: string): Promise<void>;
+    /**
+     * @returns {Promise<string[]>}
+     */
+    keys(): Promise<string[]>;
+}
+/**
+ * Storage adapter that keeps the SDK cache in first-party cookies. Cookies are sent along with
+ * every request to your site, so only use this when neither Web Storage nor IndexedDB work
+ */
+export class CookieStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix=schacc_] - Prefix for the cookie names, so the SDK cookies
+     * can be told apart from other cookies
+     * @param {string} [options.domain] - Cookie domain, which subdomains share the cookies with.
+     * Defaults to the current host only
+     * @param {string} [options.path=/] - Cookie path
+     * @param {object} [options.window] - window object
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ prefix, domain, path, window }?: {
+        prefix?: string;
+        domain?: string;
+        path?: string;
+        window?: any;
+    });
+    prefix: string;
+    domain: string;
+    path: string;
+    document: Document;
+    /**
+     * Parse `document.cookie` into our own entries, without the prefix
+     * @private
+     * @returns {object}
+     */
+    private _entries;
+    /**
+     * Write a cookie for a key
+     * @private
+     * @param {string} key
+     * @param {string} value
+     * @param {Date} expires
+     * @returns {void}
+     */
+    private _write;
+    /**
+     * @param {string} key
+     * @returns {string|null}
+     */
+    get(key: string): string | null;
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @param {number} expiresIn - Milliseconds until the cookie expires
+     * @returns {void}
+     */
+    set(key: string, value: string, expiresIn: number): void;
+    /**
+     * @param {string} key
+     * @returns {void}
+     */
+    delete(key: string): void;
+    /**
+     * @returns {string[]}
+     */
+    keys(): string[];
+}
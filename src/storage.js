@@ -0,0 +1,199 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isNonEmptyString, isObject } from './validate.js';
+
+const globalWindow = () => window;
+
+const OBJECT_STORE_NAME = 'cache';
+
+/**
+ * Storage adapter that keeps the SDK cache in IndexedDB. Use it when Web Storage is not available,
+ * for example in some embedded webviews, by passing it as the `storage` option to
+ * {@link Identity} or {@link Monetization}
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.databaseName=schacc-sdk] - Name of the IndexedDB database
+     * @param {object} [options.window] - window object
+     * @throws {SDKError} - If IndexedDB is not available
+     */
+    constructor({ databaseName = 'schacc-sdk', window = globalWindow() } = {}) {
+        assert(isNonEmptyString(databaseName), 'databaseName parameter is required');
+        assert(isObject(window) && isObject(window.indexedDB), 'IndexedDB is not available');
+        this.databaseName = databaseName;
+        this.indexedDB = window.indexedDB;
+        this._db = null;
+    }
+
+    /**
+     * Open the database (once), creating the object store if needed
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(OBJECT_STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Run one request against the object store
+     * @private
+     * @param {string} mode - `readonly` or `readwrite`
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     * @returns {Promise<*>}
+     */
+    async _request(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(OBJECT_STORE_NAME, mode).objectStore(OBJECT_STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<string|undefined>}
+     */
+    get(key) {
+        return this._request('readonly', store => store.get(key));
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        await this._request('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this._request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    keys() {
+        return this._request('readonly', store => store.getAllKeys());
+    }
+}
+
+/**
+ * Storage adapter that keeps the SDK cache in first-party cookies. Cookies are sent along with
+ * every request to your site, so only use this when neither Web Storage nor IndexedDB work
+ */
+export class CookieStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix=schacc_] - Prefix for the cookie names, so the SDK cookies
+     * can be told apart from other cookies
+     * @param {string} [options.domain] - Cookie domain, which subdomains share the cookies with.
+     * Defaults to the current host only
+     * @param {string} [options.path=/] - Cookie path
+     * @param {object} [options.window] - window object
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ prefix = 'schacc_', domain, path = '/', window = globalWindow() } = {}) {
+        assert(isNonEmptyString(prefix), 'prefix parameter is required');
+        assert(isObject(window) && isObject(window.document), 'The reference to window is missing');
+        this.prefix = prefix;
+        this.domain = domain && domain.replace(/^\./, '');
+        this.path = path;
+        this.document = window.document;
+    }
+
+    /**
+     * Parse `document.cookie` into our own entries, without the prefix
+     * @private
+     * @returns {object}
+     */
+    _entries() {
+        const entries = {};
+        this.document.cookie.split(';').forEach((cookie) => {
+            const separator = cookie.indexOf('=');
+            const name = cookie.slice(0, separator).trim();
+            if (separator > 0 && name.startsWith(this.prefix)) {
+                try {
+                    const key = decodeURIComponent(name.slice(this.prefix.length));
+                    entries[key] = decodeURIComponent(cookie.slice(separator + 1).trim());
+                } catch (e) {
+                    // malformed cookie, ignore
+                }
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Write a cookie for a key
+     * @private
+     * @param {string} key
+     * @param {string} value
+     * @param {Date} expires
+     * @returns {void}
+     */
+    _write(key, value, expires) {
+        const cookie = [
+            `${this.prefix}${encodeURIComponent(key)}=${encodeURIComponent(value)}`,
+            `expires=${expires.toUTCString()}`,
+            `path=${this.path}`,
+            'SameSite=Lax',
+        ];
+        if (this.domain) {
+            cookie.push(`domain=.${this.domain}`);
+        }
+        this.document.cookie = cookie.join('; ');
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string|null}
+     */
+    get(key) {
+        const entries = this._entries();
+        return key in entries ? entries[key] : null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @param {number} expiresIn - Milliseconds until the cookie expires
+     * @returns {void}
+     */
+    set(key, value, expiresIn) {
+        this._write(key, value, new Date(Date.now() + expiresIn));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {void}
+     */
+    delete(key) {
+        this._write(key, 'nothing', new Date(0));
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    keys() {
+        return Object.keys(this._entries());
+    }
+}
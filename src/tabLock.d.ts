@@ -0,0 +1,104 @@
+/**
+ * Milliseconds a localStorage lease is valid for unless renewed. A tab that is closed while
+ * holding the lock blocks the others this long at most
+ * @private
+ * @type {number}
+ */
+export const LEASE_TIME: number;
+/**
+ * Milliseconds the lock is held at most. A callback that takes longer keeps running, but the
+ * other tabs don't wait for it any more
+ * @private
+ * @type {number}
+ */
+export const LOCK_TIMEOUT: number;
+/**
+ * Milliseconds to wait after writing a lease before checking that no other tab overwrote it
+ * @private
+ * @type {number}
+ */
+export const LEASE_SETTLE_TIME: number;
+/**
+ * Milliseconds between attempts to take a lease held by another tab
+ * @private
+ * @type {number}
+ */
+export const LEASE_POLL_INTERVAL: number;
+/**
+ * A lock shared by the browser tabs of the same origin, so that only one of them at a time does
+ * something. Uses the Web Locks API where supported, and falls back to a lease in localStorage in
+ * other browsers. Without either, nothing is locked
+ * @private
+ */
+export default class TabLock {
+    /**
+     * @param {object} options
+     * @param {Window} options.window - window object
+     * @param {string} options.name - Tabs that use the same name share the lock
+     * @param {number} [options.leaseTime=LEASE_TIME] - Milliseconds a localStorage lease is valid
+     * for unless renewed
+     * @param {number} [options.timeout=LOCK_TIMEOUT] - Milliseconds the lock is held at most
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ window, name, leaseTime, timeout }: {
+        window: any;
+        name: string;
+        leaseTime?: number;
+        timeout?: number;
+    });
+    name: string;
+    leaseTime: number;
+    timeout: number;
+    id: string;
+    closed: boolean;
+    _releases: Array<() => void>;
+    locks: LockManager;
+    storage: Storage;
+    type: string;
+    /**
+     * Run a function while holding the lock. Waits for the other tabs to release it first
+     * @param {function(): *} callback - May return a promise, and the lock is held until it
+     * settles, or until the timeout expires
+     * @returns {Promise<*>} - What the callback returned
+     */
+    run<T>(callback: () => T | Promise<T>): Promise<T>;
+    /**
+     * Wait for the result of a callback, but no longer than the timeout
+     * @private
+     * @param {Promise<*>} result
+     * @returns {Promise<void>} - Never rejects
+     */
+    private _holdUntilSettled;
+    /**
+     * Read the current lease
+     * @private
+     * @returns {{owner: string, expires: number}|null}
+     */
+    private _readLease;
+    /**
+     * Take or renew the lease
+     * @private
+     * @returns {boolean} - false if localStorage can't be written to
+     */
+    private _writeLease;
+    /**
+     * Wait until the lease is free, then take it. Tabs that take it at the same time overwrite
+     * each other, so the one that wrote last gets it
+     * @private
+     * @returns {Promise<boolean>} - false if localStorage can't be used, or the lock was closed,
+     * so there is no lease
+     */
+    private _acquireLease;
+    /**
+     * Give up the lease, unless another tab has taken it after it expired
+     * @private
+     * @returns {void}
+     */
+    private _releaseLease;
+    /**
+     * Stop using the lock. Holds that haven't ended are ended right away, so the other tabs don't
+     * wait for them, and callbacks given to {@link TabLock#run} later run without the lock
+     * @returns {void}
+     */
+    close(): void;
+}
@@ -0,0 +1,246 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isFunction, isNonEmptyString, isObject } from './validate.js';
+import { randomString } from './crypto.js';
+
+/**
+ * Milliseconds a localStorage lease is valid for unless renewed. A tab that is closed while
+ * holding the lock blocks the others this long at most
+ * @private
+ * @type {number}
+ */
+export const LEASE_TIME = 10 * 1000;
+
+/**
+ * Milliseconds the lock is held at most. A callback that takes longer keeps running, but the
+ * other tabs don't wait for it any more
+ * @private
+ * @type {number}
+ */
+export const LOCK_TIMEOUT = 10 * 1000;
+
+/**
+ * Milliseconds to wait after writing a lease before checking that no other tab overwrote it
+ * @private
+ * @type {number}
+ */
+export const LEASE_SETTLE_TIME = 50;
+
+/**
+ * Milliseconds between attempts to take a lease held by another tab
+ * @private
+ * @type {number}
+ */
+export const LEASE_POLL_INTERVAL = 100;
+
+/**
+ * @private
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the Web Locks API of a window, if it has one
+ * @private
+ * @param {Window} window
+ * @returns {LockManager|null}
+ */
+function getLockManager(window) {
+    const locks = window.navigator && window.navigator.locks;
+    return locks && isFunction(locks.request) ? locks : null;
+}
+
+/**
+ * Get localStorage from a window if it can be used for leases
+ * @private
+ * @param {Window} window
+ * @returns {Storage|null}
+ */
+function getLocalStorage(window) {
+    try {
+        return window.localStorage || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * A lock shared by the browser tabs of the same origin, so that only one of them at a time does
+ * something. Uses the Web Locks API where supported, and falls back to a lease in localStorage in
+ * other browsers. Without either, nothing is locked
+ * @private
+ */
+export default class TabLock {
+    /**
+     * @param {object} options
+     * @param {Window} options.window - window object
+     * @param {string} options.name - Tabs that use the same name share the lock
+     * @param {number} [options.leaseTime=LEASE_TIME] - Milliseconds a localStorage lease is valid
+     * for unless renewed
+     * @param {number} [options.timeout=LOCK_TIMEOUT] - Milliseconds the lock is held at most
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ window, name, leaseTime = LEASE_TIME, timeout = LOCK_TIMEOUT }) {
+        assert(isObject(window), 'The reference to window is missing');
+        assert(isNonEmptyString(name), 'name parameter is required');
+        assert(Number.isFinite(leaseTime) && leaseTime > 0, `leaseTime must be a positive number but it is ${leaseTime}`);
+        assert(Number.isFinite(timeout) && timeout > 0, `timeout must be a positive number but it is ${timeout}`);
+
+        this.name = name;
+        this.leaseTime = leaseTime;
+        this.timeout = timeout;
+        this.id = randomString(8);
+        this.closed = false;
+        // Ends the holds of the lock that haven't ended yet, for close()
+        this._releases = [];
+
+        this.locks = getLockManager(window);
+        if (this.locks) {
+            this.type = 'WebLocks';
+            return;
+        }
+        this.storage = getLocalStorage(window);
+        this.type = this.storage ? 'Lease' : 'None';
+    }
+
+    /**
+     * Run a function while holding the lock. Waits for the other tabs to release it first
+     * @param {function(): *} callback - May return a promise, and the lock is held until it
+     * settles, or until the timeout expires
+     * @returns {Promise<*>} - What the callback returned
+     */
+    async run(callback) {
+        if (this.closed || (!this.locks && !this.storage)) {
+            return callback();
+        }
+        let result;
+        const hold = () => {
+            result = Promise.resolve().then(() => callback());
+            return this._holdUntilSettled(result);
+        };
+        if (this.locks) {
+            await this.locks.request(this.name, hold);
+            return result;
+        }
+        const acquired = await this._acquireLease();
+        if (!acquired) {
+            return callback();
+        }
+        const renewal = setInterval(() => this._writeLease(), this.leaseTime / 3);
+        try {
+            await hold();
+        } finally {
+            clearInterval(renewal);
+            this._releaseLease();
+        }
+        return result;
+    }
+
+    /**
+     * Wait for the result of a callback, but no longer than the timeout
+     * @private
+     * @param {Promise<*>} result
+     * @returns {Promise<void>} - Never rejects
+     */
+    _holdUntilSettled(result) {
+        let release;
+        const expired = new Promise((resolve) => {
+            const timer = setTimeout(resolve, this.timeout);
+            release = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        this._releases.push(release);
+        return Promise.race([result.catch(() => {}), expired])
+            .then(() => {
+                this._releases.splice(this._releases.indexOf(release), 1);
+                release();
+            });
+    }
+
+    /**
+     * Read the current lease
+     * @private
+     * @returns {{owner: string, expires: number}|null}
+     */
+    _readLease() {
+        try {
+            const lease = JSON.parse(this.storage.getItem(this.name));
+            return isObject(lease) ? lease : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Take or renew the lease
+     * @private
+     * @returns {boolean} - false if localStorage can't be written to
+     */
+    _writeLease() {
+        try {
+            this.storage.setItem(this.name, JSON.stringify({ owner: this.id, expires: Date.now() + this.leaseTime }));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Wait until the lease is free, then take it. Tabs that take it at the same time overwrite
+     * each other, so the one that wrote last gets it
+     * @private
+     * @returns {Promise<boolean>} - false if localStorage can't be used, or the lock was closed,
+     * so there is no lease
+     */
+    async _acquireLease() {
+        while (!this.closed) {
+            const lease = this._readLease();
+            if (!lease || !(lease.expires > Date.now())) {
+                if (!this._writeLease()) {
+                    return false;
+                }
+                await delay(LEASE_SETTLE_TIME);
+                const current = this._readLease();
+                if (current && current.owner === this.id) {
+                    return true;
+                }
+            } else {
+                await delay(LEASE_POLL_INTERVAL);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Give up the lease, unless another tab has taken it after it expired
+     * @private
+     * @returns {void}
+     */
+    _releaseLease() {
+        const lease = this._readLease();
+        if (lease && lease.owner === this.id) {
+            try {
+                this.storage.removeItem(this.name);
+            } catch (e) {
+                // the lease expires by itself
+            }
+        }
+    }
+
+    /**
+     * Stop using the lock. Holds that haven't ended are ended right away, so the other tabs don't
+     * wait for them, and callbacks given to {@link TabLock#run} later run without the lock
+     * @returns {void}
+     */
+    close() {
+        this.closed = true;
+        this._releases.slice().forEach(release => release());
+    }
+}
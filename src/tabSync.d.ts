@@ -0,0 +1,37 @@
+/**
+ * Passes messages between browser tabs of the same origin. Uses a `BroadcastChannel` where
+ * supported, and falls back to `storage` events in other browsers. Messages are never delivered
+ * to the instance that posted them
+ * @private
+ */
+export default class TabSync {
+    /**
+     * @param {object} options
+     * @param {Window} options.window - window object
+     * @param {string} options.name - Tabs that use the same name receive each other's messages
+     * @param {function} options.onMessage - Called with every message posted from another tab
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ window, name, onMessage }: {
+        window: any;
+        name: string;
+        onMessage: Function;
+    });
+    window: any;
+    name: string;
+    onMessage: Function;
+    channel: BroadcastChannel;
+    storage: Storage;
+    type: string;
+    /**
+     * Send a message to the other tabs
+     * @param {object} message - Must be serializable
+     * @returns {void}
+     */
+    post(message: any): void;
+    /**
+     * Stop sending and receiving messages
+     * @returns {void}
+     */
+    close(): void;
+}
@@ -0,0 +1,106 @@
+/* Copyright 2024 Schibsted Products & Technology AS. Licensed under the terms of the MIT license.
+ * See LICENSE.md in the project root.
+ */
+
+'use strict';
+
+import { assert, isFunction, isNonEmptyString, isObject } from './validate.js';
+
+/**
+ * Get localStorage from a window if it can be used to pass messages
+ * @private
+ * @param {Window} window
+ * @returns {Storage|null}
+ */
+function getLocalStorage(window) {
+    try {
+        const storage = window.localStorage;
+        return storage && isFunction(window.addEventListener) ? storage : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Passes messages between browser tabs of the same origin. Uses a `BroadcastChannel` where
+ * supported, and falls back to `storage` events in other browsers. Messages are never delivered
+ * to the instance that posted them
+ * @private
+ */
+export default class TabSync {
+    /**
+     * @param {object} options
+     * @param {Window} options.window - window object
+     * @param {string} options.name - Tabs that use the same name receive each other's messages
+     * @param {function} options.onMessage - Called with every message posted from another tab
+     * @throws {SDKError} - If any of options are invalid
+     */
+    constructor({ window, name, onMessage }) {
+        assert(isObject(window), 'The reference to window is missing');
+        assert(isNonEmptyString(name), 'name parameter is required');
+        assert(isFunction(onMessage), 'onMessage must be a function');
+
+        this.window = window;
+        this.name = name;
+        this.onMessage = onMessage;
+
+        if (isFunction(window.BroadcastChannel)) {
+            this.channel = new window.BroadcastChannel(name);
+            this.channel.onmessage = (event) => this.onMessage(event.data);
+            this.type = 'BroadcastChannel';
+            return;
+        }
+
+        this.storage = getLocalStorage(window);
+        if (this.storage) {
+            this._storageListener = (event) => {
+                if (event.key === this.name && event.newValue) {
+                    try {
+                        this.onMessage(JSON.parse(event.newValue).message);
+                    } catch (e) {
+                        // not one of ours
+                    }
+                }
+            };
+            window.addEventListener('storage', this._storageListener);
+            this.type = 'StorageEvent';
+        } else {
+            this.type = 'None';
+        }
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {object} message - Must be serializable
+     * @returns {void}
+     */
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else if (this.storage) {
+            try {
+                // The nonce makes sure a storage event fires even if the message is repeated
+                const value = JSON.stringify({ message, nonce: Math.random() });
+                this.storage.setItem(this.name, value);
+                this.storage.removeItem(this.name);
+            } catch (e) {
+                // storage full or unavailable — nothing we can do
+            }
+        }
+    }
+
+    /**
+     * Stop sending and receiving messages
+     * @returns {void}
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.storage) {
+            this.window.removeEventListener('storage', this._storageListener);
+            this.storage = null;
+        }
+    }
+}
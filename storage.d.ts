@@ -0,0 +1 @@
+export * from "./src/storage.js";